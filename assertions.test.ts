@@ -1,5 +1,8 @@
 import assert from "node:assert/strict";
-import { assertValidFeatureReference } from "./assertions";
+import {
+  assertValidDetectionPattern,
+  assertValidFeatureReference,
+} from "./assertions";
 
 describe("assertValidReference()", function () {
   it("throws if target ID is a move", function () {
@@ -34,3 +37,66 @@ describe("assertValidReference()", function () {
     });
   });
 });
+
+describe("assertValidDetectionPattern()", function () {
+  it("throws if the kind is unknown", function () {
+    assert.throws(() => {
+      assertValidDetectionPattern("a", { kind: "js-function", name: "fetch" });
+    }, /unknown kind "js-function"/);
+  });
+
+  it("throws if a field of the kind is missing", function () {
+    assert.throws(() => {
+      assertValidDetectionPattern("a", { kind: "js-member" });
+    }, /must have required property 'path'/);
+  });
+
+  it("throws if a field belongs to another kind", function () {
+    assert.throws(() => {
+      assertValidDetectionPattern("a", {
+        kind: "css-at-rule",
+        name: "container",
+        pseudo: "has",
+      });
+    }, /must NOT have additional properties/);
+  });
+
+  it("throws if a name is not in the expected form", function () {
+    assert.throws(() => {
+      assertValidDetectionPattern("a", {
+        kind: "css-at-rule",
+        name: "@container",
+      });
+    }, /\/name must match pattern/);
+  });
+
+  it("throws if a regex does not compile", function () {
+    assert.throws(() => {
+      assertValidDetectionPattern("a", {
+        kind: "regex",
+        pattern: "fetch(",
+        file_types: ["js"],
+      });
+    }, /does not compile/);
+  });
+
+  it("does not throw for valid patterns", function () {
+    assert.doesNotThrow(() => {
+      assertValidDetectionPattern("a", {
+        kind: "js-global",
+        name: "fetch",
+        position: "call",
+      });
+      assertValidDetectionPattern("a", {
+        kind: "js-member",
+        path: "navigator.clipboard",
+      });
+      assertValidDetectionPattern("a", { kind: "css-selector", pseudo: "has" });
+      assertValidDetectionPattern("a", {
+        kind: "regex",
+        pattern: "\\bfetch\\(",
+        file_types: ["js", "ts"],
+      });
+    });
+  });
+});
@@ -1,3 +1,6 @@
+import Ajv, { ValidateFunction } from "ajv";
+
+import * as schema from "./schemas/data.schema.json" with { type: "json" };
 import { isOrdinaryFeatureData } from "./type-guards";
 import { WebFeaturesData } from "./types.quicktype";
 
@@ -26,4 +29,56 @@ export function assertValidFeatureReference(
   }
 }
 
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+ajv.addSchema(schema, "data");
+
+// One validator per detection pattern kind, so that errors are about the
+// pattern's own kind instead of every alternative in the schema's `oneOf`.
+const detectionPatternValidators = new Map<string, ValidateFunction>(
+  schema.definitions.DetectionPattern.oneOf.map(({ $ref }) => {
+    const name = $ref.split("/").pop();
+    const kind = schema.definitions[name].properties.kind.const;
+    return [kind, ajv.getSchema(`data${$ref}`)];
+  }),
+);
+
+/**
+ * Assert that a detection pattern is of a known kind, has the fields of that
+ * kind, and (for regex patterns) compiles.
+ *
+ * @export
+ * @param {string} featureId The feature the pattern belongs to
+ * @param {unknown} pattern The detection pattern
+ */
+export function assertValidDetectionPattern(
+  featureId: string,
+  pattern: unknown,
+) {
+  const kind = (pattern as { kind?: unknown } | null)?.kind;
+  const validator = detectionPatternValidators.get(kind as string);
+  if (!validator) {
+    throw new Error(
+      `${featureId} has a detection pattern of unknown kind ${JSON.stringify(kind)}. Valid kinds are: ${[...detectionPatternValidators.keys()].join(", ")}`,
+    );
+  }
+  if (!validator(pattern)) {
+    const errors = validator.errors
+      .map(({ instancePath, message }) => `${instancePath || kind} ${message}`)
+      .join(", ");
+    throw new Error(
+      `${featureId} has an invalid ${kind} detection pattern: ${errors}`,
+    );
+  }
+  if (kind === "regex") {
+    const { pattern: source } = pattern as { pattern: string };
+    try {
+      new RegExp(source);
+    } catch (error) {
+      throw new Error(
+        `${featureId} has a regex detection pattern that does not compile: ${error.message}`,
+      );
+    }
+  }
+}
+
 // TODO: assertValidSnapshotReference
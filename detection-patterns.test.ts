@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { Compat } from "compute-baseline/browser-compat-data";
+import { generateDetectionPatterns } from "./detection-patterns";
+
+const compat = new Compat();
+
+function patternFor(key: string) {
+  const [pattern] = generateDetectionPatterns([key], compat);
+  return pattern;
+}
+
+describe("generateDetectionPatterns()", function () {
+  it("matches API interfaces and globals as globals", function () {
+    assert.deepEqual(patternFor("api.AbortController"), {
+      kind: "js-global",
+      name: "AbortController",
+      compat_key: "api.AbortController",
+    });
+    assert.deepEqual(patternFor("api.Window.showOpenFilePicker"), {
+      kind: "js-global",
+      name: "showOpenFilePicker",
+      compat_key: "api.Window.showOpenFilePicker",
+    });
+  });
+
+  it("matches worker globals only if pages don't have them too", function () {
+    assert.deepEqual(patternFor("api.WorkerGlobalScope.importScripts"), {
+      kind: "js-global",
+      name: "importScripts",
+      compat_key: "api.WorkerGlobalScope.importScripts",
+    });
+    for (const member of ["navigator", "location", "self"]) {
+      assert.equal(patternFor(`api.WorkerGlobalScope.${member}`), undefined);
+    }
+  });
+
+  it("matches constructors as new expressions", function () {
+    assert.deepEqual(patternFor("api.AbortController.AbortController"), {
+      kind: "js-global",
+      name: "AbortController",
+      position: "new",
+      compat_key: "api.AbortController.AbortController",
+    });
+  });
+
+  it("matches static members on the interface", function () {
+    assert.deepEqual(patternFor("api.AbortSignal.abort_static"), {
+      kind: "js-member",
+      path: "AbortSignal.abort",
+      compat_key: "api.AbortSignal.abort_static",
+    });
+    assert.deepEqual(patternFor("javascript.builtins.Promise.allSettled"), {
+      kind: "js-member",
+      path: "Promise.allSettled",
+      compat_key: "javascript.builtins.Promise.allSettled",
+    });
+  });
+
+  it("matches members of singletons on their global instance", function () {
+    assert.deepEqual(patternFor("api.Navigator.clipboard"), {
+      kind: "js-member",
+      path: "navigator.clipboard",
+      compat_key: "api.Navigator.clipboard",
+    });
+  });
+
+  it("matches instance members on any object only if their name is distinctive", function () {
+    assert.deepEqual(patternFor("api.AbortSignal.throwIfAborted"), {
+      kind: "js-member",
+      path: "*.throwIfAborted",
+      compat_key: "api.AbortSignal.throwIfAborted",
+    });
+    assert.equal(patternFor("api.AbortController.signal"), undefined);
+    assert.equal(patternFor("javascript.builtins.Array.at"), undefined);
+    // Names only one interface has can still be common names in application
+    // code
+    assert.equal(patternFor("api.DataTransfer.items"), undefined);
+    assert.equal(patternFor("api.FontFaceSet.check"), undefined);
+  });
+
+  it("matches CSS properties, values, at-rules and selectors", function () {
+    assert.deepEqual(patternFor("css.properties.grid-template-columns"), {
+      kind: "css-property",
+      name: "grid-template-columns",
+      compat_key: "css.properties.grid-template-columns",
+    });
+    assert.deepEqual(patternFor("css.properties.display.grid"), {
+      kind: "css-value",
+      value: "grid",
+      property: "display",
+      compat_key: "css.properties.display.grid",
+    });
+    assert.deepEqual(patternFor("css.at-rules.container"), {
+      kind: "css-at-rule",
+      name: "container",
+      compat_key: "css.at-rules.container",
+    });
+    assert.deepEqual(patternFor("css.selectors.has"), {
+      kind: "css-selector",
+      pseudo: "has",
+      compat_key: "css.selectors.has",
+    });
+    assert.equal(patternFor("css.selectors.nesting"), undefined);
+  });
+
+  it("matches HTML elements and attributes", function () {
+    assert.deepEqual(patternFor("html.elements.dialog"), {
+      kind: "html-element",
+      name: "dialog",
+      compat_key: "html.elements.dialog",
+    });
+    assert.deepEqual(patternFor("html.elements.dialog.open"), {
+      kind: "html-attribute",
+      name: "open",
+      element: "dialog",
+      compat_key: "html.elements.dialog.open",
+    });
+  });
+
+  it("matches JavaScript syntax", function () {
+    assert.deepEqual(patternFor("javascript.operators.optional_chaining"), {
+      kind: "js-syntax",
+      syntax: "optional-chaining",
+      compat_key: "javascript.operators.optional_chaining",
+    });
+  });
+
+  it("skips events, behaviors and keys without syntax", function () {
+    assert.deepEqual(
+      generateDetectionPatterns(
+        [
+          "api.Element.click_event",
+          "api.AbortController.AbortController.secure_context_required",
+          "css.properties.gap.flex_context",
+          "http.headers.Accept",
+        ],
+        compat,
+      ),
+      [],
+    );
+  });
+});
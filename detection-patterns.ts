@@ -0,0 +1,306 @@
+import { Compat } from "compute-baseline/browser-compat-data";
+import type { DetectionPattern, JsSyntax } from "./types";
+
+// Names that can be matched as JavaScript identifiers.
+const identifierPattern = /^[A-Za-z_$][\w$]*$/;
+
+// Subfeature keys in snake_case describe behavior, such as
+// `api.AbortController.AbortController.secure_context_required` or
+// `css.properties.gap.flex_context`, not something that appears in source code.
+const behaviorPattern = /^[a-z0-9]+(_[a-z0-9]+)+$/;
+
+// Interfaces whose members are reached through a single well-known global
+// instance, as in `navigator.clipboard`.
+const singletonInstances: Record<string, string> = {
+  CustomElementRegistry: "customElements",
+  Document: "document",
+  History: "history",
+  Location: "location",
+  Navigator: "navigator",
+  Performance: "performance",
+  Screen: "screen",
+  VisualViewport: "visualViewport",
+};
+
+// Interfaces whose members are globals, as in `api.Window.showOpenFilePicker`.
+// Members of `WorkerGlobalScope` are only globals of their own if pages don't
+// have them too, so that `navigator` or `location` isn't a sign of a worker.
+const globalScopes = new Set(["Window", "WorkerGlobalScope"]);
+
+function isWindowMember(compat: Compat, member: string): boolean {
+  try {
+    compat.query(`api.Window.${member}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Keys of `css.selectors` that are selectors or combinators rather than
+// pseudo-classes or pseudo-elements.
+const nonPseudoSelectors = new Set([
+  "attribute",
+  "child",
+  "class",
+  "column",
+  "descendant",
+  "id",
+  "list",
+  "namespace",
+  "nesting",
+  "next-sibling",
+  "subsequent-sibling",
+  "type",
+  "universal",
+]);
+
+// Subfeatures of CSS properties that are about values in general rather than
+// a keyword, as in `css.properties.width.percentages`.
+const nonKeywordValues = new Set(["animation", "percentage", "percentages"]);
+
+const jsSyntaxKeys: Record<string, JsSyntax> = {
+  "javascript.classes.private_class_fields": "private-class-members",
+  "javascript.classes.private_class_methods": "private-class-members",
+  "javascript.classes.public_class_fields": "class-fields",
+  "javascript.classes.static.initialization_blocks": "static-blocks",
+  "javascript.grammar.numeric_separators": "numeric-separators",
+  "javascript.operators.async_function": "async-function",
+  "javascript.operators.async_generator_function": "async-generator",
+  "javascript.operators.await": "await",
+  "javascript.operators.exponentiation": "exponentiation",
+  "javascript.operators.exponentiation_assignment": "exponentiation",
+  "javascript.operators.generator_function": "generator",
+  "javascript.operators.import": "dynamic-import",
+  "javascript.operators.import_meta": "import-meta",
+  "javascript.operators.logical_and_assignment": "logical-assignment",
+  "javascript.operators.logical_or_assignment": "logical-assignment",
+  "javascript.operators.nullish_coalescing": "nullish-coalescing",
+  "javascript.operators.nullish_coalescing_assignment": "logical-assignment",
+  "javascript.operators.optional_chaining": "optional-chaining",
+  "javascript.statements.async_function": "async-function",
+  "javascript.statements.async_generator_function": "async-generator",
+  "javascript.statements.export": "export-declaration",
+  "javascript.statements.for_await_of": "for-await",
+  "javascript.statements.generator_function": "generator",
+  "javascript.statements.import": "import-declaration",
+};
+
+// Instance members that are matched on any object, as in `*.throwIfAborted`.
+// Most member names, even ones only one interface has, are also common names
+// of properties and methods in application code, such as `items`, `check` or
+// `build`, so only names distinctive enough not to be anything else are
+// matched without knowing the receiver.
+const distinctiveMembers = new Set([
+  "attachInternals",
+  "attachShadow",
+  "cancelVideoFrameCallback",
+  "checkVisibility",
+  "computedStyleMap",
+  "getCoalescedEvents",
+  "getDisplayMedia",
+  "getPredictedEvents",
+  "hidePopover",
+  "insertAdjacentElement",
+  "requestPictureInPicture",
+  "requestPointerLock",
+  "requestSubmit",
+  "requestVideoFrameCallback",
+  "setPointerCapture",
+  "showModal",
+  "showPopover",
+  "throwIfAborted",
+  "toggleAttribute",
+  "togglePopover",
+  "transferControlToOffscreen",
+]);
+
+// The number of times each name is used for a global, or a member of an
+// interface or builtin, per compat data. Distinctive instance members are
+// only matched on any object when their name is used nowhere else, so that
+// `*.throwIfAborted` is a pattern but `*.resolve` (also `Promise.resolve`) is
+// not.
+const nameCounts = new WeakMap<Compat, Map<string, number>>();
+
+function isPrototypeMember(compat: Compat, key: string): boolean {
+  return compat
+    .feature(key)
+    .spec_url.some((url) => url.includes(".prototype."));
+}
+
+function countNames(compat: Compat): Map<string, number> {
+  let counts = nameCounts.get(compat);
+  if (counts) {
+    return counts;
+  }
+
+  counts = new Map();
+  for (const { id } of compat.walk(["api", "javascript.builtins"])) {
+    const parts = id.split(".");
+    const name = parts.at(-1).replace(/_static$/, "");
+    const maxDepth = parts[0] === "api" ? 3 : 4;
+    if (
+      parts.length > maxDepth ||
+      name === parts.at(-2) ||
+      !identifierPattern.test(name)
+    ) {
+      continue;
+    }
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+  }
+  nameCounts.set(compat, counts);
+  return counts;
+}
+
+// A pattern for a member of an interface or builtin, as in
+// `api.Navigator.clipboard` or `javascript.builtins.Promise.allSettled`.
+function memberPattern(
+  compat: Compat,
+  owner: string,
+  member: string,
+  isStatic: boolean,
+): DetectionPattern | undefined {
+  if (member === owner) {
+    return { kind: "js-global", name: owner, position: "new" };
+  }
+  if (!identifierPattern.test(member) || behaviorPattern.test(member)) {
+    return undefined;
+  }
+  if (isStatic) {
+    return { kind: "js-member", path: `${owner}.${member}` };
+  }
+  if (globalScopes.has(owner)) {
+    if (owner !== "Window" && isWindowMember(compat, member)) {
+      return undefined;
+    }
+    return { kind: "js-global", name: member };
+  }
+  if (Object.hasOwn(singletonInstances, owner)) {
+    return {
+      kind: "js-member",
+      path: `${singletonInstances[owner]}.${member}`,
+    };
+  }
+  if (distinctiveMembers.has(member) && countNames(compat).get(member) === 1) {
+    return { kind: "js-member", path: `*.${member}` };
+  }
+  return undefined;
+}
+
+function patternFromCompatKey(
+  compat: Compat,
+  key: string,
+): DetectionPattern | undefined {
+  if (Object.hasOwn(jsSyntaxKeys, key)) {
+    return { kind: "js-syntax", syntax: jsSyntaxKeys[key] };
+  }
+
+  const [category, ...path] = key.split(".");
+  if (category === "api") {
+    const [owner, member] = path;
+    if (!identifierPattern.test(owner) || path.length > 2) {
+      return undefined;
+    }
+    if (member === undefined) {
+      return { kind: "js-global", name: owner };
+    }
+    if (member.endsWith("_event")) {
+      return undefined;
+    }
+    return memberPattern(
+      compat,
+      owner,
+      member.replace(/_static$/, ""),
+      member.endsWith("_static"),
+    );
+  }
+
+  const [group, ...rest] = path;
+  if (rest.length === 0) {
+    return undefined;
+  }
+  switch (`${category}.${group}`) {
+    case "javascript.builtins": {
+      const [builtin, member] = rest;
+      if (!identifierPattern.test(builtin) || rest.length > 2) {
+        return undefined;
+      }
+      if (member === undefined) {
+        return { kind: "js-global", name: builtin };
+      }
+      return memberPattern(
+        compat,
+        builtin,
+        member,
+        !isPrototypeMember(compat, key),
+      );
+    }
+    case "css.properties": {
+      const [property, value] = rest;
+      if (value === undefined) {
+        return { kind: "css-property", name: property };
+      }
+      if (
+        rest.length > 2 ||
+        value.includes("_") ||
+        nonKeywordValues.has(value)
+      ) {
+        return undefined;
+      }
+      return { kind: "css-value", value, property };
+    }
+    case "css.at-rules":
+      return rest.length === 1
+        ? { kind: "css-at-rule", name: rest[0] }
+        : undefined;
+    case "css.selectors":
+      if (rest.length > 1 || nonPseudoSelectors.has(rest[0])) {
+        return undefined;
+      }
+      // Functional forms have their own keys, as in `hostfunction`.
+      return {
+        kind: "css-selector",
+        pseudo: rest[0].replace(/(?<=.)function$/, ""),
+      };
+    case "html.elements": {
+      const [element, attribute] = rest;
+      if (attribute === undefined) {
+        return { kind: "html-element", name: element };
+      }
+      if (rest.length > 2 || attribute.includes("_")) {
+        return undefined;
+      }
+      return { kind: "html-attribute", name: attribute, element };
+    }
+    case "html.global_attributes":
+      return rest.length === 1 && !rest[0].includes("_")
+        ? { kind: "html-attribute", name: rest[0] }
+        : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Generate detection patterns from the shape of a feature's compat keys, such
+ * as a `js-global` pattern for `api.AbortController` or a `css-property`
+ * pattern for `css.properties.grid-template-columns`. Keys that have no
+ * recognizable syntax, such as behavioral subfeatures and events, are skipped.
+ *
+ * @export
+ * @param {string[]} compatKeys @mdn/browser-compat-data keys of a feature
+ * @param {Compat} compat Compat data to look up keys in
+ * @returns {DetectionPattern[]} Patterns with a `compat_key` each, in the order of the keys
+ */
+export function generateDetectionPatterns(
+  compatKeys: string[],
+  compat: Compat,
+): DetectionPattern[] {
+  const patterns: DetectionPattern[] = [];
+  for (const key of compatKeys) {
+    const pattern = patternFromCompatKey(compat, key);
+    if (pattern) {
+      patterns.push({ ...pattern, compat_key: key });
+    }
+  }
+  return patterns;
+}
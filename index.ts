@@ -9,7 +9,7 @@ import { GroupData, SnapshotData, WebFeaturesData } from './types';
 
 import { BASELINE_LOW_TO_HIGH_DURATION, coreBrowserSet, parseRangedDateString } from 'compute-baseline';
 import { Compat } from 'compute-baseline/browser-compat-data';
-import { assertValidFeatureReference } from './assertions';
+import { assertValidDetectionPattern, assertValidFeatureReference } from './assertions';
 import { isMoved, isSplit } from './type-guards';
 
 // The longest name allowed, to allow for compact display.
@@ -194,6 +194,15 @@ for (const [key, data] of yamlEntries('features')) {
         }
     }
 
+    // Ensure that detection patterns are well-formed, so that detectors
+    // don't have to guard against them.
+    for (const pattern of data.detection_patterns ?? []) {
+        assertValidDetectionPattern(`${key}.yml`, pattern);
+        if (pattern.compat_key && !data.compat_features?.includes(pattern.compat_key)) {
+            throw new Error(`detection pattern compat_key ${pattern.compat_key} in ${key}.yml is not in its compat_features.`);
+        }
+    }
+
     if (data.compat_features) {
         // Sort compat_features so that grouping and ordering in dist files has
         // no effect on what web-features users see.
@@ -0,0 +1,38 @@
+/**
+ * Alternatives
+ *
+ * Suggests Baseline features to use instead of a feature, from three sources,
+ * strongest first:
+ *
+ * - the alternatives its `discouraged` notice names
+ * - features in the same `group`
+ * - features whose `compat_features` share an ancestor with its own, such as
+ *   `html.elements.script`. Ancestors of more than 20 features, such as
+ *   `api.Window` or `css.properties`, are too broad to count.
+ *
+ * Alternatives are ranked by a preference: `widely` puts Baseline widely
+ * available features first, and `newly` the most recently available. Each
+ * alternative says why it qualifies.
+ */
+export type Preference = "widely" | "newly";
+export interface Alternative {
+    featureId: string;
+    name: string;
+    baseline: "high" | "low";
+    baselineLowDate: string | null;
+    reasons: string[];
+}
+/**
+ * Suggest Baseline features to use instead of a feature, ranked by a
+ * preference. Candidates must be Baseline, not discouraged, and accepted by
+ * `accept`, such as a check against a policy.
+ */
+export declare function suggestAlternatives(featureId: string, { prefer, limit, accept }?: {
+    prefer?: Preference;
+    limit?: number;
+    accept?: (featureId: string) => boolean;
+}): Alternative[];
+/**
+ * The text output of alternatives, one per line.
+ */
+export declare function describeAlternatives(alternatives: Alternative[], indent?: string): string[];
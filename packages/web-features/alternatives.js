@@ -0,0 +1,129 @@
+/**
+ * Alternatives
+ *
+ * Suggests Baseline features to use instead of a feature, from three sources,
+ * strongest first:
+ *
+ * - the alternatives its `discouraged` notice names
+ * - features in the same `group`
+ * - features whose `compat_features` share an ancestor with its own, such as
+ *   `html.elements.script`. Ancestors of more than 20 features, such as
+ *   `api.Window` or `css.properties`, are too broad to count.
+ *
+ * Alternatives are ranked by a preference: `widely` puts Baseline widely
+ * available features first, and `newly` the most recently available. Each
+ * alternative says why it qualifies.
+ */
+import { features, groups } from "./index.js";
+const kinds = ["discouraged", "group", "compat"];
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+const nameOf = (featureId) => features[featureId]?.name ?? featureId;
+// The most features a shared compat key ancestor can have to relate them
+const MAX_ANCESTOR_FEATURES = 20;
+// The ancestors of a compat key below its top level, such as `api.Navigator`
+// for `api.Navigator.clipboard`, including the key itself
+function compatAncestors(key) {
+    const parts = key.split(".");
+    const ancestors = [];
+    for (let depth = parts.length; depth >= 2; depth--) {
+        ancestors.push(parts.slice(0, depth).join("."));
+    }
+    return ancestors;
+}
+let compatIndex;
+// The features by the compat key ancestors of their compat features
+function featuresByAncestor() {
+    if (compatIndex)
+        return compatIndex;
+    compatIndex = new Map();
+    for (const [featureId, feature] of Object.entries(features)) {
+        if (feature.kind !== "feature")
+            continue;
+        for (const key of asList(feature.compat_features)) {
+            for (const ancestor of compatAncestors(key)) {
+                if (!compatIndex.has(ancestor))
+                    compatIndex.set(ancestor, new Set());
+                compatIndex.get(ancestor).add(featureId);
+            }
+        }
+    }
+    return compatIndex;
+}
+// The features related to a feature, with how they're related
+function related(featureId) {
+    const feature = features[featureId];
+    const relations = new Map();
+    const relate = (candidate, relation) => {
+        if (candidate === featureId)
+            return;
+        const existing = relations.get(candidate) ?? [];
+        if (existing.some(({ kind }) => kind === relation.kind))
+            return;
+        relations.set(candidate, [...existing, relation]);
+    };
+    for (const alternative of asList(feature.discouraged?.alternatives)) {
+        relate(alternative, { kind: "discouraged", reason: `${nameOf(featureId)} is discouraged in favor of it` });
+    }
+    const featureGroups = asList(feature.group);
+    for (const [candidate, other] of Object.entries(features)) {
+        const shared = asList(other.group).find((group) => featureGroups.includes(group));
+        if (shared)
+            relate(candidate, { kind: "group", reason: `it's also in the ${groups[shared]?.name ?? shared} group` });
+    }
+    // The most specific shared ancestor of each candidate
+    const index = featuresByAncestor();
+    const ancestors = Array.from(new Set(asList(feature.compat_features).flatMap(compatAncestors)));
+    ancestors.sort((a, b) => b.split(".").length - a.split(".").length);
+    for (const ancestor of ancestors) {
+        const candidates = Array.from(index.get(ancestor) ?? []);
+        if (candidates.length > MAX_ANCESTOR_FEATURES)
+            continue;
+        for (const candidate of candidates) {
+            relate(candidate, { kind: "compat", reason: `its compat data shares ${ancestor}` });
+        }
+    }
+    return relations;
+}
+function describeStatus(status) {
+    return status.baseline === "high"
+        ? `it's Baseline widely available since ${status.baseline_high_date}`
+        : `it's Baseline newly available since ${status.baseline_low_date}`;
+}
+/**
+ * Suggest Baseline features to use instead of a feature, ranked by a
+ * preference. Candidates must be Baseline, not discouraged, and accepted by
+ * `accept`, such as a check against a policy.
+ */
+export function suggestAlternatives(featureId, { prefer = "widely", limit = 3, accept = () => true } = {}) {
+    if (!features[featureId])
+        return [];
+    const candidates = Array.from(related(featureId))
+        .filter(([candidate]) => {
+        const feature = features[candidate];
+        return feature?.kind === "feature" && feature.status?.baseline && !feature.discouraged && accept(candidate);
+    })
+        .map(([candidate, relations]) => {
+        const { status } = features[candidate];
+        const strongest = Math.min(...relations.map(({ kind }) => kinds.indexOf(kind)));
+        return { candidate, relations, status, strongest };
+    });
+    candidates.sort((a, b) => {
+        const byPreference = prefer === "widely"
+            ? Number(b.status.baseline === "high") - Number(a.status.baseline === "high")
+            : (b.status.baseline_low_date ?? "").localeCompare(a.status.baseline_low_date ?? "");
+        return byPreference || a.strongest - b.strongest || nameOf(a.candidate).localeCompare(nameOf(b.candidate));
+    });
+    return candidates.slice(0, limit).map(({ candidate, relations, status }) => ({
+        featureId: candidate,
+        name: nameOf(candidate),
+        baseline: status.baseline,
+        baselineLowDate: status.baseline_low_date ?? null,
+        reasons: [...relations.map(({ reason }) => reason), describeStatus(status)],
+    }));
+}
+/**
+ * The text output of alternatives, one per line.
+ */
+export function describeAlternatives(alternatives, indent = "     ") {
+    return alternatives.map(({ featureId, name, reasons }) => `${indent}${name} (${featureId}): ${reasons.join("; ")}`);
+}
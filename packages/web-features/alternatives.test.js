@@ -0,0 +1,38 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { describeAlternatives, suggestAlternatives } from './alternatives.js';
+describe('alternatives', () => {
+    it('should suggest the alternatives of discouraged features first, explaining why', () => {
+        const [alternative] = suggestAlternatives('clip');
+        expect(alternative).to.include({ featureId: 'clip-path', baseline: 'high' });
+        expect(alternative.reasons[0]).to.equal('clip is discouraged in favor of it');
+        expect(alternative.reasons).to.include("it's also in the Clipping, shapes and masking group");
+        expect(alternative.reasons[alternative.reasons.length - 1]).to.match(/^it's Baseline widely available since \d{4}-\d{2}-\d{2}$/);
+    });
+    it('should rank by preference', () => {
+        const widely = suggestAlternatives('clip', { limit: 10 });
+        const high = widely.filter(({ baseline }) => baseline === 'high').length;
+        expect(widely.slice(0, high).every(({ baseline }) => baseline === 'high')).to.be.true;
+        const newly = suggestAlternatives('clip', { prefer: 'newly', limit: 10 }).map(({ baselineLowDate }) => baselineLowDate);
+        expect(newly).to.deep.equal([...newly].sort().reverse());
+    });
+    it('should relate features by group and compat data, leaving out broad ancestors', () => {
+        const [alternative] = suggestAlternatives('file-system-access');
+        expect(alternative.featureId).to.equal('origin-private-file-system');
+        expect(alternative.reasons).to.include("it's also in the File system access group");
+        const reasons = suggestAlternatives('js-modules', { limit: 10 }).flatMap(({ reasons }) => reasons);
+        expect(reasons).to.include('its compat data shares html.elements.script.type');
+        expect(reasons.join('\n')).to.not.include('shares api.Window');
+    });
+    it('should only suggest Baseline features that are accepted', () => {
+        const suggested = suggestAlternatives('clip', { accept: (featureId) => featureId !== 'clip-path', limit: 10 });
+        expect(suggested.map(({ featureId }) => featureId)).to.not.include('clip-path');
+        expect(suggested.every(({ baseline }) => baseline === 'high' || baseline === 'low')).to.be.true;
+        expect(suggestAlternatives('not-a-feature')).to.deep.equal([]);
+    });
+    it('should describe alternatives one per line', () => {
+        const lines = describeAlternatives(suggestAlternatives('clip', { limit: 1 }), '  ');
+        expect(lines).to.have.lengthOf(1);
+        expect(lines[0]).to.match(/^  clip-path \(clip-path\): clip is discouraged in favor of it; /);
+    });
+});
@@ -2,28 +2,116 @@
 /**
  * Baseline Feature Detector
  *
- * Uses the actual detection_patterns from baseline feature YAML files
- * instead of hardcoded patterns.
+ * Uses the actual detection_patterns of the published feature data
+ * (`data.json`), whatever the working directory, or a custom set of patterns
+ * given with the `patterns` or `patternsPath` option. Structured patterns are matched against
+ * syntax trees of the scanned files, `regex` patterns against their raw text.
+ * Uses marked by `baseline-ignore` comments (see `suppressions.ts`) are
+ * reported apart from the others.
+ *
+ * Patterns are compiled once per process into a pattern index and a
+ * prefilter (see `prefilter.ts`). Scans of many files are spread across
+ * worker threads (see `detector-worker.ts`), and `scanFiles()` streams the
+ * matches of each file, in the order the files are walked, as they're found.
+ * With the `cache` option, the matches of each file are kept on disk by the
+ * hash of its content (see `scan-cache.ts`), so that re-runs only scan the
+ * files that changed.
  */
-type FileType = 'js' | 'ts' | 'jsx' | 'tsx' | 'css' | 'scss' | 'less' | 'other';
-interface DetectionOptions {
+import { DetectionPattern, RegexPattern } from "../../types.js";
+import { PatternIndex } from "./detection-patterns.js";
+import { Prefilter, PrefilterTarget } from "./prefilter.js";
+import { SourceFileOptions } from "./source-files.js";
+export type FileType = 'js' | 'ts' | 'jsx' | 'tsx' | 'css' | 'scss' | 'less' | 'html' | 'vue' | 'svelte' | 'astro' | 'other';
+export interface DetectionOptions extends SourceFileOptions, PatternSource {
     srcDir: string;
     fileTypes?: FileType[];
     features?: string[];
+    suppress?: string[];
+    workers?: number;
+    cache?: boolean | string;
+    files?: string[];
+}
+export interface DetectionLocation {
+    file: string;
+    line: number;
+    column: number;
+    snippet: string;
+    guarded: boolean;
+    compatKey?: string;
 }
-interface DetectionDetail {
+export interface DetectionDetail {
     files: string[];
     matches: string[];
+    compatKeys: string[];
+    locations: DetectionLocation[];
+}
+export interface FileMatch {
+    featureId: string;
+    text: string;
+    line: number;
+    column: number;
+    snippet: string;
+    guarded: boolean;
+    compatKey?: string;
+    suppressed: boolean;
+}
+export interface FileScan {
+    file: string;
+    matches: FileMatch[];
 }
-interface DetectionResult {
+export interface DetectionResult {
     found: Set<string>;
     details: Map<string, DetectionDetail>;
+    suppressed: Map<string, DetectionDetail>;
     summary: {
         totalFiles: number;
+        filesScanned: number;
         totalFeatures: number;
         detectedFeatures: number;
+        suppressedFeatures: number;
     };
 }
-export declare function detectFeatures(options?: DetectionOptions): DetectionResult;
+export declare function getFileType(filePath: string): FileType;
+export type PatternSet = Record<string, DetectionPattern[]>;
+export interface PatternSource {
+    patterns?: PatternSet;
+    patternsPath?: string;
+}
+export interface CompiledDetector {
+    featureCount: number;
+    version: string;
+    index: PatternIndex;
+    regexes: {
+        [fileType in FileType]?: Array<{
+            featureId: string;
+            pattern: RegexPattern;
+            regex: RegExp;
+            target: PrefilterTarget;
+        }>;
+    };
+    prefilter: Prefilter;
+}
+/**
+ * Compile the patterns of some features, or of all of them, for scanning,
+ * from the feature data or a custom set of patterns. Each source is compiled
+ * once per process, and so is each set of its features.
+ */
+export declare function compileDetector(featureIds?: string[], source?: PatternSource): CompiledDetector;
+/**
+ * Scan the content of a file for the patterns of a detector.
+ */
+export declare function scanFile(filePath: string, fileContent: string, fileType: FileType, detector: CompiledDetector, suppress?: string[]): FileScan;
+/**
+ * Scan the files of a directory, yielding the matches in each file in the
+ * order the files are walked. Scans of many files are spread across worker
+ * threads, unless `workers` is 0. Files that can't be read have no matches.
+ */
+export declare function scanFiles(options?: DetectionOptions): AsyncGenerator<FileScan>;
+export declare function detectFeatures(options?: DetectionOptions): Promise<DetectionResult>;
+/**
+ * The result of some file scans, such as the scans a watch keeps, as
+ * `detectFeatures()` would return it for those files.
+ */
+export declare function resultOfScans(scans: Iterable<FileScan>, options?: DetectionOptions): DetectionResult;
 export declare function formatDetectionResults(result: DetectionResult): string;
 export { detectFeatures as default };
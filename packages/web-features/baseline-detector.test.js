@@ -1,6 +1,10 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
-import { detectFeatures } from './baseline-detector.js';
+import { execFileSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { compileDetector, detectFeatures, getFileType, scanFile, scanFiles } from './baseline-detector.js';
 describe('baseline-detector', () => {
     it('should detect CSS Grid in CSS files', async () => {
         const result = await detectFeatures({ srcDir: './tests/fixtures/modern-app' });
@@ -10,6 +14,17 @@ describe('baseline-detector', () => {
         const result = await detectFeatures({ srcDir: './tests/fixtures/modern-app' });
         expect(result.found.has('async-await')).to.be.true;
     });
+    it('should not detect names in comments, strings and local variables', async () => {
+        const result = await detectFeatures({ srcDir: './tests/fixtures/false-positives' });
+        // The fixtures do use long-standing features, such as `display: block`
+        expect(Array.from(result.found)).to.have.members(['content', 'display', 'float-clear', 'promise']);
+    });
+    it('should not take globals that pages have too as uses of workers', () => {
+        const { matches } = scanFile('app.js', "navigator.share({ title: 'x' });\nlocation.reload();\n", 'js', compileDetector());
+        const featureIds = matches.map(({ featureId }) => featureId);
+        expect(featureIds).to.include('share');
+        expect(featureIds).to.not.include('dedicated-workers');
+    });
     it('should skip node_modules and hidden files', async () => {
         const result = await detectFeatures({ srcDir: './tests/fixtures' });
         expect(result.summary.filesScanned).to.be.greaterThan(0);
@@ -21,4 +36,118 @@ describe('baseline-detector', () => {
         expect(result.found).to.be.instanceOf(Set);
         expect(result.summary).to.have.property('filesScanned');
     });
+    it('should record where features were found', async () => {
+        const result = await detectFeatures({ srcDir: './tests/fixtures/abort-timeout', features: ['aborting'] });
+        expect(result.details.get('aborting').locations).to.deep.include({
+            file: path.join('tests', 'fixtures', 'abort-timeout', 'app.js'),
+            line: 3,
+            column: 47,
+            snippet: 'const response = await fetch(url, { signal: AbortSignal.timeout(5000) });',
+            guarded: false,
+            compatKey: 'api.AbortSignal.timeout_static',
+        });
+    });
+    it('should record every occurrence of a feature', async () => {
+        const result = await detectFeatures({ srcDir: './tests/fixtures/modern-app', features: ['has'] });
+        const locations = result.details.get('has').locations.map(({ line, snippet }) => `${line} ${snippet}`);
+        expect(locations).to.deep.equal(['11 .item:has(.icon) {', '16 .item:has(.error) {']);
+    });
+    it('should report uses suppressed by baseline-ignore comments separately', async () => {
+        const result = await detectFeatures({
+            srcDir: './tests/fixtures/suppressed',
+            features: ['aborting', 'async-clipboard', 'fetch', 'has'],
+        });
+        expect(Array.from(result.found)).to.deep.equal(['fetch']);
+        expect(Array.from(result.suppressed.keys())).to.have.members(['aborting', 'async-clipboard', 'has']);
+        expect(result.suppressed.get('has').locations[0]).to.include({ line: 3, column: 3 });
+        expect(result.summary.suppressedFeatures).to.equal(3);
+    });
+    it('should only take suppression pragmas from comments', () => {
+        const detector = compileDetector(['async-clipboard', 'dialog', 'has']);
+        const suppressed = (file, content) => scanFile(file, content, getFileType(file), detector).matches.map(({ featureId, suppressed }) => `${featureId} ${suppressed}`);
+        expect(suppressed('app.js', 'const s = "// baseline-disable";\nnavigator.clipboard.writeText(s);\n')).to.deep.equal(['async-clipboard false']);
+        expect(suppressed('app.js', 'const t = `\n// baseline-ignore-next-line\n`;\nnavigator.clipboard.writeText(t);\n')).to.deep.equal(['async-clipboard false']);
+        expect(suppressed('app.css', 'a::after { content: "/* baseline-disable */"; }\na:has(b) {}\n')).to.deep.equal(['has false']);
+        expect(suppressed('index.html', '<p>Add // baseline-disable to a file</p>\n<dialog></dialog>\n')).to.deep.equal(['dialog false']);
+        // Comments in each language, and in the scripts and styles of markup
+        expect(suppressed('app.js', 'const s = "a";\n// baseline-disable\nnavigator.clipboard.writeText(s);\n')).to.deep.equal(['async-clipboard true']);
+        expect(suppressed('app.scss', '// baseline-ignore-next-line\na:has(b) {}\n')).to.deep.equal(['has true']);
+        expect(suppressed('app.less', 'a:has(b) {} // baseline-ignore has\n')).to.deep.equal(['has true']);
+        expect(suppressed('index.html', '<!-- baseline-ignore-next-line -->\n<dialog></dialog>\n<style>\n/* baseline-ignore */\na:has(b) {}\n</style>\n')).to.deep.equal([
+            'dialog true',
+            'has true',
+        ]);
+        // Pragmas on a later line of a block comment
+        expect(suppressed('app.js', '/**\n * Copies the link.\n * baseline-ignore async-clipboard\n */\nnavigator.clipboard.writeText(s);\n')).to.deep.equal(['async-clipboard true']);
+        expect(suppressed('app.css', '/*\n  Menus\n  baseline-ignore-next-line\n*/\na:has(b) {}\n')).to.deep.equal(['has true']);
+    });
+    it('should scan HTML and Vue, Svelte and Astro components', async () => {
+        const result = await detectFeatures({
+            srcDir: './tests/fixtures/components',
+            features: ['aborting', 'async-clipboard', 'dialog', 'fetch', 'has', 'popover'],
+        });
+        expect(Array.from(result.found)).to.have.members(['aborting', 'async-clipboard', 'dialog', 'fetch', 'has', 'popover']);
+        const files = (featureId) => result.details.get(featureId).locations.map(({ file }) => path.basename(file));
+        expect(files('has')).to.have.members(['Confirm.vue', 'Menu.svelte', 'index.html']);
+        expect(files('fetch')).to.deep.equal(['Layout.astro']);
+        expect(result.suppressed.get('dialog').locations[0]).to.include({ line: 14, column: 5 });
+    });
+    it('should stream the matches of each file in walk order', async () => {
+        const files = [];
+        for await (const scan of scanFiles({ srcDir: './tests/fixtures/modern-app', features: ['grid', 'has'] })) {
+            files.push(path.basename(scan.file));
+            if (scan.file.endsWith('.css')) {
+                expect(scan.matches.map(({ featureId }) => featureId)).to.include.members(['grid', 'has']);
+                expect(scan.matches[0]).to.include({ suppressed: false, guarded: false });
+            }
+        }
+        expect(files).to.deep.equal(['App.css', 'App.js', 'App.tsx']);
+    });
+    it('should find the same uses with worker threads', async () => {
+        const options = { srcDir: './tests/fixtures/components', features: ['aborting', 'dialog', 'fetch', 'has'] };
+        const inProcess = await detectFeatures({ ...options, workers: 0 });
+        const withWorkers = await detectFeatures({ ...options, workers: 2 });
+        expect(Array.from(withWorkers.found)).to.deep.equal(Array.from(inProcess.found));
+        expect(Array.from(withWorkers.details)).to.deep.equal(Array.from(inProcess.details));
+        expect(Array.from(withWorkers.suppressed)).to.deep.equal(Array.from(inProcess.suppressed));
+    });
+    it('should load the patterns of the feature data from any working directory', () => {
+        const script = `
+      import { detectFeatures } from ${JSON.stringify(new URL('./baseline-detector.js', import.meta.url).href)};
+      const result = await detectFeatures({ srcDir: ${JSON.stringify(path.resolve('tests/fixtures/modern-app'))} });
+      console.log(result.found.has('grid'));
+    `;
+        const output = execFileSync('node', ['--input-type=module', '-e', script], { cwd: os.tmpdir(), encoding: 'utf8' });
+        expect(output.trim()).to.equal('true');
+    });
+    it('should scan with a custom set of patterns', async () => {
+        const patterns = { 'display-grid': [{ kind: 'css-value', value: 'grid', property: 'display' }] };
+        const result = await detectFeatures({ srcDir: './tests/fixtures/modern-app', patterns });
+        expect(Array.from(result.found)).to.deep.equal(['display-grid']);
+        expect(result.summary.totalFeatures).to.equal(1);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-patterns-'));
+        try {
+            const patternsPath = path.join(dir, 'patterns.json');
+            fs.writeFileSync(patternsPath, JSON.stringify(patterns));
+            const fromFile = await detectFeatures({ srcDir: './tests/fixtures/modern-app', patternsPath, workers: 1 });
+            expect(Array.from(fromFile.details)).to.deep.equal(Array.from(result.details));
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+    it('should reject custom patterns with compat keys their feature does not have', async () => {
+        const patterns = { grid: [{ kind: 'css-property', name: 'grid-area', compat_key: 'css.properties.grid-areas' }] };
+        let error;
+        try {
+            await detectFeatures({ srcDir: './tests/fixtures/modern-app', patterns });
+        }
+        catch (caught) {
+            error = caught;
+        }
+        expect(error?.message).to.equal('detection pattern compat_key css.properties.grid-areas of grid in the patterns option is not in its compat_features.');
+        // Features the feature data doesn't have aren't checked for support
+        const custom = await detectFeatures({ srcDir: './tests/fixtures/modern-app', patterns: { 'grid-area': patterns.grid } });
+        expect(custom.summary.totalFeatures).to.equal(1);
+    });
 });
@@ -2,103 +2,132 @@
 /**
  * Baseline Feature Detector
  * 
- * Uses the actual detection_patterns from baseline feature YAML files
- * instead of hardcoded patterns.
+ * Uses the actual detection_patterns of the published feature data
+ * (`data.json`), whatever the working directory, or a custom set of patterns
+ * given with the `patterns` or `patternsPath` option. Structured patterns are matched against
+ * syntax trees of the scanned files, `regex` patterns against their raw text.
+ * Uses marked by `baseline-ignore` comments (see `suppressions.ts`) are
+ * reported apart from the others.
+ *
+ * Patterns are compiled once per process into a pattern index and a
+ * prefilter (see `prefilter.ts`). Scans of many files are spread across
+ * worker threads (see `detector-worker.ts`), and `scanFiles()` streams the
+ * matches of each file, in the order the files are walked, as they're found.
+ * With the `cache` option, the matches of each file are kept on disk by the
+ * hash of its content (see `scan-cache.ts`), so that re-runs only scan the
+ * files that changed.
  */
 
 import * as fs from "node:fs";
+import * as os from "node:os";
 import * as path from "node:path";
-import { readFileSync } from "node:fs";
-// Simple YAML parser for basic key-value extraction
-function parseYamlSimple(content: string): any {
-  const result: any = {};
-  const lines = content.split('\n');
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('#') || !trimmed) continue;
-    
-    if (trimmed.includes(':')) {
-      const [key, ...valueParts] = trimmed.split(':');
-      const keyTrimmed = key.trim();
-      const valueTrimmed = valueParts.join(':').trim();
-      
-      if (keyTrimmed === 'detection_patterns') {
-        result.detection_patterns = {};
-      } else if (keyTrimmed === 'file_types') {
-        result.file_types = [];
-      } else if (keyTrimmed === 'name') {
-        result.name = valueTrimmed;
-      } else if (keyTrimmed === 'description') {
-        result.description = valueTrimmed;
-      } else if (keyTrimmed === 'status') {
-        result.status = {};
-      } else if (result.detection_patterns && keyTrimmed.match(/^(css|js|ts|jsx|tsx)$/)) {
-        // Parse detection pattern arrays for specific file types
-        if (valueTrimmed.startsWith('[') && valueTrimmed.endsWith(']')) {
-          const patterns = valueTrimmed.slice(1, -1).split(',').map(p => p.trim().replace(/^["']|["']$/g, ''));
-          result.detection_patterns[keyTrimmed] = patterns;
-        }
-      } else if (result.file_types && valueTrimmed.startsWith('[') && valueTrimmed.endsWith(']')) {
-        const types = valueTrimmed.slice(1, -1).split(',').map(t => t.trim().replace(/^["']|["']$/g, ''));
-        result.file_types = types;
-      } else if (result.status && keyTrimmed.startsWith('  ') && keyTrimmed.includes(':')) {
-        const statusKey = keyTrimmed.trim();
-        result.status[statusKey] = valueTrimmed;
-      }
-    }
-  }
-  
-  return result;
-}
+import { Worker } from "node:worker_threads";
 import { features } from "./index.js";
-import { FeatureData } from "../../types.js";
-
-type FileType = 'js' | 'ts' | 'jsx' | 'tsx' | 'css' | 'scss' | 'less' | 'other';
-
-interface DetectionPatterns {
-  [fileType: string]: string[];
-}
+import { DetectionPattern, FeatureData, RegexPattern } from "../../types.js";
+import { buildPatternIndex, PatternIndex, PatternMatch, SourceComment } from "./detection-patterns.js";
+import { matchCss } from "./css-detector.js";
+import { matchJs } from "./js-detector.js";
+import { matchHtml } from "./html-detector.js";
+import { buildPrefilter, patternTokens, Prefilter, PrefilterTarget } from "./prefilter.js";
+import { parseSuppressions } from "./suppressions.js";
+import { lineStarts, positionAt } from "./source-position.js";
+import { cacheDirFor, contentHash, openScanCache } from "./scan-cache.js";
+import { SourceFileOptions, walkSourceFiles, walkSourcePaths } from "./source-files.js";
 
-// Extended feature data that includes detection patterns (not in official types)
-interface FeatureWithDetection extends FeatureData {
-  detection_patterns?: DetectionPatterns;
-  file_types?: string[];
-}
+export type FileType = 'js' | 'ts' | 'jsx' | 'tsx' | 'css' | 'scss' | 'less' | 'html' | 'vue' | 'svelte' | 'astro' | 'other';
 
 interface CompiledPattern {
   name: string;
   description: string;
-  patterns: {
-    [fileType in FileType]?: RegExp[];
+  patterns: DetectionPattern[];
+  regexes: {
+    [fileType in FileType]?: Array<{ pattern: RegexPattern; regex: RegExp }>;
   };
-  fileTypes: string[];
   baseline?: string;
 }
 
-interface DetectionOptions {
+// `include` and `exclude` globs are relative to `srcDir`; see `source-files.ts`
+export interface DetectionOptions extends SourceFileOptions, PatternSource {
   srcDir: string;
   fileTypes?: FileType[];
   features?: string[];
+  // Feature IDs whose uses are all suppressed, as if by `baseline-ignore`
+  // comments
+  suppress?: string[];
+  // The worker threads to scan with, or 0 to scan on the main thread; by
+  // default, one fewer than the CPUs for scans of many files
+  workers?: number;
+  // Whether to cache the matches of scanned files on disk, or the directory
+  // to cache them in rather than `node_modules/.cache/baseline`
+  cache?: boolean | string;
+  // Only scan these of the walked files, or the walked files in these
+  // directories, such as the files a change touched
+  files?: string[];
 }
 
-interface DetectionDetail {
+export interface DetectionLocation {
+  file: string;
+  // Where the match starts, both 1-based
+  line: number;
+  column: number;
+  // The source line the match is on, trimmed
+  snippet: string;
+  // Whether the use is inside a check for it, such as
+  // `if ('clipboard' in navigator)` or `@supports selector(:has(a))`
+  guarded: boolean;
+  // The compat key of the matched pattern, if it has one
+  compatKey?: string;
+}
+
+export interface DetectionDetail {
   files: string[];
   matches: string[];
+  // The compat keys of the matched patterns, for patterns that have one
+  compatKeys: string[];
+  locations: DetectionLocation[];
 }
 
-interface DetectionResult {
+// A match in a scanned file
+export interface FileMatch {
+  featureId: string;
+  text: string;
+  line: number;
+  column: number;
+  snippet: string;
+  guarded: boolean;
+  compatKey?: string;
+  // Whether the use is suppressed by a comment or the `suppress` option
+  suppressed: boolean;
+}
+
+// The matches in a scanned file, by feature in the order each was first
+// found, and by position for each feature
+export interface FileScan {
+  file: string;
+  matches: FileMatch[];
+}
+
+export interface DetectionResult {
   found: Set<string>;
   details: Map<string, DetectionDetail>;
+  // Uses suppressed by `baseline-ignore` comments or the `suppress` option,
+  // which aren't in `found` or `details` unless the feature is also used
+  // elsewhere
+  suppressed: Map<string, DetectionDetail>;
   summary: {
     totalFiles: number;
+    // The same count, by the name reports give it
+    filesScanned: number;
     totalFeatures: number;
     detectedFeatures: number;
+    suppressedFeatures: number;
   };
 }
 
 // File type mapping
-function getFileType(filePath: string): FileType {
+export function getFileType(filePath: string): FileType {
+  // Declaration files hold no code that runs
+  if (filePath.toLowerCase().endsWith('.d.ts')) return 'other';
   const ext = path.extname(filePath).toLowerCase();
   switch (ext) {
     case '.js': return 'js';
@@ -108,194 +137,529 @@ function getFileType(filePath: string): FileType {
     case '.css': return 'css';
     case '.scss': return 'scss';
     case '.less': return 'less';
+    case '.html':
+    case '.htm': return 'html';
+    case '.vue': return 'vue';
+    case '.svelte': return 'svelte';
+    case '.astro': return 'astro';
     default: return 'other';
   }
 }
 
-// File walking utility
-function* walkDirectory(dir: string): Generator<string> {
-  const stack = [dir];
-  while (stack.length > 0) {
-    const currentDir = stack.pop()!;
-    try {
-      const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(currentDir, entry.name);
-        if (entry.isDirectory()) {
-          // Skip node_modules, .git, etc.
-          if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
-            stack.push(fullPath);
-          }
-        } else if (entry.isFile()) {
-          yield fullPath;
-        }
+// The source line of a match, trimmed and cut to a readable length
+function snippetAt(lines: string[], line: number): string {
+  const text = (lines[line - 1] ?? '').trim();
+  return text.length > 120 ? `${text.slice(0, 119)}…` : text;
+}
+
+const regexFileTypes: FileType[] = ['js', 'ts', 'jsx', 'tsx', 'css', 'scss', 'less', 'html', 'vue', 'svelte', 'astro'];
+
+// Compile the `regex` patterns of a feature; structured patterns are kept as
+// they are and matched on syntax trees
+function compileFeaturePatterns(
+  featureId: string,
+  feature: { name?: string; description?: string; status?: { baseline?: unknown } },
+  detectionPatterns: DetectionPattern[]
+): CompiledPattern | undefined {
+  if (!Array.isArray(detectionPatterns) || detectionPatterns.length === 0) return undefined;
+
+  const regexes: CompiledPattern['regexes'] = {};
+  for (const pattern of detectionPatterns) {
+    if (pattern.kind !== 'regex') continue;
+    for (const fileType of pattern.file_types) {
+      if (regexFileTypes.includes(fileType as FileType)) {
+        (regexes[fileType as FileType] ??= []).push({ pattern, regex: new RegExp(pattern.pattern, 'g') });
       }
-    } catch (error) {
-      // Skip directories we can't read
-      continue;
     }
   }
+
+  return {
+    name: feature.name || featureId,
+    description: feature.description || "No description",
+    patterns: detectionPatterns,
+    regexes,
+    baseline: String(feature.status?.baseline || 'unknown')
+  };
+}
+
+// Detection patterns by feature ID
+export type PatternSet = Record<string, DetectionPattern[]>;
+
+// Where the patterns of a scan come from: the feature data by default
+export interface PatternSource {
+  // A custom set of patterns, used instead of the feature data's
+  patterns?: PatternSet;
+  // A JSON file of a custom set of patterns
+  patternsPath?: string;
+}
+
+// The patterns of the published feature data, from `data.json`
+function publishedPatterns(): PatternSet {
+  const patterns: PatternSet = {};
+  for (const [featureId, feature] of Object.entries(features)) {
+    if (!feature || feature.kind !== "feature") continue;
+    const detectionPatterns = (feature as FeatureData).detection_patterns;
+    if (detectionPatterns) patterns[featureId] = detectionPatterns;
+  }
+  return patterns;
 }
 
-// Build detection patterns from YAML source files directly
-function buildDetectionPatterns(): Record<string, CompiledPattern> {
+// Compile a set of detection patterns, with the names and statuses of the
+// feature data; features it doesn't have are named by their IDs
+function buildDetectionPatterns(patternSet: PatternSet): Record<string, CompiledPattern> {
   const patterns: Record<string, CompiledPattern> = {};
-  
-  // Read YAML files directly from features directory
-  const featuresDir = path.resolve(process.cwd(), '../../features');
-  
-  try {
-    const featureFiles = fs.readdirSync(featuresDir).filter(file => file.endsWith('.yml'));
-    
-    for (const file of featureFiles) {
-      const featureId = path.basename(file, '.yml');
-      const filePath = path.join(featuresDir, file);
-      
-      try {
-        const yamlContent = readFileSync(filePath, 'utf8');
-        const yamlData = parseYamlSimple(yamlContent);
-        
-        if (!yamlData.detection_patterns) continue;
-        
-        const compiledPatterns: { [fileType in FileType]?: RegExp[] } = {};
-        
-        // Convert string patterns to regex for each file type
-        for (const [fileType, patternStrings] of Object.entries(yamlData.detection_patterns)) {
-          if (Array.isArray(patternStrings)) {
-            const validFileType = ['js', 'ts', 'jsx', 'tsx', 'css', 'scss', 'less'].includes(fileType);
-            if (validFileType) {
-              compiledPatterns[fileType as FileType] = patternStrings.map((pattern: string) => 
-                new RegExp(pattern, 'g')
-              );
-            }
-          }
-        }
-        
-        if (Object.keys(compiledPatterns).length > 0) {
-          patterns[featureId] = {
-            name: yamlData.name || featureId,
-            description: yamlData.description || "No description",
-            patterns: compiledPatterns,
-            fileTypes: yamlData.file_types || [],
-            baseline: String(yamlData.status?.baseline || 'unknown')
-          };
-        }
-      } catch (error) {
-        // Skip files we can't parse
-        continue;
+  for (const [featureId, detectionPatterns] of Object.entries(patternSet)) {
+    const feature = (features[featureId] as FeatureData) ?? {};
+    const compiled = compileFeaturePatterns(featureId, feature, detectionPatterns);
+    if (compiled) {
+      patterns[featureId] = compiled;
+    }
+  }
+  return patterns;
+}
+
+// The patterns of the active features, compiled for scanning
+export interface CompiledDetector {
+  featureCount: number;
+  // A hash of the patterns, the feature data and the matching code, which
+  // cached scans are only valid for
+  version: string;
+  index: PatternIndex;
+  regexes: {
+    [fileType in FileType]?: Array<{ featureId: string; pattern: RegexPattern; regex: RegExp; target: PrefilterTarget }>;
+  };
+  prefilter: Prefilter;
+}
+
+// The compiled patterns of each source, and the detectors of each set of
+// features of a source
+const allPatterns = new Map<string, Record<string, CompiledPattern>>();
+const detectors = new Map<string, CompiledDetector>();
+
+// The modules whose code decides what a file matches
+const matcherModules = ['baseline-detector', 'detection-patterns', 'js-detector', 'css-detector', 'html-detector', 'prefilter', 'source-position', 'suppressions'];
+let matcherHash: string | undefined;
+
+// A hash of the code of the matcher modules as they run, the compiled `.js`
+// files or, in development, the `.ts` sources, so that an update or a local
+// change to how files are matched doesn't reuse cached scans
+function matcherVersion(): string {
+  if (matcherHash === undefined) {
+    const extension = path.extname(new URL(import.meta.url).pathname);
+    matcherHash = contentHash(...matcherModules.map((name) => fs.readFileSync(new URL(`./${name}${extension}`, import.meta.url))));
+  }
+  return matcherHash;
+}
+
+// Check that the patterns of a custom set for the features of the feature
+// data only name compat keys of their `compat_features`, as the feature
+// data's own patterns must, since the support of a use is looked up by its key
+function checkCompatKeys(patternSet: PatternSet, source: string): void {
+  for (const [featureId, detectionPatterns] of Object.entries(patternSet)) {
+    const feature = features[featureId] as FeatureData;
+    if (!feature || feature.kind !== "feature") continue;
+    for (const { compat_key } of detectionPatterns) {
+      if (compat_key && !feature.compat_features?.includes(compat_key)) {
+        throw new Error(`detection pattern compat_key ${compat_key} of ${featureId} in ${source} is not in its compat_features.`);
       }
     }
-  } catch (error) {
-    // Fallback to built features data if YAML reading fails
-    console.warn('Could not read YAML files, falling back to built features data');
-    for (const [featureId, feature] of Object.entries(features)) {
-      if (!feature || feature.kind !== "feature") continue;
-      
-      const detectionPatterns = (feature as FeatureWithDetection).detection_patterns;
-      if (!detectionPatterns) continue;
-      
-      const compiledPatterns: { [fileType in FileType]?: RegExp[] } = {};
-      
-      for (const [fileType, patternStrings] of Object.entries(detectionPatterns)) {
-        if (Array.isArray(patternStrings)) {
-          const validFileType = ['js', 'ts', 'jsx', 'tsx', 'css', 'scss', 'less'].includes(fileType);
-          if (validFileType) {
-            compiledPatterns[fileType as FileType] = patternStrings.map(pattern => 
-              new RegExp(pattern, 'g')
-            );
-          }
-        }
+  }
+}
+
+// The patterns of a source, and a key that identifies them
+function loadPatterns({ patterns, patternsPath }: PatternSource): { key: string; patternSet?: PatternSet } {
+  if (patterns) {
+    checkCompatKeys(patterns, 'the patterns option');
+    return { key: contentHash(JSON.stringify(patterns)), patternSet: patterns };
+  }
+  if (patternsPath) {
+    const content = fs.readFileSync(patternsPath, 'utf8');
+    const patternSet: PatternSet = JSON.parse(content);
+    checkCompatKeys(patternSet, patternsPath);
+    return { key: contentHash(content), patternSet };
+  }
+  return { key: 'published' };
+}
+
+// The languages whose structured patterns a file type is matched against
+function languagesOf(fileType: FileType): PrefilterTarget[] {
+  switch (fileType) {
+    case 'js':
+    case 'ts':
+    case 'jsx':
+    case 'tsx':
+      return ['js'];
+    case 'css':
+    case 'scss':
+    case 'less':
+      return ['css'];
+    case 'html':
+    case 'vue':
+    case 'svelte':
+    case 'astro':
+      // Markup can hold scripts and styles
+      return ['html', 'js', 'css'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compile the patterns of some features, or of all of them, for scanning,
+ * from the feature data or a custom set of patterns. Each source is compiled
+ * once per process, and so is each set of its features.
+ */
+export function compileDetector(featureIds: string[] = [], source: PatternSource = {}): CompiledDetector {
+  const { key: sourceKey, patternSet } = loadPatterns(source);
+  const key = `${sourceKey}:${featureIds.join(',')}`;
+  const cached = detectors.get(key);
+  if (cached) return cached;
+
+  if (!allPatterns.has(sourceKey)) allPatterns.set(sourceKey, buildDetectionPatterns(patternSet ?? publishedPatterns()));
+  const sourcePatterns = allPatterns.get(sourceKey)!;
+  const activePatterns = featureIds.length > 0
+    ? Object.fromEntries(Object.entries(sourcePatterns).filter(([id]) => featureIds.includes(id)))
+    : sourcePatterns;
+  const index = buildPatternIndex(
+    Object.fromEntries(Object.entries(activePatterns).map(([id, feature]) => [id, feature.patterns]))
+  );
+
+  const tokens = new Map<PrefilterTarget, Array<string[] | undefined>>();
+  const addTokens = (target: PrefilterTarget, pattern: DetectionPattern) => {
+    if (!tokens.has(target)) tokens.set(target, []);
+    tokens.get(target)!.push(patternTokens(pattern));
+  };
+  const regexes: CompiledDetector['regexes'] = {};
+  const targets = new Map<RegexPattern, PrefilterTarget>();
+  for (const [featureId, feature] of Object.entries(activePatterns)) {
+    for (const pattern of feature.patterns) {
+      if (pattern.kind === 'regex') {
+        targets.set(pattern, `regex:${targets.size}`);
+        addTokens(targets.get(pattern)!, pattern);
+      } else {
+        addTokens(pattern.kind.startsWith('js-') ? 'js' : pattern.kind.startsWith('css-') ? 'css' : 'html', pattern);
       }
-      
-      if (Object.keys(compiledPatterns).length > 0) {
-        patterns[featureId] = {
-          name: (feature as FeatureData).name || featureId,
-          description: (feature as FeatureData).description || "No description",
-          patterns: compiledPatterns,
-          fileTypes: (feature as FeatureWithDetection).file_types || [],
-          baseline: String((feature as FeatureData).status?.baseline || 'unknown')
-        };
+    }
+    for (const [fileType, compiled] of Object.entries(feature.regexes) as Array<[FileType, CompiledPattern['regexes'][FileType]]>) {
+      for (const { pattern, regex } of compiled) {
+        (regexes[fileType] ??= []).push({ featureId, pattern, regex, target: targets.get(pattern)! });
       }
     }
   }
-  
-  return patterns;
+
+  const version = contentHash(
+    JSON.stringify(Object.entries(activePatterns).map(([id, feature]) => [id, feature.patterns])),
+    fs.readFileSync(new URL('./data.json', import.meta.url)),
+    matcherVersion(),
+  );
+  const detector = { featureCount: Object.keys(activePatterns).length, version, index, regexes, prefilter: buildPrefilter(tokens) };
+  detectors.set(key, detector);
+  return detector;
 }
 
-// Main detection function
-export function detectFeatures(options: DetectionOptions = { srcDir: '' }): DetectionResult {
-  const { srcDir, fileTypes = [], features = [] } = options;
-  
-  const found = new Set<string>();
-  const details = new Map<string, DetectionDetail>();
-  let totalFiles = 0;
+// An index with no patterns, to parse a file only for its comments
+const noPatterns = buildPatternIndex({});
+
+// Run the matchers for a file's language; throws if the file can't be parsed
+// and adds the comments it finds to `comments`
+function matchFile(fileContent: string, fileType: FileType, index: PatternIndex, comments: SourceComment[]): PatternMatch[] {
+  switch (fileType) {
+    case 'js':
+    case 'ts':
+    case 'jsx':
+    case 'tsx':
+      return matchJs(fileContent, fileType, index, comments);
+    case 'css':
+    case 'scss':
+    case 'less':
+      return matchCss(fileContent, fileType, index, comments);
+    case 'html':
+    case 'vue':
+    case 'svelte':
+    case 'astro':
+      return matchHtml(fileContent, fileType, index, comments);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Scan the content of a file for the patterns of a detector.
+ */
+export function scanFile(filePath: string, fileContent: string, fileType: FileType, detector: CompiledDetector, suppress: string[] = []): FileScan {
+  // Every match in the file, by feature
+  const fileMatches = new Map<string, PatternMatch[]>();
+  const record = (match: PatternMatch) => {
+    if (!fileMatches.has(match.featureId)) {
+      fileMatches.set(match.featureId, []);
+    }
+    fileMatches.get(match.featureId)!.push(match);
+  };
   
-  // Build patterns from actual feature data
-  const allPatterns = buildDetectionPatterns();
+  // The file's comments, once it's been parsed
+  let comments: SourceComment[] | undefined;
+  const candidates = detector.prefilter.candidates(fileContent);
+  if (languagesOf(fileType).some((language) => candidates.has(language))) {
+    try {
+      const found: SourceComment[] = [];
+      for (const match of matchFile(fileContent, fileType, detector.index, found)) {
+        record(match);
+      }
+      comments = found;
+    } catch (error) {
+      // Skip syntax tree matching for files we can't parse
+    }
+  }
   
-  // Filter patterns if specific features requested
-  const activePatterns = features.length > 0 
-    ? Object.fromEntries(Object.entries(allPatterns).filter(([id]) => features.includes(id)))
-    : allPatterns;
+  // Check the raw text patterns that can match
+  const regexes = (detector.regexes[fileType] ?? []).filter(({ target }) => candidates.has(target));
+  const starts = regexes.length > 0 ? lineStarts(fileContent) : [];
+  for (const { featureId, pattern, regex } of regexes) {
+    regex.lastIndex = 0; // Reset regex state
+    let match: RegExpExecArray | null;
+    while ((match = regex.exec(fileContent))) {
+      record({ featureId, pattern, text: match[0], ...positionAt(starts, match.index) });
+      // Don't get stuck on empty matches
+      if (match[0] === '') regex.lastIndex++;
+    }
+  }
   
-  // Walk through source directory
-  for (const filePath of Array.from(walkDirectory(srcDir))) {
-    const fileType = getFileType(filePath);
-    
+  // Suppressions are read from the comments, so a file the prefilter let
+  // skip is parsed for them if it has matches they might suppress
+  if (!comments && fileMatches.size > 0 && fileContent.includes('baseline-')) {
+    try {
+      const found: SourceComment[] = [];
+      matchFile(fileContent, fileType, noPatterns, found);
+      comments = found;
+    } catch (error) {
+      // Look for suppressions in the raw text of files we can't parse
+    }
+  }
+
+  const lines = fileContent.split('\n');
+  const suppressions = parseSuppressions(fileContent, comments);
+  const matches: FileMatch[] = [];
+  for (const [featureId, featureMatches] of Array.from(fileMatches)) {
+    featureMatches.sort((a, b) => a.line - b.line || a.column - b.column);
+    for (const { pattern, text, line, column, guarded = false } of featureMatches) {
+      matches.push({
+        featureId,
+        text,
+        line,
+        column,
+        snippet: snippetAt(lines, line),
+        guarded,
+        compatKey: pattern.compat_key,
+        suppressed: suppress.includes(featureId) || suppressions.isSuppressed(featureId, line),
+      });
+    }
+  }
+  return { file: filePath, matches };
+}
+
+// The files of a scan with the types to scan them as
+function* scannedFiles(options: DetectionOptions): Generator<{ file: string; fileType: FileType }> {
+  const { srcDir, fileTypes = [], include, exclude } = options;
+  // Given the files to scan, only the ignore files on their way are read
+  const files = options.files ? walkSourcePaths(srcDir, options.files, { include, exclude }) : walkSourceFiles(srcDir, { include, exclude });
+  for (const file of files) {
+    const fileType = getFileType(file);
     // Skip files we don't care about
     if (fileType === 'other') continue;
     if (fileTypes.length > 0 && !fileTypes.includes(fileType)) continue;
-    
-    totalFiles++;
-    
+    yield { file, fileType };
+  }
+}
+
+// Scans of fewer files than this stay on the main thread by default, since
+// each worker compiles the patterns again
+const MIN_FILES_FOR_WORKERS = 500;
+
+// The worker threads to scan many files with by default
+function defaultWorkers(): number {
+  const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(cpus - 1, 0);
+}
+
+// A pool of detector workers, each scanning one file at a time
+function startWorkers(size: number, featureIds: string[], source: PatternSource, suppress: string[]) {
+  const pending = new Map<number, { file: string; resolve: (scan: FileScan) => void; reject: (error: Error) => void; worker: Worker }>();
+  // The workers still running, by the number of files they've been sent
+  const load = new Map<Worker, number>();
+  let nextId = 0;
+  let closing = false;
+  // Fail the scans a worker was sent
+  const fail = (worker: Worker, error: (file: string) => Error) => {
+    for (const [id, task] of Array.from(pending)) {
+      if (task.worker !== worker) continue;
+      pending.delete(id);
+      task.reject(error(task.file));
+    }
+  };
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(new URL('./detector-worker.js', import.meta.url), { workerData: { featureIds, source, suppress } });
+    load.set(worker, 0);
+    worker.on('message', ({ id, scan }: { id: number; scan: FileScan }) => {
+      const task = pending.get(id);
+      pending.delete(id);
+      load.set(worker, load.get(worker)! - 1);
+      task?.resolve(scan);
+    });
+    worker.on('error', (error) => fail(worker, () => error));
+    // A worker can also stop without an error, as when it runs out of memory
+    worker.on('exit', (code) => {
+      load.delete(worker);
+      if (!closing) fail(worker, (file) => new Error(`The scan of ${file} stopped: its worker exited with code ${code}.`));
+    });
+  }
+
+  return {
+    scan(file: string, fileContent: string, fileType: FileType): Promise<FileScan> {
+      if (load.size === 0) return Promise.reject(new Error(`Can't scan ${file}: every scan worker has exited.`));
+      // The least busy worker
+      const [worker] = Array.from(load).reduce((a, b) => (b[1] < a[1] ? b : a));
+      const id = nextId++;
+      load.set(worker, load.get(worker)! + 1);
+      const scan = new Promise<FileScan>((resolve, reject) => pending.set(id, { file, resolve, reject, worker }));
+      worker.postMessage({ id, file, fileContent, fileType });
+      return scan;
+    },
+    async close(): Promise<void> {
+      closing = true;
+      await Promise.all(Array.from(load.keys()).map((worker) => worker.terminate()));
+    },
+  };
+}
+
+/**
+ * Scan the files of a directory, yielding the matches in each file in the
+ * order the files are walked. Scans of many files are spread across worker
+ * threads, unless `workers` is 0. Files that can't be read have no matches.
+ */
+export async function* scanFiles(options: DetectionOptions = { srcDir: '' }): AsyncGenerator<FileScan> {
+  const { srcDir, features = [], suppress = [], cache = false, patterns, patternsPath } = options;
+  const source = { patterns, patternsPath };
+  const files = scannedFiles(options);
+
+  // Scans of a few files stay on the main thread
+  const first: Array<{ file: string; fileType: FileType }> = [];
+  if (options.workers === undefined) {
+    for (let next = files.next(); !next.done; next = files.next()) {
+      first.push(next.value);
+      if (first.length >= MIN_FILES_FOR_WORKERS) break;
+    }
+  }
+  const all = (function* () {
+    yield* first;
+    yield* files;
+  })();
+  const poolSize = options.workers ?? (first.length >= MIN_FILES_FOR_WORKERS ? defaultWorkers() : 0);
+
+  const detector = compileDetector(features, source);
+  const cacheDir = cache === true ? cacheDirFor(srcDir) : cache || undefined;
+  const scanCache = cacheDir ? openScanCache(cacheDir, contentHash(detector.version, JSON.stringify(suppress))) : undefined;
+  const pool = poolSize > 0 ? startWorkers(poolSize, features, source, suppress) : undefined;
+
+  // The matches in a file, from the cache, this thread or a worker
+  const scan = (file: string, fileType: FileType): FileScan | Promise<FileScan> => {
     let fileContent: string;
     try {
-      fileContent = fs.readFileSync(filePath, 'utf8');
+      fileContent = fs.readFileSync(file, 'utf8');
     } catch (error) {
-      continue; // Skip files we can't read
+      return { file, matches: [] };
     }
-    
-    // Check each feature pattern
-    for (const [featureId, feature] of Object.entries(activePatterns)) {
-      const patterns = feature.patterns[fileType];
-      if (!patterns) continue;
-      
-      let hasMatch = false;
-      const matches: string[] = [];
-      
-      for (const pattern of patterns) {
-        pattern.lastIndex = 0; // Reset regex state
-        const match = pattern.exec(fileContent);
-        if (match) {
-          hasMatch = true;
-          matches.push(match[0]);
-        }
-      }
-      
-      if (hasMatch) {
-        found.add(featureId);
-        
-        if (!details.has(featureId)) {
-          details.set(featureId, { files: [], matches: [] });
-        }
-        const detail = details.get(featureId)!;
-        detail.files.push(filePath);
-        detail.matches.push(...matches);
-      }
+    const hash = scanCache && contentHash(fileType, fileContent);
+    const cached = hash && scanCache.get(hash);
+    if (cached) return { file, matches: cached };
+    const remember = (scanned: FileScan) => {
+      if (hash) scanCache.set(hash, scanned.matches);
+      return scanned;
+    };
+    if (!pool) return remember(scanFile(file, fileContent, fileType, detector, suppress));
+    const scanned = pool.scan(file, fileContent, fileType).then(remember);
+    // Failures surface when the scan is awaited
+    scanned.catch(() => undefined);
+    return scanned;
+  };
+
+  // Scans in walk order, with a few files per worker in flight
+  const queue: Array<FileScan | Promise<FileScan>> = [];
+  const inFlight = Math.max(poolSize * 8, 1);
+  try {
+    for (const { file, fileType } of all) {
+      queue.push(scan(file, fileType));
+      if (queue.length >= inFlight) yield await queue.shift()!;
     }
+    while (queue.length > 0) yield await queue.shift()!;
+  } finally {
+    scanCache?.save();
+    await pool?.close();
   }
-  
-  return {
-    found,
-    details,
-    summary: {
-      totalFiles,
-      totalFeatures: Object.keys(activePatterns).length,
-      detectedFeatures: found.size
+}
+
+// Add the matches in a scanned file to a result
+function collect(result: DetectionResult, { file, matches }: FileScan): void {
+  for (const { featureId, text, line, column, snippet, guarded, compatKey, suppressed } of matches) {
+    const target = suppressed ? result.suppressed : result.details;
+    if (!suppressed) result.found.add(featureId);
+    if (!target.has(featureId)) {
+      target.set(featureId, { files: [], matches: [], compatKeys: [], locations: [] });
+    }
+    const detail = target.get(featureId)!;
+    if (!detail.files.includes(file)) {
+      detail.files.push(file);
+    }
+    detail.matches.push(text);
+    detail.locations.push({ file, line, column, snippet, guarded, compatKey });
+    if (compatKey && !detail.compatKeys.includes(compatKey)) {
+      detail.compatKeys.push(compatKey);
     }
+  }
+}
+
+// An empty result of a scan with some options
+function newResult(options: DetectionOptions): DetectionResult {
+  return {
+    found: new Set(),
+    details: new Map(),
+    suppressed: new Map(),
+    summary: { totalFiles: 0, filesScanned: 0, totalFeatures: compileDetector(options.features, options).featureCount, detectedFeatures: 0, suppressedFeatures: 0 },
   };
 }
 
+// Count the features of a result once every scan is collected
+function summarize(result: DetectionResult): DetectionResult {
+  result.summary.filesScanned = result.summary.totalFiles;
+  result.summary.detectedFeatures = result.found.size;
+  result.summary.suppressedFeatures = result.suppressed.size;
+  return result;
+}
+
+// Main detection function
+export async function detectFeatures(options: DetectionOptions = { srcDir: '' }): Promise<DetectionResult> {
+  const result = newResult(options);
+  
+  for await (const scan of scanFiles(options)) {
+    result.summary.totalFiles++;
+    collect(result, scan);
+  }
+  
+  return summarize(result);
+}
+
+/**
+ * The result of some file scans, such as the scans a watch keeps, as
+ * `detectFeatures()` would return it for those files.
+ */
+export function resultOfScans(scans: Iterable<FileScan>, options: DetectionOptions = { srcDir: '' }): DetectionResult {
+  const result = newResult(options);
+  for (const scan of Array.from(scans)) {
+    result.summary.totalFiles++;
+    collect(result, scan);
+  }
+  return summarize(result);
+}
+
 // Utility function for CLI tools
 export function formatDetectionResults(result: DetectionResult): string {
   const lines: string[] = [];
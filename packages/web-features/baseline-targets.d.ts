@@ -0,0 +1,72 @@
+/**
+ * Baseline targets
+ *
+ * Targets written as a Baseline threshold, such as "Baseline widely
+ * available" or "Baseline 2022", rather than as browser versions. A threshold
+ * is checked against the Baseline status of features, and has an equivalent
+ * set of minimum browser versions: the releases that were current when the
+ * threshold's features were all available. Conversely, a set of minimum
+ * browser versions has an equivalent Baseline date: the date the last of them
+ * was released.
+ */
+import { Temporal } from "@js-temporal/polyfill";
+import { Target } from "./browserslist.js";
+export type BaselineThreshold = "widely" | "newly" | number;
+type ReleaseData = Record<string, {
+    releases: Array<{
+        version: string;
+        date: string;
+    }>;
+}>;
+export interface BaselineStatus {
+    baseline: "high" | "low" | false;
+    baseline_low_date?: string;
+    baseline_high_date?: string;
+}
+/**
+ * Parse a threshold as in `--baseline=widely`, `--baseline=newly` or
+ * `--baseline=2022`. Returns `undefined` if the value isn't one.
+ */
+export declare function parseBaselineThreshold(value: string): BaselineThreshold | undefined;
+/**
+ * A label for a threshold, as in "Baseline widely available" or
+ * "Baseline 2022".
+ */
+export declare function describeBaselineThreshold(threshold: BaselineThreshold): string;
+/**
+ * Whether a status meets a threshold. A Baseline year is met by features that
+ * became Baseline newly available in or before that year.
+ */
+export declare function meetsBaseline(status: BaselineStatus | undefined, threshold: BaselineThreshold): boolean;
+/**
+ * The minimum core browser versions equivalent to a threshold: for each
+ * browser, the release that was current on the threshold's cutoff date, such
+ * as the end of the year for a Baseline year.
+ */
+export declare function baselineTargets(threshold: BaselineThreshold, options?: {
+    browsers?: ReleaseData;
+    today?: Temporal.PlainDate;
+}): Target[];
+/**
+ * The release date of a browser version, as in "2022-03-14", or
+ * "≤2009-06-08" for a ranged version such as "≤4". Returns `undefined` if the
+ * version isn't a known release.
+ */
+export declare function releaseDate(browser: string, version: string, options?: {
+    browsers?: ReleaseData;
+}): string | undefined;
+/**
+ * The Baseline dates equivalent to a set of minimum browser versions: the
+ * date the last of them was released, which is when a set of features that
+ * requires them became Baseline newly available, and an estimate of when it
+ * becomes Baseline widely available. The dates are ranged, as in
+ * "≤2020-03-24", if the latest release date is only an upper bound. Returns
+ * `undefined` if any version isn't a known release.
+ */
+export declare function baselineDates(targets: Target[], options?: {
+    browsers?: ReleaseData;
+}): {
+    baseline_low_date: string;
+    baseline_high_date: string;
+} | undefined;
+export {};
@@ -0,0 +1,113 @@
+/**
+ * Baseline targets
+ *
+ * Targets written as a Baseline threshold, such as "Baseline widely
+ * available" or "Baseline 2022", rather than as browser versions. A threshold
+ * is checked against the Baseline status of features, and has an equivalent
+ * set of minimum browser versions: the releases that were current when the
+ * threshold's features were all available. Conversely, a set of minimum
+ * browser versions has an equivalent Baseline date: the date the last of them
+ * was released.
+ */
+import { Temporal } from "@js-temporal/polyfill";
+import { browsers as bundledBrowsers } from "./index.js";
+import { BASELINE_LOW_TO_HIGH_DURATION, coreBrowserSet, parseRangedDateString } from "compute-baseline";
+/**
+ * Parse a threshold as in `--baseline=widely`, `--baseline=newly` or
+ * `--baseline=2022`. Returns `undefined` if the value isn't one.
+ */
+export function parseBaselineThreshold(value) {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === "widely" || normalized === "newly")
+        return normalized;
+    if (/^\d{4}$/.test(normalized))
+        return Number(normalized);
+    return undefined;
+}
+/**
+ * A label for a threshold, as in "Baseline widely available" or
+ * "Baseline 2022".
+ */
+export function describeBaselineThreshold(threshold) {
+    return typeof threshold === "number" ? `Baseline ${threshold}` : `Baseline ${threshold} available`;
+}
+/**
+ * Whether a status meets a threshold. A Baseline year is met by features that
+ * became Baseline newly available in or before that year.
+ */
+export function meetsBaseline(status, threshold) {
+    if (!status?.baseline)
+        return false;
+    if (threshold === "widely")
+        return status.baseline === "high";
+    if (threshold === "newly")
+        return true;
+    const [lowDate] = parseRangedDateString(status.baseline_low_date);
+    return Temporal.PlainDate.from(lowDate).year <= threshold;
+}
+// The last day on which a release still counts towards the threshold
+function cutoffDate(threshold, today) {
+    if (threshold === "widely")
+        return today.subtract(BASELINE_LOW_TO_HIGH_DURATION);
+    if (threshold === "newly")
+        return today;
+    return Temporal.PlainDate.from({ year: threshold, month: 12, day: 31 });
+}
+/**
+ * The minimum core browser versions equivalent to a threshold: for each
+ * browser, the release that was current on the threshold's cutoff date, such
+ * as the end of the year for a Baseline year.
+ */
+export function baselineTargets(threshold, options = {}) {
+    const { browsers = bundledBrowsers, today = Temporal.Now.plainDateISO() } = options;
+    const cutoff = cutoffDate(threshold, today);
+    const targets = [];
+    for (const browser of coreBrowserSet) {
+        const released = (browsers[browser]?.releases ?? []).filter(({ date }) => Temporal.PlainDate.compare(Temporal.PlainDate.from(date), cutoff) <= 0);
+        const current = released[released.length - 1];
+        if (current)
+            targets.push({ browser, version: current.version });
+    }
+    return targets;
+}
+/**
+ * The release date of a browser version, as in "2022-03-14", or
+ * "≤2009-06-08" for a ranged version such as "≤4". Returns `undefined` if the
+ * version isn't a known release.
+ */
+export function releaseDate(browser, version, options = {}) {
+    const { browsers = bundledBrowsers } = options;
+    const ranged = version.startsWith("≤");
+    const release = browsers[browser]?.releases.find((candidate) => candidate.version === (ranged ? version.slice(1) : version));
+    if (!release)
+        return undefined;
+    return ranged ? `≤${release.date}` : release.date;
+}
+/**
+ * The Baseline dates equivalent to a set of minimum browser versions: the
+ * date the last of them was released, which is when a set of features that
+ * requires them became Baseline newly available, and an estimate of when it
+ * becomes Baseline widely available. The dates are ranged, as in
+ * "≤2020-03-24", if the latest release date is only an upper bound. Returns
+ * `undefined` if any version isn't a known release.
+ */
+export function baselineDates(targets, options = {}) {
+    let latest;
+    for (const { browser, version } of targets) {
+        const dateSpec = releaseDate(browser, version, options);
+        if (dateSpec === undefined)
+            return undefined;
+        const [date, ranged] = parseRangedDateString(dateSpec);
+        const order = latest ? Temporal.PlainDate.compare(date, latest.date) : 1;
+        // An exact date settles a tie with a ranged one
+        if (order > 0 || (order === 0 && !ranged))
+            latest = { date, ranged };
+    }
+    if (!latest)
+        return undefined;
+    const prefix = latest.ranged ? "≤" : "";
+    return {
+        baseline_low_date: `${prefix}${latest.date}`,
+        baseline_high_date: `${prefix}${latest.date.add(BASELINE_LOW_TO_HIGH_DURATION)}`,
+    };
+}
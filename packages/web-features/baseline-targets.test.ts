@@ -0,0 +1,70 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { Temporal } from '@js-temporal/polyfill';
+import { baselineDates, baselineTargets, meetsBaseline, parseBaselineThreshold, releaseDate } from './baseline-targets.js';
+
+const browsers = Object.fromEntries(
+  ['chrome', 'chrome_android', 'edge', 'firefox', 'firefox_android', 'safari', 'safari_ios'].map((browser) => [
+    browser,
+    {
+      releases: [
+        { version: '1', date: '2021-06-01' },
+        { version: '2', date: '2022-06-01' },
+        { version: '3', date: '2023-06-01' },
+        { version: '4', date: '2024-06-01' },
+      ],
+    },
+  ]),
+);
+
+describe('baseline-targets', () => {
+  it('should parse thresholds', () => {
+    expect(parseBaselineThreshold('widely')).to.equal('widely');
+    expect(parseBaselineThreshold('Newly')).to.equal('newly');
+    expect(parseBaselineThreshold('2022')).to.equal(2022);
+    expect(parseBaselineThreshold('high')).to.be.undefined;
+  });
+
+  it('should check statuses against thresholds', () => {
+    const low = { baseline: 'low' as const, baseline_low_date: '2023-03-27' };
+    const high = { baseline: 'high' as const, baseline_low_date: '≤2020-03-24', baseline_high_date: '≤2022-09-24' };
+    expect(meetsBaseline(low, 'newly')).to.be.true;
+    expect(meetsBaseline(low, 'widely')).to.be.false;
+    expect(meetsBaseline(low, 2022)).to.be.false;
+    expect(meetsBaseline(low, 2023)).to.be.true;
+    expect(meetsBaseline(high, 2020)).to.be.true;
+    expect(meetsBaseline({ baseline: false }, 'newly')).to.be.false;
+  });
+
+  it('should derive the equivalent browser versions from release dates', () => {
+    const today = Temporal.PlainDate.from('2025-01-01');
+    expect(baselineTargets(2022, { browsers, today })[0]).to.deep.equal({ browser: 'chrome', version: '2' });
+    expect(baselineTargets('newly', { browsers, today })[0]).to.deep.equal({ browser: 'chrome', version: '4' });
+    // 30 months before today
+    expect(baselineTargets('widely', { browsers, today })[0]).to.deep.equal({ browser: 'chrome', version: '2' });
+    expect(baselineTargets('widely', { browsers, today })).to.have.length(7);
+  });
+
+  it('should look up release dates, ranged for ranged versions', () => {
+    expect(releaseDate('chrome', '2', { browsers })).to.equal('2022-06-01');
+    expect(releaseDate('chrome', '≤2', { browsers })).to.equal('≤2022-06-01');
+    expect(releaseDate('chrome', '5', { browsers })).to.be.undefined;
+  });
+
+  it('should derive the equivalent Baseline dates from minimum versions', () => {
+    const dates = baselineDates(
+      [
+        { browser: 'chrome', version: '3' },
+        { browser: 'safari', version: '≤2' },
+      ],
+      { browsers },
+    );
+    expect(dates).to.deep.equal({ baseline_low_date: '2023-06-01', baseline_high_date: '2025-12-01' });
+    expect(baselineDates([{ browser: 'chrome', version: '≤3' }, { browser: 'safari', version: '2' }], { browsers })).to.deep.equal({
+      baseline_low_date: '≤2023-06-01',
+      baseline_high_date: '≤2025-12-01',
+    });
+    expect(baselineDates([{ browser: 'chrome', version: '≤3' }, { browser: 'safari', version: '3' }], { browsers })?.baseline_low_date).to.equal('2023-06-01');
+    expect(baselineDates([{ browser: 'chrome', version: '5' }], { browsers })).to.be.undefined;
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { spawnSync } from 'child_process';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { searchFeatures } from './baseline/search.js';
+function baseline(...args) {
+    return spawnSync('node', ['baseline/baseline.js', ...args], { encoding: 'utf8' });
+}
+describe('baseline', () => {
+    it('should list its commands', () => {
+        const { status, stdout } = baseline('--help');
+        expect(status).to.equal(0);
+        for (const command of ['audit <srcDir>', 'check <srcDir>', 'policy <srcDir>', 'explain <feature>', 'search <query..>', 'completion']) {
+            expect(stdout).to.include(`baseline ${command}`);
+        }
+    });
+    it('should generate help for each command', () => {
+        const { status, stdout } = baseline('check', '--help');
+        expect(status).to.equal(0);
+        expect(stdout).to.include('baseline check <srcDir>');
+        expect(stdout).to.include('--targets');
+        expect(stdout).to.include('--fail-on');
+    });
+    it('should reject unknown commands and options', () => {
+        const command = baseline('chek', './tests/fixtures/abort-timeout');
+        expect(command.status).to.equal(2);
+        expect(command.stderr).to.include('Unknown argument');
+        const option = baseline('check', './tests/fixtures/abort-timeout', '--target=chrome 100');
+        expect(option.status).to.equal(2);
+        expect(option.stderr).to.include('Unknown argument: target');
+        const alias = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/abort-timeout', '--target=chrome 100'], { encoding: 'utf8' });
+        expect(alias.status).to.equal(2);
+        expect(alias.stderr).to.include('Unknown argument: target');
+    });
+    it('should run the same checks as the old command names', () => {
+        const { status, stdout } = baseline('check', './tests/fixtures/abort-timeout', '--targets=chrome 120', '--format=json');
+        expect(status).to.equal(0);
+        const report = JSON.parse(stdout);
+        expect(report.tool).to.equal('fix-my-browse');
+        expect(report.targets).to.deep.equal([{ browser: 'chrome', version: '120' }]);
+    });
+    it('should explain features', () => {
+        const { status, stdout } = baseline('explain', 'dialog');
+        expect(status).to.equal(0);
+        expect(stdout).to.include('<dialog> (dialog)');
+        expect(stdout).to.include('Baseline widely available since');
+        expect(stdout).to.include('html.elements.dialog');
+        const typo = baseline('explain', 'dialgo');
+        expect(typo.status).to.equal(1);
+        expect(typo.stderr).to.include('Did you mean dialog?');
+    });
+    it('should search features', () => {
+        expect(searchFeatures('view transitions').map(({ id }) => id)).to.include('view-transitions');
+        expect(searchFeatures('dialog')[0].id).to.equal('dialog');
+        expect(searchFeatures('no such feature anywhere')).to.be.empty;
+        const { status, stdout } = baseline('search', 'dialog', '--format=json', '--limit=1');
+        expect(status).to.equal(0);
+        expect(JSON.parse(stdout)).to.deep.equal([searchFeatures('dialog')[0]]);
+    });
+    it('should print a completion script', () => {
+        const { status, stdout } = baseline('completion');
+        expect(status).to.equal(0);
+        expect(stdout).to.include('baseline');
+        expect(stdout).to.include('--get-yargs-completions');
+    });
+    it('should publish every module its commands import', () => {
+        const { bin, files } = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+        // npm publishes package.json whatever `files` lists
+        const published = (file) => file === 'package.json' || files.some((entry) => file === entry || file.startsWith(entry));
+        const pending = Object.values(bin).map((file) => path.normalize(file));
+        const seen = new Set();
+        while (pending.length > 0) {
+            const file = pending.pop();
+            if (seen.has(file))
+                continue;
+            seen.add(file);
+            expect(published(file), file).to.be.true;
+            const source = fs.readFileSync(file, 'utf8');
+            for (const [, specifier] of Array.from(source.matchAll(/(?:from|import\(|new URL\()\s*["'](\.[^"']+)["']/g))) {
+                pending.push(path.join(path.dirname(file), specifier));
+            }
+        }
+        expect(seen).to.include('detector-worker.js');
+    });
+});
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * The `baseline` command line tool
+ *
+ * One command for the tools that scan source code for web features, with a
+ * subcommand for each:
+ *
+ * - `baseline audit <srcDir>`: the minimum browser versions the features
+ *   require (also installed as `let-me-browse` and `lmb`)
+ * - `baseline check <srcDir>`: features that don't work in your browser
+ *   targets (also `fix-my-browse` and `fmb`)
+ * - `baseline policy <srcDir>`: features from specs a policy doesn't allow
+ *   (also `set-my-browse` and `smb`)
+ * - `baseline explain <feature>` and `baseline search <query..>`: look up
+ *   features
+ *
+ * `baseline completion` prints a completion script for bash and zsh.
+ */
+import { type CommandModule } from "yargs";
+/**
+ * Run the `baseline` command line tool.
+ */
+export declare function cli(args: string[]): Promise<void>;
+/**
+ * Run one of the commands under its old name, such as `let-me-browse` for
+ * `baseline audit`, with the same arguments and options.
+ */
+export declare function alias(name: string, command: CommandModule<object, any>, args: string[]): Promise<void>;
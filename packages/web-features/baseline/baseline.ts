@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * The `baseline` command line tool
+ *
+ * One command for the tools that scan source code for web features, with a
+ * subcommand for each:
+ *
+ * - `baseline audit <srcDir>`: the minimum browser versions the features
+ *   require (also installed as `let-me-browse` and `lmb`)
+ * - `baseline check <srcDir>`: features that don't work in your browser
+ *   targets (also `fix-my-browse` and `fmb`)
+ * - `baseline policy <srcDir>`: features from specs a policy doesn't allow
+ *   (also `set-my-browse` and `smb`)
+ * - `baseline explain <feature>` and `baseline search <query..>`: look up
+ *   features
+ *
+ * `baseline completion` prints a completion script for bash and zsh.
+ */
+
+import * as fs from "node:fs";
+import * as process from "node:process";
+import yargs, { type Argv, type CommandModule } from "yargs";
+import { isMain } from "../cli.js";
+import { auditCommand } from "../let-me-browse/let-me-browse.js";
+import { checkCommand } from "../fix-my-browse/fix-my-browse.js";
+import { policyCommand } from "../set-my-browse/set-my-browse.js";
+import { explainCommand } from "./explain.js";
+import { searchCommand } from "./search.js";
+
+const { version } = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+// Options common to every command line, including the old names
+function configure(parser: Argv, name: string): Argv {
+  return parser
+    .scriptName(name)
+    .version(version)
+    .help()
+    .alias("help", "h")
+    .strict()
+    .wrap(Math.min(100, parser.terminalWidth() || 100))
+    .fail((message, error) => {
+      process.stderr.write(`Error: ${error?.message ?? message}\nRun "${name} --help" for usage.\n`);
+      process.exit(2);
+    });
+}
+
+/**
+ * Run the `baseline` command line tool.
+ */
+export async function cli(args: string[]): Promise<void> {
+  await configure(yargs(args), "baseline")
+    .usage("$0 <command> [options]")
+    .command(auditCommand)
+    .command(checkCommand)
+    .command(policyCommand)
+    .command(explainCommand)
+    .command(searchCommand)
+    .completion("completion", "Print a shell completion script for bash or zsh")
+    .demandCommand(1, "Provide a command.")
+    .example("$0 audit ./src", "List the minimum browser versions ./src needs")
+    .example('$0 check ./src --targets="last 2 versions, not dead"', "Check ./src against browserslist targets")
+    .example("$0 check ./src --baseline=widely --format=sarif", "Flag features that aren't Baseline widely available, for code scanning")
+    .example("$0 policy ./src --specs=w3c,whatwg --mode=allow", "Check that ./src only uses features from W3C and WHATWG specs")
+    .example("$0 search view transitions", "Find a feature ID")
+    .example("$0 explain dialog", "Describe a feature")
+    .parseAsync();
+}
+
+/**
+ * Run one of the commands under its old name, such as `let-me-browse` for
+ * `baseline audit`, with the same arguments and options.
+ */
+export async function alias(name: string, command: CommandModule<object, any>, args: string[]): Promise<void> {
+  const [, ...rest] = (command.command as string).split(" ");
+  await configure(yargs(args), name)
+    .command({ ...command, command: `$0 ${rest.join(" ")}` })
+    .parseAsync();
+}
+
+if (isMain(import.meta.url)) {
+  cli(process.argv.slice(2));
+}
@@ -0,0 +1,15 @@
+import type { CommandModule } from "yargs";
+interface ExplainArgs {
+    feature: string;
+    format: "text" | "json";
+}
+/**
+ * A description of a feature for people: its status, the browser versions
+ * that support it, and where it comes from.
+ */
+export declare function explainFeature(id: string): string[];
+/**
+ * `baseline explain`, which describes a feature found by the other commands.
+ */
+export declare const explainCommand: CommandModule<object, ExplainArgs>;
+export {};
@@ -0,0 +1,120 @@
+import * as process from "node:process";
+import type { Argv, CommandModule } from "yargs";
+import { browsers, features } from "../index.js";
+import { searchFeatures } from "./search.js";
+
+interface ExplainArgs {
+  feature: string;
+  format: "text" | "json";
+}
+
+function describeStatus(status: any): string {
+  switch (status?.baseline) {
+    case "high":
+      return `Baseline widely available since ${status.baseline_high_date} (newly available since ${status.baseline_low_date})`;
+    case "low":
+      return `Baseline newly available since ${status.baseline_low_date}`;
+    case false:
+      return "Limited availability: not yet Baseline";
+    default:
+      return "Baseline status unknown";
+  }
+}
+
+/**
+ * A description of a feature for people: its status, the browser versions
+ * that support it, and where it comes from.
+ */
+export function explainFeature(id: string): string[] {
+  const feature = features[id] as any;
+  if (feature.kind === "moved") return [`${id} has moved to ${feature.redirect_target}.`];
+  if (feature.kind === "split") return [`${id} has been split into ${feature.redirect_targets.join(", ")}.`];
+
+  const lines = [`${feature.name} (${id})`, "", feature.description, "", describeStatus(feature.status)];
+  const support = Object.entries(feature.status?.support ?? {});
+  if (support.length > 0) {
+    lines.push("", "Supported since:");
+    for (const [browser, version] of support) {
+      lines.push(`  ${(browsers as any)[browser]?.name ?? browser} ${version}`);
+    }
+  }
+  if (feature.discouraged) {
+    lines.push("", "Discouraged:");
+    lines.push(...feature.discouraged.according_to.map((url: string) => `  ${url}`));
+    if (feature.discouraged.alternatives?.length) {
+      lines.push(`  Alternatives: ${feature.discouraged.alternatives.join(", ")}`);
+    }
+  }
+  const about: Array<[string, string[] | undefined]> = [
+    ["Specs", feature.spec],
+    ["Groups", feature.group],
+    ["Snapshots", feature.snapshot],
+    ["caniuse", feature.caniuse?.map((caniuse: string) => `https://caniuse.com/${caniuse}`)],
+    ["Compat keys", feature.compat_features],
+  ];
+  for (const [label, values] of about) {
+    if (!values?.length) continue;
+    lines.push("", `${label}:`, ...values.map((value) => `  ${value}`));
+  }
+  return lines;
+}
+
+// The number of single character edits between two strings
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Feature IDs like one that doesn't exist, for typos and partial IDs
+function similarIds(id: string): string[] {
+  const typos = Object.keys(features)
+    .map((candidate) => ({ candidate, distance: editDistance(id, candidate) }))
+    .filter(({ distance }) => distance <= Math.max(2, Math.floor(id.length / 4)))
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ candidate }) => candidate);
+  const matches = searchFeatures(id.replace(/[-_]/g, " ")).map((result) => result.id);
+  return Array.from(new Set([...typos, ...matches])).slice(0, 3);
+}
+
+function explain({ feature, format }: ExplainArgs): void {
+  if (!Object.prototype.hasOwnProperty.call(features, feature)) {
+    const similar = similarIds(feature);
+    const hint = similar.length > 0 ? ` Did you mean ${similar.join(", ")}?` : ` Try "baseline search ${feature}".`;
+    process.stderr.write(`Error: there's no feature with the ID "${feature}".${hint}\n`);
+    process.exit(1);
+  }
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify({ id: feature, ...features[feature] }, null, 2)}\n`);
+    return;
+  }
+  process.stdout.write(`${explainFeature(feature).join("\n")}\n`);
+}
+
+/**
+ * `baseline explain`, which describes a feature found by the other commands.
+ */
+export const explainCommand: CommandModule<object, ExplainArgs> = {
+  command: "explain <feature>",
+  describe: "Describe a feature: its Baseline status, browser support, specs and compat keys",
+  builder: (yargs) =>
+    yargs
+      .positional("feature", {
+        type: "string",
+        describe: "A feature ID, such as dialog",
+        demandOption: true,
+      })
+      .option("format", {
+        type: "string",
+        default: "text",
+        choices: ["text", "json"],
+        describe: "text, or json for the feature's data",
+      }) as unknown as Argv<ExplainArgs>,
+  handler: explain,
+};
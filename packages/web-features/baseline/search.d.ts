@@ -0,0 +1,22 @@
+import type { CommandModule } from "yargs";
+export interface SearchResult {
+    id: string;
+    name: string;
+    baseline: "high" | "low" | false | null;
+    description: string;
+}
+interface SearchArgs {
+    query: string[];
+    limit: number;
+    format: "text" | "json";
+}
+/**
+ * The features whose ID, name, compat keys or description contain every word
+ * of a query, best matches first. Moved and split features aren't included.
+ */
+export declare function searchFeatures(query: string, limit?: number): SearchResult[];
+/**
+ * `baseline search`, which finds feature IDs to use with the other commands.
+ */
+export declare const searchCommand: CommandModule<object, SearchArgs>;
+export {};
@@ -0,0 +1,105 @@
+import * as process from "node:process";
+import type { Argv, CommandModule } from "yargs";
+import { features } from "../index.js";
+
+export interface SearchResult {
+  id: string;
+  name: string;
+  baseline: "high" | "low" | false | null;
+  description: string;
+}
+
+interface SearchArgs {
+  query: string[];
+  limit: number;
+  format: "text" | "json";
+}
+
+// How well a word matches a feature: lower is better, and `undefined` is no
+// match. IDs rank over names, names over compat keys, and those over
+// descriptions.
+function rank(word: string, id: string, feature: any): number | undefined {
+  if (id === word) return 0;
+  if (id.startsWith(word)) return 1;
+  if (id.includes(word)) return 2;
+  const name = String(feature.name ?? "").toLowerCase();
+  if (name === word) return 1;
+  if (name.includes(word)) return 3;
+  if ((feature.compat_features ?? []).some((key: string) => key.toLowerCase().includes(word))) return 4;
+  if (String(feature.description ?? "").toLowerCase().includes(word)) return 5;
+  return undefined;
+}
+
+/**
+ * The features whose ID, name, compat keys or description contain every word
+ * of a query, best matches first. Moved and split features aren't included.
+ */
+export function searchFeatures(query: string, limit = Infinity): SearchResult[] {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const matches: Array<{ score: number; result: SearchResult }> = [];
+  for (const [id, feature] of Object.entries(features) as Array<[string, any]>) {
+    if (feature.kind !== "feature") continue;
+    const ranks = words.map((word) => rank(word, id, feature));
+    if (ranks.some((r) => r === undefined)) continue;
+    matches.push({
+      score: ranks.reduce((sum, r) => sum + r, 0),
+      result: { id, name: feature.name, baseline: feature.status?.baseline ?? null, description: feature.description },
+    });
+  }
+  return matches
+    .sort((a, b) => a.score - b.score || a.result.id.localeCompare(b.result.id))
+    .slice(0, limit)
+    .map(({ result }) => result);
+}
+
+function describeBaseline(baseline: SearchResult["baseline"]): string {
+  if (baseline === "high") return "widely available";
+  if (baseline === "low") return "newly available";
+  return baseline === false ? "limited availability" : "unknown";
+}
+
+function search({ query, limit, format }: SearchArgs): void {
+  const results = searchFeatures(query.join(" "), limit);
+  if (format === "json") {
+    process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    return;
+  }
+  if (results.length === 0) {
+    process.stdout.write(`No features match "${query.join(" ")}".\n`);
+    process.exit(1);
+  }
+  const width = Math.max(...results.map(({ id }) => id.length));
+  for (const { id, name, baseline } of results) {
+    process.stdout.write(`${id.padEnd(width)}  ${name} (${describeBaseline(baseline)})\n`);
+  }
+}
+
+/**
+ * `baseline search`, which finds feature IDs to use with the other commands.
+ */
+export const searchCommand: CommandModule<object, SearchArgs> = {
+  command: "search <query..>",
+  describe: "Find features by ID, name, compat key or description",
+  builder: (yargs) =>
+    yargs
+      .positional("query", {
+        type: "string",
+        array: true,
+        describe: "Words that every result contains",
+        demandOption: true,
+      })
+      .option("limit", {
+        type: "number",
+        default: 20,
+        describe: "The number of results to list",
+      })
+      .option("format", {
+        type: "string",
+        default: "text",
+        choices: ["text", "json"],
+        describe: "text, or json for an array of results",
+      }) as unknown as Argv<SearchArgs>,
+  handler: search,
+};
@@ -0,0 +1,49 @@
+/**
+ * Browserslist queries
+ *
+ * Resolves browserslist queries, such as `last 2 versions, not dead`, into
+ * targets for the core browser set. Queries are resolved offline against the
+ * bundled `browsers` release data, so clauses that need usage statistics or
+ * browsers outside the core browser set can't be resolved; those are reported
+ * back rather than dropped. Excluding a browser outside the core browser set,
+ * as in `not ie 11`, changes nothing, and a clause that selects no version of
+ * a core browser, as in `chrome >= 999`, is reported as empty.
+ */
+export interface Target {
+    browser: string;
+    version: string;
+}
+export interface ResolvedQuery {
+    targets: Target[];
+    unmapped: string[];
+    usage: string[];
+    empty: string[];
+}
+export interface BrowserslistConfig {
+    query: string[];
+    source: string;
+}
+export declare const browserNames: Record<string, string>;
+/**
+ * Resolve a browserslist query into the oldest version of each core browser it
+ * selects. As in browserslist, each part of a query adds to the selection,
+ * `and` intersects clauses within a part, and a part starting with `not`
+ * removes from what the previous parts selected.
+ */
+export declare function resolveBrowserslist(query: string | string[], options?: {
+    browsers?: Record<string, {
+        releases: Array<{
+            version: string;
+            date: string;
+        }>;
+    }>;
+    now?: Date;
+}): ResolvedQuery;
+/**
+ * Find the browserslist config that applies to a directory: a
+ * `.browserslistrc` file or the `browserslist` key of a `package.json`, in
+ * that directory or the nearest parent directory that has either. The
+ * environment is taken from `BROWSERSLIST_ENV` or `NODE_ENV`, as in
+ * browserslist.
+ */
+export declare function findBrowserslistConfig(dir: string): BrowserslistConfig | undefined;
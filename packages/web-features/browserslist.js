@@ -0,0 +1,298 @@
+/**
+ * Browserslist queries
+ *
+ * Resolves browserslist queries, such as `last 2 versions, not dead`, into
+ * targets for the core browser set. Queries are resolved offline against the
+ * bundled `browsers` release data, so clauses that need usage statistics or
+ * browsers outside the core browser set can't be resolved; those are reported
+ * back rather than dropped. Excluding a browser outside the core browser set,
+ * as in `not ie 11`, changes nothing, and a clause that selects no version of
+ * a core browser, as in `chrome >= 999`, is reported as empty.
+ */
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { browsers as bundledBrowsers } from "./index.js";
+import { browser as compatBrowser } from "compute-baseline/browser-compat-data";
+// Browserslist names of the core browsers
+export const browserNames = {
+    chrome: "chrome",
+    and_chr: "chrome_android",
+    chromeandroid: "chrome_android",
+    edge: "edge",
+    firefox: "firefox",
+    ff: "firefox",
+    and_ff: "firefox_android",
+    firefoxandroid: "firefox_android",
+    safari: "safari",
+    ios_saf: "safari_ios",
+    ios: "safari_ios",
+};
+// Browserslist names of the browsers outside the core browser set
+const otherBrowsers = new Set([
+    "android",
+    "and_qq",
+    "and_uc",
+    "baidu",
+    "bb",
+    "blackberry",
+    "explorer",
+    "explorermobile",
+    "ie",
+    "ie_mob",
+    "kaios",
+    "op_mini",
+    "op_mob",
+    "opera",
+    "operamini",
+    "operamobile",
+    "qqandroid",
+    "samsung",
+    "ucandroid",
+]);
+// Clauses that select by usage statistics, as in `> 0.5%`, `>= 5% in US` or
+// `cover 99.5%`
+const usagePattern = /^(?:(?:>=|<=|>|<) ?|cover )\d+(?:\.\d+)?%(?: in .+)?$/;
+// Queries that are shorthand for others
+const aliases = {
+    defaults: "> 0.5%, last 2 versions, Firefox ESR, not dead",
+};
+function compareVersions(a, b) {
+    const as = a.split(".").map((n) => parseInt(n, 10));
+    const bs = b.split(".").map((n) => parseInt(n, 10));
+    for (let i = 0; i < Math.max(as.length, bs.length); i++) {
+        const diff = (as[i] ?? 0) - (bs[i] ?? 0);
+        if (diff !== 0)
+            return Math.sign(diff);
+    }
+    return 0;
+}
+function select(releases, filter) {
+    const selection = new Map();
+    for (const [browser, list] of Object.entries(releases)) {
+        const versions = new Set(list.filter(({ version, date }) => filter(browser, version, date)).map(({ version }) => version));
+        selection.set(browser, versions);
+    }
+    return selection;
+}
+function lastVersions(releases, count, major, only) {
+    const selection = new Map();
+    for (const [browser, list] of Object.entries(releases)) {
+        if (only && browser !== only)
+            continue;
+        if (!major) {
+            selection.set(browser, new Set(list.slice(-count).map(({ version }) => version)));
+            continue;
+        }
+        const majors = Array.from(new Set(list.map(({ version }) => version.split(".")[0]))).slice(-count);
+        selection.set(browser, new Set(list.filter(({ version }) => majors.includes(version.split(".")[0])).map(({ version }) => version)));
+    }
+    return selection;
+}
+function firefoxEsr(releases) {
+    const esr = Object.entries(compatBrowser("firefox").data.releases)
+        .filter(([, release]) => release.status === "esr")
+        .map(([version]) => version);
+    return select(releases, (browser, version) => browser === "firefox" && esr.includes(version));
+}
+function dateFrom(year, month = "1", day = "1") {
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))).toISOString().slice(0, 10);
+}
+// Resolve a single clause, or return `undefined` if it can't be resolved
+// against the core browser set.
+function resolveClause(clause, releases, now) {
+    const query = clause.toLowerCase().replace(/\s+/g, " ").trim();
+    let m;
+    if ((m = query.match(/^last (\d+) (major )?versions?$/))) {
+        return lastVersions(releases, Number(m[1]), Boolean(m[2]));
+    }
+    if ((m = query.match(/^last (\d+) (\w+) (major )?versions?$/))) {
+        const browser = browserNames[m[2]];
+        return browser ? lastVersions(releases, Number(m[1]), Boolean(m[3]), browser) : undefined;
+    }
+    if ((m = query.match(/^since (\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/))) {
+        const since = dateFrom(m[1], m[2], m[3]);
+        return select(releases, (_b, _v, date) => date >= since);
+    }
+    if ((m = query.match(/^last (\d+(?:\.\d+)?) (years?|months?|days?)$/))) {
+        const days = Number(m[1]) * (m[2].startsWith("year") ? 365.25 : m[2].startsWith("month") ? 30.4375 : 1);
+        const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        return select(releases, (_b, _v, date) => date >= since);
+    }
+    if ((m = query.match(/^(\w+) ?(>=|<=|>|<) ?(\d+(?:\.\d+)*)$/))) {
+        const [, name, op, target] = m;
+        const browser = browserNames[name];
+        if (!browser)
+            return undefined;
+        return select(releases, (b, version) => {
+            if (b !== browser)
+                return false;
+            const cmp = compareVersions(version, target);
+            return op === ">=" ? cmp >= 0 : op === ">" ? cmp > 0 : op === "<=" ? cmp <= 0 : cmp < 0;
+        });
+    }
+    if ((m = query.match(/^(\w+) (\d+(?:\.\d+)*)(?:-(\d+(?:\.\d+)*))?$/))) {
+        const [, name, from, to = from] = m;
+        const browser = browserNames[name];
+        if (!browser)
+            return undefined;
+        return select(releases, (b, version) => b === browser && compareVersions(version, from) >= 0 && compareVersions(version, to) <= 0);
+    }
+    if (query === "firefox esr" || query === "ff esr") {
+        return firefoxEsr(releases);
+    }
+    // None of the core browsers are dead, and only released versions are known.
+    if (query === "dead" || /^unreleased (\w+ )?versions$/.test(query)) {
+        return new Map();
+    }
+    return undefined;
+}
+// The browserslist name of the browser a clause selects versions of, as in
+// `ie 11`, `ie <= 11`, `op_mini all` or `last 2 ie versions`, if it names one
+function browserOf(clause) {
+    const query = clause.toLowerCase().replace(/\s+/g, " ").trim();
+    const m = query.match(/^last \d+ (\w+) (?:major )?versions?$/) ??
+        query.match(/^(\w+) ?(?:all|(?:>=|<=|>|<)? ?\d+(?:\.\d+)*(?:-\d+(?:\.\d+)*)?)$/);
+    return m?.[1];
+}
+// Split a query into its comma (or `or`) separated parts, expanding aliases.
+function partsOf(query) {
+    const text = Array.isArray(query) ? query.join(",") : query;
+    return text
+        .split(/,|\sor\s/i)
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .flatMap((part) => (aliases[part.toLowerCase()] ? partsOf(aliases[part.toLowerCase()]) : [part]));
+}
+function intersect(a, b) {
+    const selection = new Map();
+    for (const [browser, versions] of Array.from(a)) {
+        const other = b.get(browser);
+        if (other)
+            selection.set(browser, new Set(Array.from(versions).filter((version) => other.has(version))));
+    }
+    return selection;
+}
+/**
+ * Resolve a browserslist query into the oldest version of each core browser it
+ * selects. As in browserslist, each part of a query adds to the selection,
+ * `and` intersects clauses within a part, and a part starting with `not`
+ * removes from what the previous parts selected.
+ */
+export function resolveBrowserslist(query, options = {}) {
+    const { browsers = bundledBrowsers, now = new Date() } = options;
+    const releases = Object.fromEntries(Object.entries(browsers).map(([id, data]) => [id, data.releases]));
+    const selected = new Map();
+    const unmapped = [];
+    const usage = [];
+    const empty = [];
+    for (const part of partsOf(query)) {
+        const not = part.match(/^not\s+(.*)$/i);
+        const texts = (not ? not[1] : part).split(/\sand\s/i);
+        // Targets are only core browsers, so excluding another changes nothing
+        if (not && texts.some((text) => otherBrowsers.has(browserOf(text))))
+            continue;
+        const clauses = texts.map((text) => resolveClause(text, releases, now));
+        if (clauses.some((clause) => clause === undefined)) {
+            if (texts.some((text) => usagePattern.test(text.toLowerCase().replace(/\s+/g, " ").trim()))) {
+                usage.push(part);
+            }
+            else {
+                unmapped.push(part);
+            }
+            continue;
+        }
+        const selection = clauses.reduce(intersect);
+        const selectsNone = (text) => {
+            const browser = browserNames[browserOf(text)];
+            return browser !== undefined && (selection.get(browser)?.size ?? 0) === 0;
+        };
+        if (!not && texts.some(selectsNone)) {
+            empty.push(part);
+            continue;
+        }
+        for (const [browser, versions] of Array.from(selection)) {
+            const current = selected.get(browser) ?? new Set();
+            for (const version of Array.from(versions)) {
+                if (not) {
+                    current.delete(version);
+                }
+                else {
+                    current.add(version);
+                }
+            }
+            selected.set(browser, current);
+        }
+    }
+    const targets = [];
+    for (const [browser, versions] of Array.from(selected)) {
+        const oldest = Array.from(versions).sort(compareVersions)[0];
+        if (oldest)
+            targets.push({ browser, version: oldest });
+    }
+    return { targets, unmapped, usage, empty };
+}
+function queryOf(value, env) {
+    if (typeof value === "string")
+        return [value];
+    if (Array.isArray(value))
+        return value;
+    if (value && typeof value === "object") {
+        const envs = value;
+        return queryOf(envs[env] ?? envs.defaults, env);
+    }
+    return undefined;
+}
+// Parse `.browserslistrc`, where `[name]` starts a section for an environment.
+function parseBrowserslistrc(content) {
+    const sections = { defaults: [] };
+    let current = sections.defaults;
+    for (const raw of content.split(/\r?\n/)) {
+        const line = raw.replace(/#.*$/, "").trim();
+        if (!line)
+            continue;
+        const section = line.match(/^\[\s*(.+?)\s*\]$/);
+        if (section) {
+            current = [];
+            for (const name of section[1].split(/\s+/))
+                sections[name] = current;
+        }
+        else {
+            current.push(line);
+        }
+    }
+    return sections;
+}
+/**
+ * Find the browserslist config that applies to a directory: a
+ * `.browserslistrc` file or the `browserslist` key of a `package.json`, in
+ * that directory or the nearest parent directory that has either. The
+ * environment is taken from `BROWSERSLIST_ENV` or `NODE_ENV`, as in
+ * browserslist.
+ */
+export function findBrowserslistConfig(dir) {
+    const env = process.env.BROWSERSLIST_ENV || process.env.NODE_ENV || "production";
+    let current = path.resolve(dir);
+    while (true) {
+        const rcPath = path.join(current, ".browserslistrc");
+        if (fs.existsSync(rcPath)) {
+            const query = queryOf(parseBrowserslistrc(fs.readFileSync(rcPath, "utf8")), env);
+            if (query?.length)
+                return { query, source: rcPath };
+        }
+        const packagePath = path.join(current, "package.json");
+        if (fs.existsSync(packagePath)) {
+            try {
+                const query = queryOf(JSON.parse(fs.readFileSync(packagePath, "utf8")).browserslist, env);
+                if (query?.length)
+                    return { query, source: packagePath };
+            }
+            catch (error) {
+                // Not a package.json we can read; keep looking.
+            }
+        }
+        const parent = path.dirname(current);
+        if (parent === current)
+            return undefined;
+        current = parent;
+    }
+}
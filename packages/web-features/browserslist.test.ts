@@ -0,0 +1,97 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { findBrowserslistConfig, resolveBrowserslist } from './browserslist.js';
+
+const browsers = {
+  chrome: {
+    releases: [
+      { version: '118', date: '2023-10-10' },
+      { version: '119', date: '2023-10-31' },
+      { version: '120', date: '2023-12-05' },
+    ],
+  },
+  firefox: {
+    releases: [
+      { version: '119', date: '2023-10-24' },
+      { version: '120', date: '2023-11-21' },
+    ],
+  },
+  safari: {
+    releases: [
+      { version: '16.6', date: '2023-07-24' },
+      { version: '17', date: '2023-09-18' },
+      { version: '17.1', date: '2023-10-25' },
+      { version: '17.2', date: '2023-12-11' },
+    ],
+  },
+};
+
+function targetsOf(query: string, now?: Date) {
+  return Object.fromEntries(resolveBrowserslist(query, { browsers, now }).targets.map(({ browser, version }) => [browser, version]));
+}
+
+describe('browserslist', () => {
+  it('should resolve last versions', () => {
+    expect(targetsOf('last 2 versions')).to.deep.equal({ chrome: '119', firefox: '119', safari: '17.1' });
+    expect(targetsOf('last 1 major versions')).to.deep.equal({ chrome: '120', firefox: '120', safari: '17' });
+    expect(targetsOf('last 1 Safari versions')).to.deep.equal({ safari: '17.2' });
+  });
+
+  it('should resolve version ranges with and without spaces', () => {
+    expect(targetsOf('chrome >= 119, Firefox>120, safari 17-17.1')).to.deep.equal({ chrome: '119', safari: '17' });
+    expect(targetsOf('chrome>=116,firefox>=117')).to.deep.equal({ chrome: '118', firefox: '119' });
+  });
+
+  it('should resolve dates', () => {
+    expect(targetsOf('since 2023-11')).to.deep.equal({ chrome: '120', firefox: '120', safari: '17.2' });
+    expect(targetsOf('last 1 month', new Date('2023-12-15'))).to.deep.equal({ chrome: '120', firefox: '120', safari: '17.2' });
+  });
+
+  it('should combine clauses with not and and', () => {
+    expect(targetsOf('last 2 versions, not chrome < 120')).to.deep.equal({ chrome: '120', firefox: '119', safari: '17.1' });
+    expect(targetsOf('last 2 versions and since 2023-11, not dead')).to.deep.equal({ chrome: '120', firefox: '120', safari: '17.2' });
+  });
+
+  it('should report clauses it cannot map onto the core browser set', () => {
+    const { targets, unmapped, usage } = resolveBrowserslist('defaults, ie 11, samsung >= 20, supports es6-module, cover 99.5% in US', { browsers });
+    expect(unmapped).to.deep.equal(['ie 11', 'samsung >= 20', 'supports es6-module']);
+    expect(usage).to.deep.equal(['> 0.5%', 'cover 99.5% in US']);
+    expect(targets).to.not.be.empty;
+  });
+
+  it('should ignore the exclusion of browsers outside the core browser set', () => {
+    const { targets, unmapped } = resolveBrowserslist('last 2 versions, not ie 11, not IE <= 11, not op_mini all, not last 2 samsung versions', { browsers });
+    expect(unmapped).to.be.empty;
+    expect(targets).to.deep.equal(resolveBrowserslist('last 2 versions', { browsers }).targets);
+  });
+
+  it('should report clauses that select no version of a core browser', () => {
+    const { targets, empty } = resolveBrowserslist('chrome >= 999, firefox >= 120, last 1 safari version and since 2024, not chrome >= 118', { browsers });
+    expect(empty).to.deep.equal(['chrome >= 999', 'last 1 safari version and since 2024']);
+    expect(targets).to.deep.equal([{ browser: 'firefox', version: '120' }]);
+  });
+
+  it('should find the config in .browserslistrc or package.json', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'browserslist-'));
+    try {
+      const nested = path.join(root, 'src', 'app');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ browserslist: ['last 2 versions'] }));
+      expect(findBrowserslistConfig(nested)).to.deep.equal({
+        query: ['last 2 versions'],
+        source: path.join(root, 'package.json'),
+      });
+
+      fs.writeFileSync(path.join(root, 'src', '.browserslistrc'), '# Our targets\nFirefox ESR\n\n[development]\nlast 1 chrome version\n');
+      expect(findBrowserslistConfig(nested)).to.deep.equal({
+        query: ['Firefox ESR'],
+        source: path.join(root, 'src', '.browserslistrc'),
+      });
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Command line options
+ *
+ * The options the scanning commands of the `baseline` command line tool
+ * (`audit`, `check` and `policy`) share, and the settings of the project
+ * config they fall back on. Options are parsed by yargs, which rejects
+ * unknown options and values that don't parse, with an error and exit code 2.
+ */
+import type { Argv } from "yargs";
+import { DetectionOptions, DetectionResult } from "./baseline-detector.js";
+import { BaselineConfig, FailLevel } from "./config.js";
+import { Changes } from "./git-changes.js";
+import { OutputFormat } from "./report.js";
+import { UsageShare } from "./usage-share.js";
+export interface ScanArgs {
+    srcDir: string;
+    format?: OutputFormat;
+    include?: string[];
+    exclude?: string[];
+    suppress?: string[];
+    failOn?: FailLevel;
+    config?: string;
+    usage?: string;
+    workers?: number;
+    cache?: boolean;
+    since?: string;
+    watch?: boolean;
+}
+export interface ScanSettings {
+    srcDir: string;
+    root: string;
+    config: BaselineConfig;
+    configFile?: string;
+    format: OutputFormat;
+    failOn: FailLevel;
+    detection: DetectionOptions;
+    usage?: string;
+    changes?: Changes;
+}
+/**
+ * Parse the values of a list option, which can be repeated or
+ * comma-separated, as in `--exclude=dist --exclude=vendor,*.min.js`.
+ */
+export declare function parseList(values: string | string[]): string[];
+/**
+ * A yargs `coerce` function for an option whose values are checked by a
+ * parser, failing with a message if the parser returns `undefined`.
+ */
+export declare function parsedBy<T>(parse: (value: string) => T | undefined, message: (value: string) => string): (value: unknown) => T;
+/**
+ * Add the `<srcDir>` positional and the options every scanning command has.
+ */
+export declare function withScanOptions<T>(yargs: Argv<T>): Argv<T & ScanArgs>;
+/**
+ * Add the `--usage` option of the commands that estimate reach.
+ */
+export declare function withUsageOption<T>(yargs: Argv<T>): Argv<T>;
+/**
+ * Add the `--watch` option of the commands that print browser requirements.
+ */
+export declare function withWatchOption<T>(yargs: Argv<T>): Argv<T>;
+/**
+ * Print an error for a command line that can't run and exit with 2, as for
+ * options that don't parse.
+ */
+export declare function usageError(message: string): never;
+/**
+ * The settings of a scan: the options given on the command line, or else the
+ * settings of the project config. Exits with an error if `<srcDir>` isn't a
+ * directory or the config can't be read.
+ */
+export declare function scanSettings(argv: ScanArgs): Promise<ScanSettings>;
+/**
+ * Detect the features of a scan, or with `--since`, the features its changes
+ * introduce.
+ */
+export declare function detect({ detection, changes }: ScanSettings): Promise<DetectionResult>;
+/**
+ * Read the usage-share dataset of a scan, exiting with an error if it can't
+ * be read.
+ */
+export declare function usageShare(source: string): Promise<UsageShare>;
+/**
+ * Whether a module is the script Node.js was started with, for the command
+ * line tools that can also be imported.
+ */
+export declare function isMain(moduleUrl: string): boolean;
+/**
+ * Scan with `--watch`: print the text output of the first scan, then again
+ * whenever a change alters the detected features or the browser versions they
+ * require, until the process is stopped. Exits with an error for other
+ * formats, whose reports can't follow one another.
+ */
+export declare function watch(settings: ScanSettings, print: (result: DetectionResult) => void): Promise<void>;
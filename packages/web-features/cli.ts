@@ -0,0 +1,273 @@
+/**
+ * Command line options
+ *
+ * The options the scanning commands of the `baseline` command line tool
+ * (`audit`, `check` and `policy`) share, and the settings of the project
+ * config they fall back on. Options are parsed by yargs, which rejects
+ * unknown options and values that don't parse, with an error and exit code 2.
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import * as process from "node:process";
+import { fileURLToPath } from "node:url";
+import type { Argv } from "yargs";
+import { DetectionOptions, DetectionResult, detectFeatures } from "./baseline-detector.js";
+import { BaselineConfig, configFor, FailLevel, LoadedConfig, parseFailLevel } from "./config.js";
+import { Changes, changesSince, introducedFeatures } from "./git-changes.js";
+import { OutputFormat, parseOutputFormat, reportPath, reportRoot } from "./report.js";
+import { CANIUSE_LITE, loadUsageShare, UsageShare } from "./usage-share.js";
+import { watchFeatures } from "./watch.js";
+
+export interface ScanArgs {
+  srcDir: string;
+  format?: OutputFormat;
+  include?: string[];
+  exclude?: string[];
+  suppress?: string[];
+  failOn?: FailLevel;
+  config?: string;
+  usage?: string;
+  workers?: number;
+  cache?: boolean;
+  since?: string;
+  watch?: boolean;
+}
+
+// The settings of a scan, from the command line or else the config
+export interface ScanSettings {
+  srcDir: string;
+  // The directory the paths of files in the output are relative to
+  root: string;
+  config: BaselineConfig;
+  // The file the config was read from, if any
+  configFile?: string;
+  format: OutputFormat;
+  failOn: FailLevel;
+  detection: DetectionOptions;
+  // The usage-share dataset to estimate reach with, if any
+  usage?: string;
+  // The changes to report the introduced features of, with `--since`
+  changes?: Changes;
+}
+
+/**
+ * Parse the values of a list option, which can be repeated or
+ * comma-separated, as in `--exclude=dist --exclude=vendor,*.min.js`.
+ */
+export function parseList(values: string | string[]): string[] {
+  return ([] as string[])
+    .concat(values)
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+// The value of `--workers=`, a whole number of 0 or more
+function parseWorkers(value: string): number | undefined {
+  return /^\d+$/.test(value) ? Number(value) : undefined;
+}
+
+/**
+ * A yargs `coerce` function for an option whose values are checked by a
+ * parser, failing with a message if the parser returns `undefined`.
+ */
+export function parsedBy<T>(parse: (value: string) => T | undefined, message: (value: string) => string): (value: unknown) => T {
+  return (value) => {
+    const parsed = parse(String(value));
+    if (parsed === undefined) throw new Error(message(String(value)));
+    return parsed;
+  };
+}
+
+/**
+ * Add the `<srcDir>` positional and the options every scanning command has.
+ */
+export function withScanOptions<T>(yargs: Argv<T>): Argv<T & ScanArgs> {
+  return yargs
+    .positional("srcDir", {
+      type: "string",
+      describe: "The directory to scan",
+      demandOption: true,
+    })
+    .option("format", {
+      type: "string",
+      describe: "text, json (a report in the schema of report.schema.json) or sarif (a SARIF 2.1.0 log)",
+      coerce: parsedBy(parseOutputFormat, () => "--format must be 'text', 'json' or 'sarif'."),
+    })
+    .option("include", {
+      type: "string",
+      describe: "Only scan the files these globs match (.gitignore syntax, comma-separated or repeated)",
+      coerce: parseList,
+    })
+    .option("exclude", {
+      type: "string",
+      describe: "Skip the files and directories these globs match; files ignored by .gitignore or .baselineignore are always skipped",
+      coerce: parseList,
+    })
+    .option("suppress", {
+      type: "string",
+      describe: "Report the uses of these feature IDs as suppressed",
+      coerce: parseList,
+    })
+    .option("fail-on", {
+      type: "string",
+      describe: "Exit with 1 if there are findings of this level or above: error, warning, note or never",
+      coerce: parsedBy(parseFailLevel, () => "--fail-on must be 'error', 'warning', 'note' or 'never'."),
+    })
+    .option("workers", {
+      type: "string",
+      describe: "Scan with this many worker threads, or 0 to scan on the main thread; by default, one fewer than the CPUs for scans of many files",
+      coerce: parsedBy(parseWorkers, (value) => `--workers=${value} is not a number of 0 or more.`),
+    })
+    .option("cache", {
+      type: "boolean",
+      describe: "Keep the matches of scanned files in node_modules/.cache/baseline, so that re-runs only scan files that changed; --no-cache scans every file",
+    })
+    .option("since", {
+      type: "string",
+      describe: "Only report the features a change introduces since this git ref, such as origin/main: uses on the lines changed since its merge base with HEAD, of features the file didn't use before",
+    })
+    .option("config", {
+      type: "string",
+      describe: "Read settings from this file rather than the baseline.config.json, baseline.config.js or \"baseline\" key of package.json found for <srcDir>",
+      normalize: true,
+    }) as unknown as Argv<T & ScanArgs>;
+}
+
+/**
+ * Add the `--usage` option of the commands that estimate reach.
+ */
+export function withUsageOption<T>(yargs: Argv<T>): Argv<T> {
+  return yargs.option("usage", {
+    type: "string",
+    describe: `Estimate the share of users whose browsers support every detected feature, from a usage-share dataset: ${CANIUSE_LITE} or a JSON file of shares by browser and version`,
+  }) as unknown as Argv<T>;
+}
+
+/**
+ * Add the `--watch` option of the commands that print browser requirements.
+ */
+export function withWatchOption<T>(yargs: Argv<T>): Argv<T> {
+  return yargs.option("watch", {
+    type: "boolean",
+    describe: "Keep watching <srcDir>, and print the output again whenever a change alters the detected features or the browser versions they require",
+  }) as unknown as Argv<T>;
+}
+
+/**
+ * Print an error for a command line that can't run and exit with 2, as for
+ * options that don't parse.
+ */
+export function usageError(message: string): never {
+  process.stderr.write(`Error: ${message}\n`);
+  process.exit(2);
+}
+
+/**
+ * The settings of a scan: the options given on the command line, or else the
+ * settings of the project config. Exits with an error if `<srcDir>` isn't a
+ * directory or the config can't be read.
+ */
+export async function scanSettings(argv: ScanArgs): Promise<ScanSettings> {
+  const srcDir = path.resolve(argv.srcDir);
+  if (!fs.existsSync(srcDir) || !fs.statSync(srcDir).isDirectory()) {
+    process.stderr.write(`Error: ${srcDir} is not a directory.\n`);
+    process.exit(1);
+  }
+
+  let loaded: LoadedConfig | undefined;
+  try {
+    loaded = await configFor(srcDir, argv.config);
+  } catch (error) {
+    usageError(error.message);
+  }
+
+  let changes: Changes | undefined;
+  if (argv.since !== undefined) {
+    try {
+      changes = changesSince(argv.since, srcDir);
+    } catch (error) {
+      usageError(error.message);
+    }
+  }
+
+  const config = loaded?.config ?? {};
+  return {
+    srcDir,
+    root: reportRoot(srcDir),
+    config,
+    configFile: loaded?.source,
+    format: argv.format ?? config.format ?? "text",
+    failOn: argv.failOn ?? config.failOn ?? "never",
+    detection: {
+      srcDir,
+      include: argv.include ?? config.include,
+      exclude: argv.exclude ?? config.exclude,
+      suppress: argv.suppress ?? config.suppress,
+      workers: argv.workers,
+      cache: argv.cache ?? true,
+      files: changes && Array.from(changes.files.keys()),
+    },
+    usage: argv.usage ?? config.usage,
+    changes,
+  };
+}
+
+/**
+ * Detect the features of a scan, or with `--since`, the features its changes
+ * introduce.
+ */
+export async function detect({ detection, changes }: ScanSettings): Promise<DetectionResult> {
+  const result = await detectFeatures(detection);
+  return changes ? introducedFeatures(result, changes, detection) : result;
+}
+
+/**
+ * Read the usage-share dataset of a scan, exiting with an error if it can't
+ * be read.
+ */
+export async function usageShare(source: string): Promise<UsageShare> {
+  try {
+    return await loadUsageShare(source);
+  } catch (error) {
+    usageError(error.message);
+  }
+}
+
+/**
+ * Whether a module is the script Node.js was started with, for the command
+ * line tools that can also be imported.
+ */
+export function isMain(moduleUrl: string): boolean {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(moduleUrl));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Scan with `--watch`: print the text output of the first scan, then again
+ * whenever a change alters the detected features or the browser versions they
+ * require, until the process is stopped. Exits with an error for other
+ * formats, whose reports can't follow one another.
+ */
+export async function watch(settings: ScanSettings, print: (result: DetectionResult) => void): Promise<void> {
+  if (settings.format !== "text") usageError("--watch only prints text output.");
+  await watchFeatures(settings.detection, {
+    since: settings.changes?.ref,
+    configFile: settings.configFile,
+    onChange(result, changed) {
+      if (changed.length > 0) {
+        process.stdout.write(`\n[${new Date().toLocaleTimeString()}] Changed: ${changed.map((file) => reportPath(file, settings.root)).join(", ")}\n`);
+      }
+      print(result);
+    },
+    onError(error) {
+      process.stderr.write(`Error: ${error.message}\n`);
+    },
+  });
+  process.stderr.write(`\nWatching ${settings.srcDir} for changes. Press Ctrl+C to stop.\n`);
+}
@@ -0,0 +1,80 @@
+/**
+ * Project config
+ *
+ * Settings shared by the command line tools, so a project can commit its
+ * policy once rather than repeat it on every command line. The config is
+ * read from the first of these found in the scanned directory or the
+ * directories above it:
+ *
+ * - `baseline.config.json`
+ * - `baseline.config.js`, whose default export is the config
+ * - the `"baseline"` key of `package.json`
+ *
+ * or from the file passed as `--config=<path>`. Each setting has the name of
+ * the command line option it stands for, in camel case; options given on the
+ * command line override it. The config is described by `config.schema.json`.
+ */
+import { Preference } from "./alternatives.js";
+import { BaselineThreshold } from "./baseline-targets.js";
+import { OutputFormat } from "./report.js";
+export type FailLevel = "error" | "warning" | "note" | "never";
+export interface BaselineConfig {
+    targets?: string[];
+    baseline?: BaselineThreshold;
+    allowOrg?: string[];
+    denyOrg?: string[];
+    allowGroup?: string[];
+    denyGroup?: string[];
+    allowStanding?: string[];
+    denyStanding?: string[];
+    allowSpec?: string[];
+    denySpec?: string[];
+    specs?: string[];
+    mode?: "allow" | "deny";
+    denyDiscouraged?: boolean;
+    requireBaseline?: BaselineThreshold;
+    denyFeature?: string[];
+    denyFeatureGroup?: string[];
+    requireSnapshot?: string[];
+    prefer?: Preference;
+    include?: string[];
+    exclude?: string[];
+    suppress?: string[];
+    format?: OutputFormat;
+    failOn?: FailLevel;
+    usage?: string;
+}
+export interface LoadedConfig {
+    config: BaselineConfig;
+    source: string;
+}
+/**
+ * Parse the value of `--fail-on=`. Returns `undefined` if the value isn't a
+ * known level.
+ */
+export declare function parseFailLevel(value: string): FailLevel | undefined;
+/**
+ * Whether findings of a level should fail a run that fails on another.
+ */
+export declare function failsOn(level: "error" | "warning" | "note", failOn: FailLevel): boolean;
+/**
+ * Check a config read from a file, normalizing lists given as
+ * comma-separated strings. Throws an error naming the file and the setting
+ * for anything that isn't a valid setting.
+ */
+export declare function validateConfig(value: unknown, source: string): BaselineConfig;
+/**
+ * Read a config file: a `.js` module whose default export is the config, a
+ * `package.json` with a `"baseline"` key, or any other JSON file.
+ */
+export declare function loadConfig(file: string): Promise<LoadedConfig>;
+/**
+ * Find the config of a directory, in it or the nearest directory above it
+ * that has one.
+ */
+export declare function findConfig(dir: string): Promise<LoadedConfig | undefined>;
+/**
+ * The config for a scan: the file passed as `--config=<path>`, or the one
+ * found for the scanned directory, or `undefined` without either.
+ */
+export declare function configFor(srcDir: string, configPath?: string): Promise<LoadedConfig | undefined>;
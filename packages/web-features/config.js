@@ -0,0 +1,201 @@
+/**
+ * Project config
+ *
+ * Settings shared by the command line tools, so a project can commit its
+ * policy once rather than repeat it on every command line. The config is
+ * read from the first of these found in the scanned directory or the
+ * directories above it:
+ *
+ * - `baseline.config.json`
+ * - `baseline.config.js`, whose default export is the config
+ * - the `"baseline"` key of `package.json`
+ *
+ * or from the file passed as `--config=<path>`. Each setting has the name of
+ * the command line option it stands for, in camel case; options given on the
+ * command line override it. The config is described by `config.schema.json`.
+ */
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseBaselineThreshold } from "./baseline-targets.js";
+import { parseOutputFormat } from "./report.js";
+import { standings } from "./spec-policy.js";
+import { CANIUSE_LITE } from "./usage-share.js";
+const configFiles = ["baseline.config.json", "baseline.config.js"];
+const failLevels = ["error", "warning", "note", "never"];
+/**
+ * Parse the value of `--fail-on=`. Returns `undefined` if the value isn't a
+ * known level.
+ */
+export function parseFailLevel(value) {
+    return failLevels.includes(value) ? value : undefined;
+}
+/**
+ * Whether findings of a level should fail a run that fails on another.
+ */
+export function failsOn(level, failOn) {
+    return failOn !== "never" && failLevels.indexOf(level) <= failLevels.indexOf(failOn);
+}
+function stringList(value) {
+    if (typeof value === "string") {
+        return value
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean);
+    }
+    if (Array.isArray(value) && value.every((item) => typeof item === "string"))
+        return value;
+    return undefined;
+}
+/**
+ * Check a config read from a file, normalizing lists given as
+ * comma-separated strings. Throws an error naming the file and the setting
+ * for anything that isn't a valid setting.
+ */
+export function validateConfig(value, source) {
+    const invalid = (key, expected) => new Error(`${source}: "${key}" must be ${expected}.`);
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        throw new Error(`${source}: the config must be an object.`);
+    }
+    const config = {};
+    for (const [key, setting] of Object.entries(value)) {
+        switch (key) {
+            case "targets":
+            case "specs":
+            case "allowOrg":
+            case "denyOrg":
+            case "allowGroup":
+            case "denyGroup":
+            case "allowSpec":
+            case "denySpec":
+            case "denyFeature":
+            case "denyFeatureGroup":
+            case "requireSnapshot":
+            case "include":
+            case "exclude":
+            case "suppress": {
+                const list = stringList(setting);
+                if (!list)
+                    throw invalid(key, "a string or an array of strings");
+                config[key] = list;
+                break;
+            }
+            case "allowStanding":
+            case "denyStanding": {
+                const list = stringList(setting);
+                if (!list || !list.every((standing) => standings.includes(standing))) {
+                    throw invalid(key, `a list of ${standings.map((standing) => `"${standing}"`).join(", ")}`);
+                }
+                config[key] = list;
+                break;
+            }
+            case "baseline":
+            case "requireBaseline": {
+                const threshold = typeof setting === "string" || typeof setting === "number" ? parseBaselineThreshold(String(setting)) : undefined;
+                if (threshold === undefined)
+                    throw invalid(key, `"widely", "newly" or a year`);
+                config[key] = threshold;
+                break;
+            }
+            case "denyDiscouraged":
+                if (typeof setting !== "boolean")
+                    throw invalid(key, "true or false");
+                config.denyDiscouraged = setting;
+                break;
+            case "mode":
+                if (setting !== "allow" && setting !== "deny")
+                    throw invalid(key, `"allow" or "deny"`);
+                config.mode = setting;
+                break;
+            case "prefer":
+                if (setting !== "widely" && setting !== "newly")
+                    throw invalid(key, `"widely" or "newly"`);
+                config.prefer = setting;
+                break;
+            case "format": {
+                const format = typeof setting === "string" ? parseOutputFormat(setting) : undefined;
+                if (!format)
+                    throw invalid(key, `"text", "json" or "sarif"`);
+                config.format = format;
+                break;
+            }
+            case "failOn": {
+                const level = typeof setting === "string" ? parseFailLevel(setting) : undefined;
+                if (!level)
+                    throw invalid(key, `"error", "warning", "note" or "never"`);
+                config.failOn = level;
+                break;
+            }
+            case "usage":
+                if (typeof setting !== "string" || setting === "")
+                    throw invalid(key, `"${CANIUSE_LITE}" or the path of a JSON file`);
+                config.usage = setting === CANIUSE_LITE ? setting : path.resolve(path.dirname(source), setting);
+                break;
+            case "$schema":
+                break;
+            default:
+                throw new Error(`${source}: unknown setting "${key}".`);
+        }
+    }
+    return config;
+}
+/**
+ * Read a config file: a `.js` module whose default export is the config, a
+ * `package.json` with a `"baseline"` key, or any other JSON file.
+ */
+export async function loadConfig(file) {
+    const source = path.resolve(file);
+    let value;
+    if (/\.[cm]?js$/.test(source)) {
+        const module = await import(pathToFileURL(source).href);
+        value = module.default ?? module;
+    }
+    else {
+        try {
+            value = JSON.parse(fs.readFileSync(source, "utf8"));
+        }
+        catch (error) {
+            throw new Error(`${source}: ${error.message}`);
+        }
+        if (path.basename(source) === "package.json")
+            value = value.baseline ?? {};
+    }
+    return { config: validateConfig(value, source), source };
+}
+/**
+ * Find the config of a directory, in it or the nearest directory above it
+ * that has one.
+ */
+export async function findConfig(dir) {
+    let current = path.resolve(dir);
+    while (true) {
+        for (const name of configFiles) {
+            const file = path.join(current, name);
+            if (fs.existsSync(file))
+                return loadConfig(file);
+        }
+        const packagePath = path.join(current, "package.json");
+        if (fs.existsSync(packagePath)) {
+            let baseline;
+            try {
+                ({ baseline } = JSON.parse(fs.readFileSync(packagePath, "utf8")));
+            }
+            catch (error) {
+                // Not a package.json we can read; keep looking.
+            }
+            if (baseline !== undefined)
+                return { config: validateConfig(baseline, packagePath), source: packagePath };
+        }
+        const parent = path.dirname(current);
+        if (parent === current)
+            return undefined;
+        current = parent;
+    }
+}
+/**
+ * The config for a scan: the file passed as `--config=<path>`, or the one
+ * found for the scanned directory, or `undefined` without either.
+ */
+export async function configFor(srcDir, configPath) {
+    return configPath ? loadConfig(configPath) : findConfig(srcDir);
+}
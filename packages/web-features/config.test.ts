@@ -0,0 +1,63 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { failsOn, findConfig, loadConfig, validateConfig } from './config.js';
+
+describe('config', () => {
+  it('should validate and normalize settings', () => {
+    expect(validateConfig({ targets: 'last 2 versions, not dead', baseline: 2023, mode: 'deny', failOn: 'warning' }, 'config.json')).to.deep.equal({
+      targets: ['last 2 versions', 'not dead'],
+      baseline: 2023,
+      mode: 'deny',
+      failOn: 'warning',
+    });
+    expect(() => validateConfig({ mode: 'block' }, 'config.json')).to.throw('config.json: "mode" must be "allow" or "deny".');
+    expect(() => validateConfig({ target: 'defaults' }, 'config.json')).to.throw('config.json: unknown setting "target".');
+    expect(() => validateConfig([], 'config.json')).to.throw('must be an object');
+    expect(validateConfig({ usage: 'analytics/share.json' }, '/project/baseline.config.json')).to.deep.equal({ usage: path.resolve('/project/analytics/share.json') });
+    expect(validateConfig({ usage: 'caniuse-lite' }, 'config.json')).to.deep.equal({ usage: 'caniuse-lite' });
+    expect(validateConfig({ allowOrg: 'W3C, WHATWG', denyStanding: ['pending'] }, 'config.json')).to.deep.equal({ allowOrg: ['W3C', 'WHATWG'], denyStanding: ['pending'] });
+    expect(() => validateConfig({ denyStanding: 'bad' }, 'config.json')).to.throw('"denyStanding" must be a list of "good", "pending", "discontinued".');
+    expect(validateConfig({ denyDiscouraged: true, requireBaseline: 'widely', denyFeatureGroup: 'file-system' }, 'config.json')).to.deep.equal({
+      denyDiscouraged: true,
+      requireBaseline: 'widely',
+      denyFeatureGroup: ['file-system'],
+    });
+    expect(() => validateConfig({ denyDiscouraged: 'yes' }, 'config.json')).to.throw('"denyDiscouraged" must be true or false.');
+  });
+
+  it('should find the nearest config file or package.json key', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-config-'));
+    try {
+      const nested = path.join(root, 'packages', 'app', 'src');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'monorepo', baseline: { baseline: 'widely' } }));
+      fs.writeFileSync(path.join(root, 'packages', 'app', 'package.json'), JSON.stringify({ name: 'app' }));
+      expect(await findConfig(nested)).to.deep.equal({ config: { baseline: 'widely' }, source: path.join(root, 'package.json') });
+
+      fs.writeFileSync(path.join(root, 'packages', 'app', 'baseline.config.js'), 'export default { suppress: ["fetch"], format: "sarif" };\n');
+      expect(await findConfig(nested)).to.deep.equal({
+        config: { suppress: ['fetch'], format: 'sarif' },
+        source: path.join(root, 'packages', 'app', 'baseline.config.js'),
+      });
+
+      fs.writeFileSync(path.join(root, 'packages', 'app', 'baseline.config.json'), '{ "format": "xml" }');
+      let error: Error | undefined;
+      await findConfig(nested).catch((e) => (error = e));
+      expect(error?.message).to.include('"format" must be "text", "json" or "sarif"');
+
+      expect((await loadConfig(path.join(root, 'package.json'))).config).to.deep.equal({ baseline: 'widely' });
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('should fail on findings of the level or above', () => {
+    expect(failsOn('error', 'warning')).to.be.true;
+    expect(failsOn('warning', 'warning')).to.be.true;
+    expect(failsOn('note', 'warning')).to.be.false;
+    expect(failsOn('error', 'never')).to.be.false;
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * CSS matcher
+ *
+ * Parses CSS, SCSS and Less into a stylesheet syntax tree and matches it
+ * against the `css-property`, `css-value`, `css-at-rule` and `css-selector`
+ * detection patterns. Comments never match, and property names only match
+ * declarations, not selectors or values that happen to contain them. Matches
+ * inside an `@supports` rule that tests for what they use, as in
+ * `@supports selector(:has(a))`, are marked as guarded.
+ */
+import { PatternIndex, PatternMatch, SourceComment } from './detection-patterns.js';
+type CssFileType = 'css' | 'scss' | 'less';
+/**
+ * Match stylesheet source against the CSS patterns of an index. Throws if the
+ * source can't be parsed.
+ */
+export declare function matchCss(source: string, fileType: CssFileType, index: PatternIndex, comments?: SourceComment[]): PatternMatch[];
+export {};
@@ -0,0 +1,43 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { buildPatternIndex } from './detection-patterns.js';
+import { matchCss } from './css-detector.js';
+const index = buildPatternIndex({
+    grid: [
+        { kind: 'css-value', property: 'display', value: 'grid' },
+        { kind: 'css-property', name: 'grid-template-columns' },
+    ],
+    has: [{ kind: 'css-selector', pseudo: 'has' }],
+    'container-queries': [{ kind: 'css-at-rule', name: 'container' }],
+});
+function featuresIn(source, fileType = 'css') {
+    return matchCss(source, fileType, index).map(match => match.featureId);
+}
+describe('css-detector', () => {
+    it('should match property and value pairs', () => {
+        expect(featuresIn('a { display: grid; }')).to.deep.equal(['grid']);
+        expect(featuresIn('a { grid-template-columns: 1fr; }')).to.deep.equal(['grid']);
+        expect(featuresIn('a { content: grid; }')).to.be.empty;
+    });
+    it('should match at-rules', () => {
+        expect(featuresIn('@container (min-width: 1px) { a { color: red; } }')).to.deep.equal(['container-queries']);
+    });
+    it('should match pseudo-classes', () => {
+        expect(featuresIn('a:has(> img) { color: red; }')).to.deep.equal(['has']);
+        expect(featuresIn('.has-image { color: red; }')).to.be.empty;
+    });
+    it('should ignore comments', () => {
+        expect(featuresIn('/* display: grid; a:has(b) */ a { color: red; }')).to.be.empty;
+    });
+    it('should parse SCSS and Less', () => {
+        expect(featuresIn('// display: grid\n.a { &:has(b) { display: grid; } }', 'scss')).to.have.members(['has', 'grid']);
+        expect(featuresIn('@w: 1px; .a { .mixin(); display: grid; }', 'less')).to.deep.equal(['grid']);
+    });
+    it('should mark uses inside @supports checks for them as guarded', () => {
+        const guarded = (source) => matchCss(source, 'css', index).map(match => `${match.featureId}:${match.guarded}`);
+        expect(guarded('@supports selector(:has(a)) { a:has(b) { color: red; } }')).to.deep.equal(['has:true']);
+        expect(guarded('@supports (display: grid) { a { display: grid; } }')).to.deep.equal(['grid:true']);
+        expect(guarded('@supports (display: flex) { a { display: grid; } }')).to.deep.equal(['grid:false']);
+        expect(guarded('@supports not (display: grid) { a { display: grid; } }')).to.deep.equal(['grid:false']);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * CSS matcher
+ *
+ * Parses CSS, SCSS and Less into a stylesheet syntax tree and matches it
+ * against the `css-property`, `css-value`, `css-at-rule` and `css-selector`
+ * detection patterns. Comments never match, and property names only match
+ * declarations, not selectors or values that happen to contain them. Matches
+ * inside an `@supports` rule that tests for what they use, as in
+ * `@supports selector(:has(a))`, are marked as guarded.
+ */
+
+import postcss, { AtRule, Node, Root } from 'postcss';
+import postcssLess from 'postcss-less';
+import postcssScss from 'postcss-scss';
+import selectorParser from 'postcss-selector-parser';
+import valueParser from 'postcss-value-parser';
+import { PatternIndex, PatternMatch, SourceComment } from './detection-patterns.js';
+import { excerpt } from './source-position.js';
+
+type CssFileType = 'css' | 'scss' | 'less';
+
+// Where a stylesheet node starts, both 1-based.
+function positionOf(node: Node): { line: number; column: number } {
+  const { line = 1, column = 1 } = node.source?.start ?? {};
+  return { line, column };
+}
+
+// Whether a node is inside an `@supports` rule whose condition mentions a
+// term, such as a property name or `:has`. Fallbacks in `@supports not (...)`
+// aren't guarded.
+function isGuarded(node: Node, term: string): boolean {
+  const pattern = new RegExp(`(^|[^\\w-])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\w-])`, 'i');
+  for (let parent = node.parent as Node | undefined; parent; parent = parent.parent as Node | undefined) {
+    if (parent.type !== 'atrule') continue;
+    const atRule = parent as AtRule;
+    if (atRule.name.toLowerCase() === 'supports' && !/^\s*not\b/i.test(atRule.params) && pattern.test(atRule.params)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function parseStylesheet(source: string, fileType: CssFileType): Root {
+  switch (fileType) {
+    case 'scss': return postcssScss.parse(source) as Root;
+    case 'less': return postcssLess.parse(source) as Root;
+    default: return postcss.parse(source);
+  }
+}
+
+// The names of the pseudo-classes and pseudo-elements in a selector, without
+// colons, as in `['has', 'before']` for `a:has(b)::before`.
+function pseudoNames(selector: string): string[] {
+  const names: string[] = [];
+  try {
+    selectorParser((selectors) => {
+      selectors.walkPseudos((pseudo) => {
+        names.push(pseudo.value.replace(/^:+/, '').toLowerCase());
+      });
+    }).processSync(selector);
+  } catch (error) {
+    // Preprocessor syntax, such as SCSS interpolation, that isn't a selector.
+  }
+  return names;
+}
+
+/**
+ * Match stylesheet source against the CSS patterns of an index. Throws if the
+ * source can't be parsed.
+ */
+export function matchCss(source: string, fileType: CssFileType, index: PatternIndex, comments: SourceComment[] = []): PatternMatch[] {
+  const root = parseStylesheet(source, fileType);
+  const matches: PatternMatch[] = [];
+
+  // The parsers' end offsets aren't reliable for inline comments, so a
+  // comment ends at its closing delimiter or the end of its line
+  root.walkComments((comment) => {
+    const start = comment.source?.start?.offset;
+    if (start === undefined) return;
+    const inline = source.startsWith('//', start);
+    const close = inline ? source.indexOf('\n', start) : source.indexOf('*/', start);
+    comments.push({ start, end: close === -1 ? source.length : inline ? close : close + 2 });
+  });
+
+  root.walkAtRules((atRule) => {
+    for (const { featureId, pattern } of index.cssAtRules.get(atRule.name.toLowerCase()) ?? []) {
+      const guarded = isGuarded(atRule, `@${atRule.name}`);
+      matches.push({ featureId, pattern, text: excerpt(`@${atRule.name} ${atRule.params}`), ...positionOf(atRule), guarded });
+    }
+  });
+
+  root.walkDecls((decl) => {
+    const prop = decl.prop.toLowerCase();
+    const text = excerpt(`${decl.prop}: ${decl.value}`);
+    const position = positionOf(decl);
+
+    for (const { featureId, pattern } of index.cssProperties.get(prop) ?? []) {
+      matches.push({ featureId, pattern, text, ...position, guarded: isGuarded(decl, prop) });
+    }
+
+    if (index.cssValues.size === 0) return;
+    valueParser(decl.value).walk((node) => {
+      if (node.type !== 'word' && node.type !== 'function') return;
+      for (const { featureId, pattern } of index.cssValues.get(node.value.toLowerCase()) ?? []) {
+        if (pattern.property && pattern.property.toLowerCase() !== prop) continue;
+        matches.push({ featureId, pattern, text, ...position, guarded: isGuarded(decl, node.value) });
+      }
+    });
+  });
+
+  if (index.cssPseudos.size > 0) {
+    root.walkRules((rule) => {
+      if (!rule.selector.includes(':')) return;
+      for (const name of pseudoNames(rule.selector)) {
+        for (const { featureId, pattern } of index.cssPseudos.get(name) ?? []) {
+          matches.push({ featureId, pattern, text: excerpt(rule.selector), ...positionOf(rule), guarded: isGuarded(rule, `:${name}`) });
+        }
+      }
+    });
+  }
+
+  return matches;
+}
@@ -0,0 +1,36 @@
+/**
+ * Detection patterns
+ *
+ * Lookup tables the syntax tree matchers use to find the structured
+ * `detection_patterns` of features. The patterns themselves are typed in
+ * `types.ts` and validated when the data is built.
+ */
+import type { CssAtRulePattern, CssPropertyPattern, CssSelectorPattern, CssValuePattern, DetectionPattern, HtmlAttributePattern, HtmlElementPattern, JsGlobalPattern, JsMemberPattern, JsSyntax, JsSyntaxPattern } from '../../types.js';
+export interface IndexedPattern<P extends DetectionPattern = DetectionPattern> {
+    featureId: string;
+    pattern: P;
+}
+export interface PatternMatch {
+    featureId: string;
+    pattern: DetectionPattern;
+    text: string;
+    line: number;
+    column: number;
+    guarded?: boolean;
+}
+export interface SourceComment {
+    start: number;
+    end: number;
+}
+export interface PatternIndex {
+    jsGlobals: Map<string, IndexedPattern<JsGlobalPattern>[]>;
+    jsMembers: Map<string, IndexedPattern<JsMemberPattern>[]>;
+    jsSyntax: Map<JsSyntax, IndexedPattern<JsSyntaxPattern>[]>;
+    cssProperties: Map<string, IndexedPattern<CssPropertyPattern>[]>;
+    cssValues: Map<string, IndexedPattern<CssValuePattern>[]>;
+    cssAtRules: Map<string, IndexedPattern<CssAtRulePattern>[]>;
+    cssPseudos: Map<string, IndexedPattern<CssSelectorPattern>[]>;
+    htmlElements: Map<string, IndexedPattern<HtmlElementPattern>[]>;
+    htmlAttributes: Map<string, IndexedPattern<HtmlAttributePattern>[]>;
+}
+export declare function buildPatternIndex(patternsByFeature: Record<string, DetectionPattern[]>): PatternIndex;
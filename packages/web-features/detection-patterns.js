@@ -0,0 +1,66 @@
+/**
+ * Detection patterns
+ *
+ * Lookup tables the syntax tree matchers use to find the structured
+ * `detection_patterns` of features. The patterns themselves are typed in
+ * `types.ts` and validated when the data is built.
+ */
+function add(map, key, entry) {
+    const list = map.get(key);
+    if (list) {
+        list.push(entry);
+    }
+    else {
+        map.set(key, [entry]);
+    }
+}
+export function buildPatternIndex(patternsByFeature) {
+    const index = {
+        jsGlobals: new Map(),
+        jsMembers: new Map(),
+        jsSyntax: new Map(),
+        cssProperties: new Map(),
+        cssValues: new Map(),
+        cssAtRules: new Map(),
+        cssPseudos: new Map(),
+        htmlElements: new Map(),
+        htmlAttributes: new Map(),
+    };
+    for (const [featureId, patterns] of Object.entries(patternsByFeature)) {
+        for (const pattern of patterns) {
+            switch (pattern.kind) {
+                case 'js-global':
+                    add(index.jsGlobals, pattern.name, { featureId, pattern });
+                    break;
+                case 'js-member':
+                    add(index.jsMembers, pattern.path.split('.').pop(), { featureId, pattern });
+                    break;
+                case 'js-syntax':
+                    add(index.jsSyntax, pattern.syntax, { featureId, pattern });
+                    break;
+                case 'css-property':
+                    add(index.cssProperties, pattern.name.toLowerCase(), { featureId, pattern });
+                    break;
+                case 'css-value':
+                    add(index.cssValues, pattern.value.toLowerCase(), { featureId, pattern });
+                    break;
+                case 'css-at-rule':
+                    add(index.cssAtRules, pattern.name.toLowerCase(), { featureId, pattern });
+                    break;
+                case 'css-selector':
+                    add(index.cssPseudos, pattern.pseudo.toLowerCase(), { featureId, pattern });
+                    break;
+                case 'html-element':
+                    add(index.htmlElements, pattern.name.toLowerCase(), { featureId, pattern });
+                    break;
+                case 'html-attribute':
+                    add(index.htmlAttributes, pattern.name.toLowerCase(), { featureId, pattern });
+                    break;
+                case 'regex':
+                    // Raw text patterns are run by the detector itself.
+                    break;
+            }
+        }
+    }
+    return index;
+}
@@ -0,0 +1,121 @@
+/**
+ * Detection patterns
+ *
+ * Lookup tables the syntax tree matchers use to find the structured
+ * `detection_patterns` of features. The patterns themselves are typed in
+ * `types.ts` and validated when the data is built.
+ */
+
+import type {
+  CssAtRulePattern,
+  CssPropertyPattern,
+  CssSelectorPattern,
+  CssValuePattern,
+  DetectionPattern,
+  HtmlAttributePattern,
+  HtmlElementPattern,
+  JsGlobalPattern,
+  JsMemberPattern,
+  JsSyntax,
+  JsSyntaxPattern,
+} from '../../types.js';
+
+export interface IndexedPattern<P extends DetectionPattern = DetectionPattern> {
+  featureId: string;
+  pattern: P;
+}
+
+export interface PatternMatch {
+  featureId: string;
+  pattern: DetectionPattern;
+  text: string;
+  // Where the match starts, both 1-based
+  line: number;
+  column: number;
+  // Whether the match is inside a check for what it uses, as in
+  // `if ('clipboard' in navigator) { ... }` or `@supports (display: grid)`
+  guarded?: boolean;
+}
+
+// A comment a matcher found, by the offsets in the file of its first
+// character and of the one after its last, delimiters included
+export interface SourceComment {
+  start: number;
+  end: number;
+}
+
+// Patterns of all active features, keyed by the name a matcher sees on a
+// syntax tree node so that each node is a single lookup.
+export interface PatternIndex {
+  jsGlobals: Map<string, IndexedPattern<JsGlobalPattern>[]>;
+  jsMembers: Map<string, IndexedPattern<JsMemberPattern>[]>;
+  jsSyntax: Map<JsSyntax, IndexedPattern<JsSyntaxPattern>[]>;
+  cssProperties: Map<string, IndexedPattern<CssPropertyPattern>[]>;
+  cssValues: Map<string, IndexedPattern<CssValuePattern>[]>;
+  cssAtRules: Map<string, IndexedPattern<CssAtRulePattern>[]>;
+  cssPseudos: Map<string, IndexedPattern<CssSelectorPattern>[]>;
+  htmlElements: Map<string, IndexedPattern<HtmlElementPattern>[]>;
+  htmlAttributes: Map<string, IndexedPattern<HtmlAttributePattern>[]>;
+}
+
+function add<K, P extends DetectionPattern>(map: Map<K, IndexedPattern<P>[]>, key: K, entry: IndexedPattern<P>): void {
+  const list = map.get(key);
+  if (list) {
+    list.push(entry);
+  } else {
+    map.set(key, [entry]);
+  }
+}
+
+export function buildPatternIndex(patternsByFeature: Record<string, DetectionPattern[]>): PatternIndex {
+  const index: PatternIndex = {
+    jsGlobals: new Map(),
+    jsMembers: new Map(),
+    jsSyntax: new Map(),
+    cssProperties: new Map(),
+    cssValues: new Map(),
+    cssAtRules: new Map(),
+    cssPseudos: new Map(),
+    htmlElements: new Map(),
+    htmlAttributes: new Map(),
+  };
+
+  for (const [featureId, patterns] of Object.entries(patternsByFeature)) {
+    for (const pattern of patterns) {
+      switch (pattern.kind) {
+        case 'js-global':
+          add(index.jsGlobals, pattern.name, { featureId, pattern });
+          break;
+        case 'js-member':
+          add(index.jsMembers, pattern.path.split('.').pop(), { featureId, pattern });
+          break;
+        case 'js-syntax':
+          add(index.jsSyntax, pattern.syntax, { featureId, pattern });
+          break;
+        case 'css-property':
+          add(index.cssProperties, pattern.name.toLowerCase(), { featureId, pattern });
+          break;
+        case 'css-value':
+          add(index.cssValues, pattern.value.toLowerCase(), { featureId, pattern });
+          break;
+        case 'css-at-rule':
+          add(index.cssAtRules, pattern.name.toLowerCase(), { featureId, pattern });
+          break;
+        case 'css-selector':
+          add(index.cssPseudos, pattern.pseudo.toLowerCase(), { featureId, pattern });
+          break;
+        case 'html-element':
+          add(index.htmlElements, pattern.name.toLowerCase(), { featureId, pattern });
+          break;
+        case 'html-attribute':
+          add(index.htmlAttributes, pattern.name.toLowerCase(), { featureId, pattern });
+          break;
+        case 'regex':
+          // Raw text patterns are run by the detector itself.
+          break;
+      }
+    }
+  }
+
+  return index;
+}
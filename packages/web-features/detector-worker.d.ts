@@ -0,0 +1,8 @@
+/**
+ * Detector worker
+ *
+ * A worker thread of `scanFiles()`, which compiles the patterns of the
+ * features it's given once and scans the contents of the files it's sent,
+ * one at a time.
+ */
+export {};
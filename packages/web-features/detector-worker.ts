@@ -0,0 +1,17 @@
+/**
+ * Detector worker
+ *
+ * A worker thread of `scanFiles()`, which compiles the patterns of the
+ * features it's given once and scans the contents of the files it's sent,
+ * one at a time.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { compileDetector, FileType, PatternSource, scanFile } from './baseline-detector.js';
+
+const { featureIds, source, suppress }: { featureIds: string[]; source: PatternSource; suppress: string[] } = workerData;
+const detector = compileDetector(featureIds, source);
+
+parentPort!.on('message', ({ id, file, fileContent, fileType }: { id: number; file: string; fileContent: string; fileType: FileType }) => {
+  parentPort!.postMessage({ id, scan: scanFile(file, fileContent, fileType, detector, suppress) });
+});
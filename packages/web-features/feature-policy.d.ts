@@ -0,0 +1,46 @@
+/**
+ * Feature policy
+ *
+ * Rules on the features themselves, which a policy can combine with the
+ * rules on their specs:
+ *
+ * - `--deny-discouraged`: features must not be discouraged
+ * - `--require-baseline=<threshold>`: features must meet a Baseline threshold,
+ *   such as `widely` for Baseline high
+ * - `--deny-feature=<ids>`: features must not be these
+ * - `--deny-feature-group=<ids>`: features must not be in these groups, or
+ *   groups within them
+ * - `--require-snapshot=<ids>`: features must be in one of these snapshots,
+ *   such as `ecmascript-2020`
+ *
+ * Each violation names the rule that produced it, as its ID and as the option
+ * that set it.
+ */
+import { BaselineThreshold } from "./baseline-targets.js";
+export interface FeatureRules {
+    denyDiscouraged?: boolean;
+    requireBaseline?: BaselineThreshold;
+    denyFeature?: string[];
+    denyFeatureGroup?: string[];
+    requireSnapshot?: string[];
+}
+export type FeatureRuleId = "discouraged" | "baseline-required" | "denied-feature" | "denied-group" | "snapshot-required";
+export interface FeatureViolation {
+    ruleId: FeatureRuleId;
+    rule: string;
+    reason: string;
+}
+export declare const featureRuleDescriptions: Record<FeatureRuleId, string>;
+/**
+ * Whether a policy has any feature rules.
+ */
+export declare function hasFeatureRules(rules: FeatureRules): boolean;
+/**
+ * The unknown feature, group and snapshot IDs of a policy, which are likely
+ * typos.
+ */
+export declare function unknownIds(rules: FeatureRules): string[];
+/**
+ * Check a feature against the feature rules of a policy.
+ */
+export declare function checkFeature(featureId: string, rules: FeatureRules): FeatureViolation[];
@@ -0,0 +1,104 @@
+/**
+ * Feature policy
+ *
+ * Rules on the features themselves, which a policy can combine with the
+ * rules on their specs:
+ *
+ * - `--deny-discouraged`: features must not be discouraged
+ * - `--require-baseline=<threshold>`: features must meet a Baseline threshold,
+ *   such as `widely` for Baseline high
+ * - `--deny-feature=<ids>`: features must not be these
+ * - `--deny-feature-group=<ids>`: features must not be in these groups, or
+ *   groups within them
+ * - `--require-snapshot=<ids>`: features must be in one of these snapshots,
+ *   such as `ecmascript-2020`
+ *
+ * Each violation names the rule that produced it, as its ID and as the option
+ * that set it.
+ */
+import { features, groups, snapshots } from "./index.js";
+import { describeBaselineThreshold, meetsBaseline } from "./baseline-targets.js";
+// The rules a policy can report findings for
+export const featureRuleDescriptions = {
+    discouraged: "Uses a feature that is discouraged",
+    "baseline-required": "Uses a feature below the Baseline threshold of the policy",
+    "denied-feature": "Uses a feature that the policy denies",
+    "denied-group": "Uses a feature from a group that the policy denies",
+    "snapshot-required": "Uses a feature outside the snapshots the policy requires",
+};
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+// A group and the groups it's within
+function withAncestors(group) {
+    const chain = [];
+    for (let current = group; current && !chain.includes(current); current = groups[current]?.parent) {
+        chain.push(current);
+    }
+    return chain;
+}
+/**
+ * Whether a policy has any feature rules.
+ */
+export function hasFeatureRules(rules) {
+    return (Boolean(rules.denyDiscouraged) ||
+        rules.requireBaseline !== undefined ||
+        [rules.denyFeature, rules.denyFeatureGroup, rules.requireSnapshot].some((list) => list !== undefined && list.length > 0));
+}
+/**
+ * The unknown feature, group and snapshot IDs of a policy, which are likely
+ * typos.
+ */
+export function unknownIds(rules) {
+    return [
+        ...asList(rules.denyFeature).filter((id) => !features[id]),
+        ...asList(rules.denyFeatureGroup).filter((id) => !groups[id]),
+        ...asList(rules.requireSnapshot).filter((id) => !snapshots[id]),
+    ];
+}
+/**
+ * Check a feature against the feature rules of a policy.
+ */
+export function checkFeature(featureId, rules) {
+    const feature = features[featureId];
+    if (!feature)
+        return [];
+    const violations = [];
+    if (rules.denyDiscouraged && feature.discouraged) {
+        const alternatives = asList(feature.discouraged.alternatives);
+        violations.push({
+            ruleId: "discouraged",
+            rule: "--deny-discouraged",
+            reason: `it's discouraged${alternatives.length > 0 ? `; use ${alternatives.join(" or ")} instead` : ""}`,
+        });
+    }
+    if (rules.requireBaseline !== undefined && !meetsBaseline(feature.status, rules.requireBaseline)) {
+        const status = feature.status?.baseline === "high" ? "widely available" : feature.status?.baseline === "low" ? `newly available since ${feature.status.baseline_low_date}` : "not Baseline";
+        violations.push({
+            ruleId: "baseline-required",
+            rule: `--require-baseline=${rules.requireBaseline}`,
+            reason: `it's ${status}, below ${describeBaselineThreshold(rules.requireBaseline)}`,
+        });
+    }
+    const deniedFeatures = asList(rules.denyFeature);
+    if (deniedFeatures.includes(featureId)) {
+        violations.push({ ruleId: "denied-feature", rule: `--deny-feature=${deniedFeatures.join(",")}`, reason: "it's denied" });
+    }
+    const deniedGroups = asList(rules.denyFeatureGroup);
+    const inGroups = asList(feature.group).flatMap(withAncestors).filter((group) => deniedGroups.includes(group));
+    if (inGroups.length > 0) {
+        violations.push({
+            ruleId: "denied-group",
+            rule: `--deny-feature-group=${deniedGroups.join(",")}`,
+            reason: `it's in the ${Array.from(new Set(inGroups)).join(", ")} group`,
+        });
+    }
+    const requiredSnapshots = asList(rules.requireSnapshot);
+    if (requiredSnapshots.length > 0 && !asList(feature.snapshot).some((snapshot) => requiredSnapshots.includes(snapshot))) {
+        const inSnapshots = asList(feature.snapshot);
+        violations.push({
+            ruleId: "snapshot-required",
+            rule: `--require-snapshot=${requiredSnapshots.join(",")}`,
+            reason: inSnapshots.length > 0 ? `it's in ${inSnapshots.join(", ")}` : "it isn't in any snapshot",
+        });
+    }
+    return violations;
+}
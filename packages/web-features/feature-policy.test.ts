@@ -0,0 +1,47 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { checkFeature, hasFeatureRules, unknownIds } from './feature-policy.js';
+
+describe('feature-policy', () => {
+  it('should deny discouraged features, naming their alternatives', () => {
+    expect(checkFeature('clip', { denyDiscouraged: true })).to.deep.equal([
+      { ruleId: 'discouraged', rule: '--deny-discouraged', reason: "it's discouraged; use clip-path instead" },
+    ]);
+    expect(checkFeature('fetch', { denyDiscouraged: true })).to.deep.equal([]);
+  });
+
+  it('should require a Baseline threshold', () => {
+    const [violation] = checkFeature('clip', { requireBaseline: 'widely' });
+    expect(violation).to.include({ ruleId: 'baseline-required', rule: '--require-baseline=widely' });
+    expect(violation.reason).to.match(/^it's not Baseline, below /);
+    expect(checkFeature('fetch', { requireBaseline: 'widely' })).to.deep.equal([]);
+  });
+
+  it('should deny features and groups, including the groups within them', () => {
+    expect(checkFeature('fetch', { denyFeature: ['fetch', 'promise'] })).to.deep.equal([
+      { ruleId: 'denied-feature', rule: '--deny-feature=fetch,promise', reason: "it's denied" },
+    ]);
+    expect(checkFeature('file-system-access', { denyFeatureGroup: ['file-system'] })).to.deep.equal([
+      { ruleId: 'denied-group', rule: '--deny-feature-group=file-system', reason: "it's in the file-system group" },
+    ]);
+    expect(checkFeature('container-queries', { denyFeatureGroup: ['css'] })[0].reason).to.equal("it's in the css group");
+  });
+
+  it('should require snapshots', () => {
+    expect(checkFeature('nullish-coalescing', { requireSnapshot: ['ecmascript-2020'] })).to.deep.equal([]);
+    expect(checkFeature('async-await', { requireSnapshot: ['ecmascript-2020'] })).to.deep.equal([
+      { ruleId: 'snapshot-required', rule: '--require-snapshot=ecmascript-2020', reason: "it's in ecmascript-2017" },
+    ]);
+    expect(checkFeature('fetch', { requireSnapshot: ['ecmascript-2020'] })[0].reason).to.equal("it isn't in any snapshot");
+  });
+
+  it('should find rules and unknown IDs', () => {
+    expect(hasFeatureRules({})).to.be.false;
+    expect(hasFeatureRules({ denyDiscouraged: false, denyFeature: [] })).to.be.false;
+    expect(hasFeatureRules({ requireBaseline: 2020 })).to.be.true;
+    expect(unknownIds({ denyFeature: ['fetch', 'fetchh'], denyFeatureGroup: ['file-system'], requireSnapshot: ['ecmascript-2099'] })).to.deep.equal([
+      'fetchh',
+      'ecmascript-2099',
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Feature support
+ *
+ * The browser support of detected features, and the minimum browser versions
+ * that support all of them. Versions are ordered by the releases of
+ * compute-baseline's `Browser`, so "16" comes after "9" and "15.4" after "15".
+ *
+ * Support is recorded as the release that introduced it, or as a ranged
+ * version such as "≤83" where the compat data only knows that support was
+ * introduced in that release or earlier. A minimum that depends on a ranged
+ * version is only known to be at most that release, and stays ranged: a
+ * feature supported since "≤4" and another since "3" need "≤4", while one
+ * supported since "≤4" and another since "5" need "5".
+ */
+import { DetectionDetail, DetectionResult } from "./baseline-detector.js";
+import { BaselineStatus } from "./baseline-targets.js";
+export interface SupportCheck {
+    bcdKey: string;
+    status: BaselineStatus & {
+        support: Record<string, string>;
+    };
+    guarded: boolean;
+}
+export interface Requirement {
+    featureId: string;
+    bcdKey: string;
+    version: string | null;
+}
+export interface BrowserMinimum {
+    browser: string;
+    minVersion: string | null;
+    pinnedBy: Requirement[];
+    unsupported: Requirement[];
+}
+/**
+ * The support to check for a detected feature: the status of each compat key
+ * its matches evidence, or the feature's overall status if none of the matched
+ * patterns name a key. A key is guarded if every use of it is inside a feature
+ * check, so that it's a progressive enhancement rather than a blocker.
+ */
+export declare function supportToCheck(featureId: string, detail: DetectionDetail | undefined): SupportCheck[];
+/**
+ * The support to check for every detected feature, by feature ID.
+ */
+export declare function collectSupport(detection: DetectionResult): Map<string, SupportCheck[]>;
+/**
+ * Whether a release of a browser supports what a version introduced, such as
+ * "15.4" or "≤83", or `undefined` for what no version supports. Support since
+ * a ranged version is only known from that release on.
+ */
+export declare function isSupportedIn(browser: string, release: string, introduced: string | undefined): boolean;
+/**
+ * The minimum version of each core browser that supports every checked
+ * feature, and the features that pin it there. A version is pinned by every
+ * requirement of its release, so ties list each feature. Features a browser
+ * doesn't support in any version are listed apart, rather than hiding the
+ * minimum the rest require.
+ */
+export declare function minimumVersions(checks: Map<string, SupportCheck[]>, browsers?: readonly string[]): BrowserMinimum[];
@@ -0,0 +1,109 @@
+/**
+ * Feature support
+ *
+ * The browser support of detected features, and the minimum browser versions
+ * that support all of them. Versions are ordered by the releases of
+ * compute-baseline's `Browser`, so "16" comes after "9" and "15.4" after "15".
+ *
+ * Support is recorded as the release that introduced it, or as a ranged
+ * version such as "≤83" where the compat data only knows that support was
+ * introduced in that release or earlier. A minimum that depends on a ranged
+ * version is only known to be at most that release, and stays ranged: a
+ * feature supported since "≤4" and another since "3" need "≤4", while one
+ * supported since "≤4" and another since "5" need "5".
+ */
+import { features } from "./index.js";
+import { coreBrowserSet, getStatus } from "compute-baseline";
+import { browser as compatBrowser } from "compute-baseline/browser-compat-data";
+/**
+ * The support to check for a detected feature: the status of each compat key
+ * its matches evidence, or the feature's overall status if none of the matched
+ * patterns name a key. A key is guarded if every use of it is inside a feature
+ * check, so that it's a progressive enhancement rather than a blocker.
+ */
+export function supportToCheck(featureId, detail) {
+    const keys = detail?.compatKeys ?? [];
+    const locations = detail?.locations ?? [];
+    if (keys.length === 0) {
+        const feature = features[featureId];
+        const guarded = locations.length > 0 && locations.every((location) => location.guarded);
+        return [{ bcdKey: "feature-level", status: { baseline: false, support: {}, ...feature.status }, guarded }];
+    }
+    return keys.map((bcdKey) => ({
+        bcdKey,
+        status: getStatus(featureId, bcdKey),
+        guarded: locations.filter((location) => location.compatKey === bcdKey).every((location) => location.guarded),
+    }));
+}
+/**
+ * The support to check for every detected feature, by feature ID.
+ */
+export function collectSupport(detection) {
+    const checks = new Map();
+    for (const featureId of Array.from(detection.found)) {
+        const feature = features[featureId];
+        if (!feature || feature.kind !== "feature")
+            continue;
+        checks.set(featureId, supportToCheck(featureId, detection.details.get(featureId)));
+    }
+    return checks;
+}
+// The release of a version, and whether the version is ranged
+function releaseOf(browser, version) {
+    const ranged = version.startsWith("≤");
+    return { release: compatBrowser(browser).version(ranged ? version.slice(1) : version), ranged };
+}
+/**
+ * Whether a release of a browser supports what a version introduced, such as
+ * "15.4" or "≤83", or `undefined` for what no version supports. Support since
+ * a ranged version is only known from that release on.
+ */
+export function isSupportedIn(browser, release, introduced) {
+    if (!introduced)
+        return false;
+    return compatBrowser(browser).version(release).compare(releaseOf(browser, introduced).release) >= 0;
+}
+/**
+ * The minimum version of each core browser that supports every checked
+ * feature, and the features that pin it there. A version is pinned by every
+ * requirement of its release, so ties list each feature. Features a browser
+ * doesn't support in any version are listed apart, rather than hiding the
+ * minimum the rest require.
+ */
+export function minimumVersions(checks, browsers = coreBrowserSet) {
+    return browsers.map((browser) => {
+        const unsupported = [];
+        // The latest release any requirement names, and the latest exactly known
+        let latest;
+        let latestExact;
+        for (const [featureId, keyChecks] of Array.from(checks)) {
+            for (const { bcdKey, status } of keyChecks) {
+                const version = status.support[browser];
+                if (!version) {
+                    unsupported.push({ featureId, bcdKey, version: null });
+                    continue;
+                }
+                const requirement = { featureId, bcdKey, version };
+                const { release, ranged } = releaseOf(browser, version);
+                if (!ranged && (!latestExact || release.compare(latestExact) > 0))
+                    latestExact = release;
+                const order = latest ? release.compare(latest.release) : 1;
+                if (order > 0)
+                    latest = { release, requirements: [requirement] };
+                else if (order === 0)
+                    latest.requirements.push(requirement);
+            }
+        }
+        if (!latest)
+            return { browser, minVersion: null, pinnedBy: [], unsupported };
+        // An exact requirement of the latest release settles it; otherwise the
+        // minimum is somewhere after the latest exact release, up to the latest
+        const exact = latestExact !== undefined && latestExact.compare(latest.release) === 0;
+        return {
+            browser,
+            minVersion: exact ? latest.release.version : `≤${latest.release.version}`,
+            pinnedBy: exact ? latest.requirements.filter(({ version }) => !version.startsWith("≤")) : latest.requirements,
+            unsupported,
+        };
+    });
+}
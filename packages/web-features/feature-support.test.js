@@ -0,0 +1,38 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { minimumVersions } from './feature-support.js';
+// Checks for features supported since the given Safari versions
+function safari(...versions) {
+    return new Map(versions.map(([featureId, version]) => [
+        featureId,
+        [{ bcdKey: 'feature-level', status: { baseline: false, support: version ? { safari: version } : {} }, guarded: false }],
+    ]));
+}
+describe('feature-support', () => {
+    it('should order versions by release rather than as strings', () => {
+        const [minimum] = minimumVersions(safari(['a', '9'], ['b', '16'], ['c', '15.4']), ['safari']);
+        expect(minimum.minVersion).to.equal('16');
+        expect(minimum.pinnedBy).to.deep.equal([{ featureId: 'b', bcdKey: 'feature-level', version: '16' }]);
+        expect(minimumVersions(safari(['a', '15'], ['b', '15.4'], ['c', '9']), ['safari'])[0].minVersion).to.equal('15.4');
+    });
+    it('should list every feature that pins a minimum', () => {
+        const [minimum] = minimumVersions(safari(['a', '15.4'], ['b', '15.4'], ['c', '14']), ['safari']);
+        expect(minimum.minVersion).to.equal('15.4');
+        expect(minimum.pinnedBy.map(({ featureId }) => featureId)).to.deep.equal(['a', 'b']);
+    });
+    it('should keep a minimum ranged unless an exact version settles it', () => {
+        const ranged = minimumVersions(safari(['a', '≤4'], ['b', '3']), ['safari'])[0];
+        expect(ranged.minVersion).to.equal('≤4');
+        expect(ranged.pinnedBy.map(({ featureId }) => featureId)).to.deep.equal(['a']);
+        expect(minimumVersions(safari(['a', '≤4'], ['b', '5']), ['safari'])[0].minVersion).to.equal('5');
+        const tied = minimumVersions(safari(['a', '≤4'], ['b', '4']), ['safari'])[0];
+        expect(tied.minVersion).to.equal('4');
+        expect(tied.pinnedBy.map(({ featureId }) => featureId)).to.deep.equal(['b']);
+    });
+    it('should list unsupported features apart from the minimum', () => {
+        const [minimum] = minimumVersions(safari(['a', '15.4'], ['b', undefined]), ['safari']);
+        expect(minimum.minVersion).to.equal('15.4');
+        expect(minimum.unsupported).to.deep.equal([{ featureId: 'b', bcdKey: 'feature-level', version: null }]);
+        expect(minimumVersions(new Map(), ['safari'])[0]).to.deep.equal({ browser: 'safari', minVersion: null, pinnedBy: [], unsupported: [] });
+    });
+});
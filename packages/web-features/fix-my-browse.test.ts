@@ -1,13 +1,17 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
-import { execSync } from 'child_process';
+import { execFileSync, execSync, spawnSync } from 'child_process';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { pathToFileURL } from 'node:url';
 
 describe('fix-my-browse', () => {
   it('should run without errors', () => {
     try {
       const output = execSync('node fix-my-browse/fix-my-browse.js --help', { encoding: 'utf8' });
-      expect(output).to.include('Usage: fix-my-browse');
-      expect(output).to.include('--targets=');
+      expect(output).to.include('fix-my-browse <srcDir>');
+      expect(output).to.include('--targets');
       expect(output).to.include('--default');
     } catch (error) {
       expect.fail(`Tool failed to run: ${error.message}`);
@@ -16,7 +20,7 @@ describe('fix-my-browse', () => {
 
   it('should parse targets correctly', () => {
     try {
-      const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/modern-app --targets=chrome>=116,firefox>=117', { encoding: 'utf8' });
+      const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/modern-app "--targets=chrome>=116,firefox>=117"', { encoding: 'utf8' });
       expect(output).to.be.a('string');
     } catch (error) {
       // Tool may fail due to compatibility issues, which is expected
@@ -33,4 +37,204 @@ describe('fix-my-browse', () => {
       expect(error.message).to.be.a('string');
     }
   });
+
+  it('should report the BCD key that blocks a target', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/abort-timeout "--targets=safari>=15.4"', { encoding: 'utf8' });
+    expect(output).to.include('BCD Key: api.AbortSignal.timeout_static');
+    expect(output).to.include('Requires: 16');
+    expect(output).not.to.include('feature-level');
+  });
+
+  it('should report BCD keys that no version of a target supports', () => {
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-my-browse-'));
+    try {
+      fs.writeFileSync(path.join(srcDir, 'share.js'), "navigator.share({ title: 'x' });\n");
+      const { stdout } = spawnSync('node', ['fix-my-browse/fix-my-browse.js', srcDir, '--targets=firefox>=120'], { encoding: 'utf8' });
+      expect(stdout).to.include('Firefox 120 has 1 blockers');
+      expect(stdout).to.include('BCD Key: api.Navigator.share');
+      expect(stdout).to.include('Not supported in Firefox');
+    } finally {
+      fs.rmSync(srcDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write the whole of a large report to a pipe', () => {
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-my-browse-'));
+    try {
+      fs.writeFileSync(path.join(srcDir, 'share.js'), "navigator.share({ title: 'x' });\n".repeat(3000));
+      // The reader only starts once the pipe is full
+      const output = execSync(`node fix-my-browse/fix-my-browse.js "${srcDir}" "--targets=firefox>=120" --format=json | (sleep 1; cat)`, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+      expect(output.length).to.be.greaterThan(65536);
+      expect(JSON.parse(output).findings[0].locations).to.have.lengthOf(3000);
+    } finally {
+      fs.rmSync(srcDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should be satisfied once the blocking BCD key is supported', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/abort-timeout "--targets=safari>=16"', { encoding: 'utf8' });
+    expect(output).to.include('All targets satisfied');
+  });
+
+  it('should use the browserslist config and report queries it cannot resolve', () => {
+    const { stdout, stderr } = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/abort-timeout'], { encoding: 'utf8' });
+    expect(stdout).to.include('Safari 15.4 has 1 blockers');
+    expect(stderr).to.include('ie 11');
+  });
+
+  it('should reject browserslist queries that select no version of a core browser', () => {
+    const { status, stderr } = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/abort-timeout', '--targets=chrome>=999, firefox>=120'], { encoding: 'utf8' });
+    expect(status).to.equal(2);
+    expect(stderr).to.include('select no version of the browser they name: chrome>=999.');
+  });
+
+  it('should flag features below a Baseline year and check its equivalent versions', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/abort-timeout --baseline=2023', { encoding: 'utf8' });
+    expect(output).to.include('Baseline 2023 corresponds to: chrome 120');
+    expect(output).to.include('Features below Baseline 2023');
+    expect(output).to.include('Baseline: newly available since 2024-04-18');
+    expect(output).to.include('Chrome 120 has 1 blockers');
+    expect(output).to.include('tests/fixtures/abort-timeout/app.js:3:47  const response = await fetch(');
+  });
+
+  it('should reject unknown Baseline thresholds', () => {
+    const { status, stderr } = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/abort-timeout', '--baseline=high'], { encoding: 'utf8' });
+    expect(status).to.equal(2);
+    expect(stderr).to.include('--baseline=widely');
+  });
+
+  it('should report blockers as JSON with their locations', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/abort-timeout "--targets=safari >= 15.4" --format=json', { encoding: 'utf8' });
+    const report = JSON.parse(output);
+    expect(report).to.include({ version: 1, tool: 'fix-my-browse', root: path.resolve('../..') });
+    expect(report.targets).to.deep.equal([{ browser: 'safari', version: '15.4' }]);
+    expect(report.findings).to.deep.equal([
+      {
+        ruleId: 'unsupported-in-target',
+        level: 'error',
+        message: 'AbortController and AbortSignal (api.AbortSignal.timeout_static) isn\'t supported in safari 15.4 (requires 16)',
+        featureId: 'aborting',
+        bcdKey: 'api.AbortSignal.timeout_static',
+        locations: [
+          {
+            file: 'packages/web-features/tests/fixtures/abort-timeout/app.js',
+            line: 3,
+            column: 47,
+            snippet: 'const response = await fetch(url, { signal: AbortSignal.timeout(5000) });',
+            guarded: false,
+          },
+        ],
+        properties: { targets: [{ browser: 'safari', version: '15.4', required: '16' }], guarded: false },
+      },
+    ]);
+  });
+
+  it('should report blockers as SARIF', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/abort-timeout --baseline=2023 --format=sarif', { encoding: 'utf8' });
+    const [run] = JSON.parse(output).runs;
+    const result = run.results.find((r: any) => r.ruleId === 'below-baseline');
+    expect(run.tool.driver.name).to.equal('fix-my-browse');
+    expect(result.locations[0].physicalLocation).to.deep.equal({
+      artifactLocation: { uri: 'packages/web-features/tests/fixtures/abort-timeout/app.js', uriBaseId: 'SRCROOT' },
+      region: {
+        startLine: 3,
+        startColumn: 47,
+        snippet: { text: 'const response = await fetch(url, { signal: AbortSignal.timeout(5000) });' },
+      },
+    });
+    expect(run.originalUriBaseIds.SRCROOT.uri).to.equal(`${pathToFileURL(path.resolve('../..')).href}/`);
+  });
+
+  it('should report paths relative to the scanned directory outside a git repository', () => {
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-my-browse-'));
+    try {
+      fs.mkdirSync(path.join(srcDir, 'src'));
+      fs.writeFileSync(path.join(srcDir, 'src', 'app.js'), 'const signal = AbortSignal.timeout(5000);\n');
+      const output = execFileSync('node', ['fix-my-browse/fix-my-browse.js', srcDir, '--targets=safari>=15.4', '--format=sarif'], { encoding: 'utf8' });
+      const [run] = JSON.parse(output).runs;
+      expect(run.results[0].locations[0].physicalLocation.artifactLocation).to.deep.equal({ uri: 'src/app.js', uriBaseId: 'SRCROOT' });
+      expect(run.originalUriBaseIds.SRCROOT.uri).to.equal(`${pathToFileURL(srcDir).href}/`);
+    } finally {
+      fs.rmSync(srcDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject unknown formats', () => {
+    const { status, stderr } = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/abort-timeout', '--default', '--format=xml'], { encoding: 'utf8' });
+    expect(status).to.equal(2);
+    expect(stderr).to.include('--format');
+  });
+
+  it('should not report suppressed uses as blockers', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/suppressed "--targets=safari >= 15"', { encoding: 'utf8' });
+    expect(output).to.include('All targets satisfied');
+    expect(output).to.include('SUPPRESSED (baseline-ignore comments and the suppress setting)');
+    expect(output).to.include('tests/fixtures/suppressed/styles.css:3:3  .card:has(img) {');
+  });
+
+  it('should treat guarded uses as progressive enhancements', () => {
+    const output = execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/guarded "--targets=safari >= 12"', { encoding: 'utf8' });
+    const [blockers, enhancements] = output.split('PROGRESSIVE ENHANCEMENTS');
+    expect(blockers).to.include('BCD Key: api.AbortSignal.timeout_static');
+    expect(blockers).to.include('BCD Key: css.selectors.has');
+    expect(blockers).to.not.include('async-clipboard');
+    expect(enhancements).to.include('Async clipboard (async-clipboard)');
+    expect(enhancements).to.include('Not supported in: safari 12 (requires 13.1)');
+
+    const report = JSON.parse(execSync('node fix-my-browse/fix-my-browse.js ./tests/fixtures/guarded "--targets=safari >= 12" --format=json', { encoding: 'utf8' }));
+    const clipboard = report.findings.find((finding: any) => finding.featureId === 'async-clipboard');
+    expect(clipboard).to.include({ level: 'note' });
+    expect(clipboard.properties.guarded).to.be.true;
+  });
+
+  it('should exit with 1 after the whole text output once --fail-on is met', () => {
+    const args = ['fix-my-browse/fix-my-browse.js', './tests/fixtures/abort-timeout', '--targets=safari>=15.4', '--fail-on=error'];
+    expect(spawnSync('node', args).status).to.equal(1);
+    const piped = execSync(`node ${args.map((arg) => `"${arg}"`).join(' ')} | (sleep 1; cat)`, { encoding: 'utf8' });
+    expect(piped).to.include('Consider upgrading your browser targets');
+  });
+
+  it('should read settings from baseline.config.json, overridden by options', () => {
+    const configured = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/configured'], { encoding: 'utf8' });
+    expect(configured.status).to.equal(1);
+    const report = JSON.parse(configured.stdout);
+    expect(report.targets).to.deep.equal([{ browser: 'safari', version: '15.4' }]);
+    expect(report.suppressed.map((feature: any) => feature.id)).to.deep.equal(['fetch']);
+
+    const overridden = spawnSync('node', ['fix-my-browse/fix-my-browse.js', './tests/fixtures/configured', '--format=text', '--fail-on=never'], { encoding: 'utf8' });
+    expect(overridden.status).to.equal(0);
+    expect(overridden.stdout).to.include('Safari 15.4 has 1 blockers');
+  });
+
+  it('should only report the features a change introduces with --since', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-since-'));
+    const git = (...args: string[]) =>
+      execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], { cwd: root, stdio: 'pipe' });
+    try {
+      git('init', '--quiet', '--initial-branch=main');
+      fs.writeFileSync(path.join(root, 'app.js'), 'const signal = AbortSignal.timeout(5000);\n');
+      git('add', '-A');
+      git('commit', '--quiet', '-m', 'Base');
+      git('checkout', '--quiet', '-b', 'change');
+      fs.writeFileSync(path.join(root, 'app.css'), '.card:has(img) { color: blue; }\n');
+
+      const run = (since: string, ...args: string[]) =>
+        spawnSync('node', ['fix-my-browse/fix-my-browse.js', root, '--targets=safari >= 15', `--since=${since}`, ...args], { encoding: 'utf8' });
+      const { stdout } = run('main');
+      expect(stdout).to.include('Only features introduced since main');
+      expect(stdout).to.include('This change introduces :has() (css.selectors.has), which requires Safari 15.4 > your target 15');
+      expect(stdout).to.not.include('api.AbortSignal.timeout_static');
+
+      const report = JSON.parse(run('main', '--format=json').stdout);
+      expect(report.since).to.include({ ref: 'main', base: git('rev-parse', 'main').toString().trim() });
+      expect(report.since.files).to.have.lengthOf(1);
+      expect(report.findings.map(({ featureId }: any) => featureId)).to.deep.equal(['has']);
+
+      const unknown = run('no-such-branch');
+      expect(unknown.status).to.equal(2);
+      expect(unknown.stderr).to.include("Can't compare with no-such-branch");
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
 });
@@ -1,2 +1,14 @@
 #!/usr/bin/env node
+import type { CommandModule } from "yargs";
+import { ScanArgs } from "../cli.js";
+import { BaselineThreshold } from "../baseline-targets.js";
+interface CheckArgs extends ScanArgs {
+    targets?: string;
+    default: boolean;
+    baseline?: BaselineThreshold;
+}
+/**
+ * `baseline check`, also installed as `fix-my-browse` and `fmb`.
+ */
+export declare const checkCommand: CommandModule<object, CheckArgs>;
 export {};
@@ -1,46 +1,42 @@
 #!/usr/bin/env node
-import * as fs from "node:fs";
-import * as path from "node:path";
-import * as process from "node:process";
+import process from "node:process";
+import type { Argv, CommandModule } from "yargs";
 
 import { browsers, features } from "../index.js";
-import { detectFeatures as detectFeaturesBaseline } from "../baseline-detector.js";
-import { getStatus } from "../../compute-baseline/src/baseline/index.js";
-import { identifiers as coreBrowserSet } from "../../compute-baseline/src/baseline/core-browser-set.js";
+import { DetectionResult } from "../baseline-detector.js";
+import { findBrowserslistConfig, resolveBrowserslist, Target } from "../browserslist.js";
+import { detect, isMain, parsedBy, ScanArgs, scanSettings, usageError, usageShare, watch, withScanOptions, withUsageOption, withWatchOption } from "../cli.js";
+import { failsOn } from "../config.js";
+import { collectSupport, isSupportedIn, SupportCheck } from "../feature-support.js";
+import { Changes, describeChanges, reportChanges } from "../git-changes.js";
+import {
+  BaselineStatus,
+  BaselineThreshold,
+  baselineTargets,
+  describeBaselineThreshold,
+  meetsBaseline,
+  parseBaselineThreshold,
+} from "../baseline-targets.js";
+import { describeLocations, describeSuppressed, formatReport, Report, REPORT_VERSION, reportFeatures, reportLocations } from "../report.js";
+import { describeReach, estimateReach, ReachEstimate } from "../usage-share.js";
+import { coreBrowserSet } from "compute-baseline";
 
 type BrowserId = string;
 
-interface Target {
-  browser: BrowserId;
-  version: string;
-}
-
 //CLI tool that answers the question of will my code break on these browsers?
 // scans your code for web features and checks if they are supported by the browser targets.
-//use this by doing fix-my-browse <srcDir> --targets=<list>|--default
-//for example: fix-my-browse ./src --targets=chrome>=116,firefox>=117,safari>=16.4,edge>=116
+//use this by doing baseline check <srcDir> --targets=<query>|--default|--baseline=<threshold> (or the old name, fix-my-browse <srcDir> ...)
+//for example: baseline check ./src --targets="chrome>=116,firefox>=117,safari>=16.4,edge>=116"
+//or: baseline check ./src --targets="last 2 versions, not dead"
+//or: baseline check ./src --baseline=2022 (also --baseline=widely or --baseline=newly)
+//without either, targets come from the browserslist config of <srcDir> (.browserslistrc or package.json)
+//uses inside feature checks, like if ('clipboard' in navigator) or @supports, are progressive enhancements, not blockers
+//uses marked with a baseline-ignore comment (baseline-ignore-next-line, baseline-ignore, baseline-disable) never block
+//add --format=json or --format=sarif for output that CI, dashboards and code scanning can read
 
 //if everything is good, you will see a message like this: All targets satisfied by detected features.
 
 
-function printHelp(): void {
-  const help = `\nUsage: fix-my-browse <srcDir> --targets=<list>|--default\n\nExamples:\n  fmb ./src --targets=chrome>=116,firefox>=117,safari>=16.4,edge>=116\n  fmb ./packages/app --default\n\n--default uses a reasonable set of current stable majors (from browsers data).\n`;
-  process.stdout.write(help);
-}
-
-//organizes the targets into a list of browser and version
-function parseTargets(arg?: string): Target[] {
-  if (!arg) return [];
-  const items = arg.split(",").map((x) => x.trim()).filter(Boolean);
-  const out: Target[] = [];
-  for (const item of items) {
-    const m = item.match(/^(chrome|chrome_android|edge|firefox|firefox_android|safari|safari_ios)\s*>=\s*([0-9]+(?:\.[0-9]+)*)$/i);
-    if (!m) continue;
-    out.push({ browser: m[1].toLowerCase(), version: m[2] });
-  }
-  return out;
-}
-
 function defaultTargets(): Target[] {
   const out: Target[] = [];
   for (const browserId of coreBrowserSet) {
@@ -53,66 +49,51 @@ function defaultTargets(): Target[] {
   return out;
 }
 
-//... compares browser versions!
-function compareVersions(a: string, b: string): number {
-  const sanitize = (v: string) => v.replace(/[^0-9.]/g, "");
-  const as = sanitize(a).split(".").map((n) => parseInt(n, 10));
-  const bs = sanitize(b).split(".").map((n) => parseInt(n, 10));
-  const len = Math.max(as.length, bs.length);
-  for (let i = 0; i < len; i++) {
-    const ai = as[i] ?? 0;
-    const bi = bs[i] ?? 0;
-    if (ai > bi) return 1;
-    if (ai < bi) return -1;
-  }
-  return 0;
-}
+type TargetBlocker = {
+  featureId: string;
+  bcdKey: string;
+  // The version that introduced support, or `null` if no version supports it
+  required: string | null;
+  feature: string;
+  baseline?: string;
+};
 
 //checks if the features are supported by the targeted browsers using granular BCD key checking
-function checkTargets(usedFeatures: Set<string>, targets: Target[]) {
+//guarded uses are progressive enhancements for a target, not blockers
+function checkTargets(checks: Map<string, SupportCheck[]>, targets: Target[]) {
   const problems: Array<{
     browser: BrowserId;
     version: string;
-    blockers: Array<{
-      featureId: string;
-      bcdKey: string;
-      required: string;
-      feature: string;
-      baseline?: string;
-    }>;
+    blockers: TargetBlocker[];
+    enhancements: TargetBlocker[];
   }> = [];
-  
+
   for (const target of targets) {
-    const blockers: Array<{
-      featureId: string;
-      bcdKey: string;
-      required: string;
-      feature: string;
-      baseline?: string;
-    }> = [];
+    const blockers: TargetBlocker[] = [];
+    const enhancements: TargetBlocker[] = [];
     
-    for (const featureId of Array.from(usedFeatures)) {
+    for (const [featureId, keyChecks] of Array.from(checks)) {
       const feature = features[featureId];
-      if (!feature || feature.kind !== "feature") continue;
-      
-      // Use feature-level support for now (simpler approach)
-      const required = (feature as any).status?.support?.[target.browser];
-      if (required && compareVersions(target.version, required) < 0) {
-        blockers.push({
-          featureId,
-          bcdKey: "feature-level",
-          required,
-          feature: (feature as any).name || featureId,
-          baseline: String((feature as any).status?.baseline || 'unknown')
-        });
+      for (const { bcdKey, status, guarded } of keyChecks) {
+        const required = status.support[target.browser];
+        if (!isSupportedIn(target.browser, target.version, required)) {
+          (guarded ? enhancements : blockers).push({
+            featureId,
+            bcdKey,
+            required: required ?? null,
+            feature: (feature as any).name || featureId,
+            baseline: String((feature as any).status?.baseline || 'unknown')
+          });
+        }
       }
     }
     
-    if (blockers.length > 0) {
+    if (blockers.length > 0 || enhancements.length > 0) {
       problems.push({
         browser: target.browser,
         version: target.version,
-        blockers
+        blockers,
+        enhancements
       });
     }
   }
@@ -120,6 +101,65 @@ function checkTargets(usedFeatures: Set<string>, targets: Target[]) {
   return problems;
 }
 
+//checks if the features meet a Baseline threshold, such as Baseline 2022
+function checkBaseline(checks: Map<string, SupportCheck[]>, threshold: BaselineThreshold) {
+  const blockers: Array<{
+    featureId: string;
+    bcdKey: string;
+    feature: string;
+    status: BaselineStatus;
+    guarded: boolean;
+  }> = [];
+
+  for (const [featureId, keyChecks] of Array.from(checks)) {
+    const feature = features[featureId];
+    for (const { bcdKey, status, guarded } of keyChecks) {
+      if (!meetsBaseline(status, threshold)) {
+        blockers.push({ featureId, bcdKey, feature: (feature as any).name || featureId, status, guarded });
+      }
+    }
+  }
+
+  return blockers;
+}
+
+// Group what targets don't support by compat key, listing every target
+function unsupportedByKey(problems: ReturnType<typeof checkTargets>, guarded: boolean) {
+  const byKey = new Map<string, { blocker: TargetBlocker; targets: Array<Target & { required: string | null }> }>();
+  for (const problem of problems) {
+    for (const blocker of guarded ? problem.enhancements : problem.blockers) {
+      const key = `${blocker.featureId} ${blocker.bcdKey}`;
+      if (!byKey.has(key)) byKey.set(key, { blocker, targets: [] });
+      byKey.get(key).targets.push({ browser: problem.browser, version: problem.version, required: blocker.required });
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+function describeTargets(targets: Array<Target & { required: string | null }>): string {
+  return targets.map(({ browser, version, required }) => `${browser} ${version} (${required ? `requires ${required}` : "no version supports it"})`).join(", ");
+}
+
+// What a change introduces that targets don't support, as in "This change
+// introduces :has() (css.selectors.has), which requires Safari 15.4 > your
+// target 15", or "..., which isn't supported in Firefox"
+function describeIntroduced(blocker: TargetBlocker, targets: Array<Target & { required: string | null }>): string {
+  const name = (browser: string) => browsers[browser]?.name ?? browser;
+  const requires = targets.filter(({ required }) => required).map(({ browser, version, required }) => `${name(browser)} ${required} > your target ${version}`);
+  const unsupported = targets.filter(({ required }) => !required).map(({ browser }) => name(browser));
+  const parts = [
+    ...(requires.length > 0 ? [`requires ${requires.join(", ")}`] : []),
+    ...(unsupported.length > 0 ? [`isn't supported in ${unsupported.join(", ")}`] : []),
+  ];
+  return `This change introduces ${blocker.feature} (${blocker.bcdKey}), which ${parts.join(" and ")}`;
+}
+
+function describeStatus(status: BaselineStatus): string {
+  if (status.baseline === "high") return `widely available since ${status.baseline_high_date}`;
+  if (status.baseline === "low") return `newly available since ${status.baseline_low_date}`;
+  return "not Baseline";
+}
+
 function getBaselineIcon(baseline?: string): string {
   switch (baseline) {
     case "high": return "[HIGH]";
@@ -129,16 +169,58 @@ function getBaselineIcon(baseline?: string): string {
   }
 }
 
-function formatOutput(problems: ReturnType<typeof checkTargets>): string {
-  if (problems.length === 0) {
-    return "\n All targets satisfied by detected features!!! :) \n\n";
+function formatOutput(
+  detection: DetectionResult,
+  root: string,
+  problems: ReturnType<typeof checkTargets>,
+  baseline?: { threshold: BaselineThreshold; blockers: ReturnType<typeof checkBaseline> },
+  changes?: Changes,
+): string {
+  const usedAt = (featureId: string, bcdKey: string) => [
+    "     Used at:",
+    ...describeLocations(reportLocations(detection.details.get(featureId)?.locations, root, bcdKey), "       "),
+  ];
+
+  // Suppressed uses are never blockers, but are listed so they stay visible
+  const suppressed = describeSuppressed(detection, root);
+  const enhancements = describeEnhancements(detection, root, problems, baseline);
+  const hardProblems = problems.filter((problem) => problem.blockers.length > 0);
+  const baselineBlockers = baseline?.blockers.filter((blocker) => !blocker.guarded) ?? [];
+
+  if (hardProblems.length === 0 && baselineBlockers.length === 0) {
+    return ["\n All targets satisfied by detected features!!! :) \n", ...enhancements, ...suppressed, ""].join("\n");
   }
   
   const lines: string[] = [];
-  lines.push("\n Browser Target Compatibility Issues...");
-  lines.push("");
+
+  if (baselineBlockers.length > 0) {
+    lines.push(`\n Features below ${describeBaselineThreshold(baseline.threshold)}...`);
+    lines.push("");
+    for (const blocker of baselineBlockers) {
+      lines.push(`  ${getBaselineIcon(String(blocker.status.baseline))} ${blocker.feature} (${blocker.featureId})`);
+      lines.push(`     BCD Key: ${blocker.bcdKey}`);
+      lines.push(`     Baseline: ${describeStatus(blocker.status)}`);
+      lines.push(...usedAt(blocker.featureId, blocker.bcdKey));
+      lines.push("");
+    }
+  }
+
+  // With --since, what the change introduces, by compat key
+  if (changes && hardProblems.length > 0) {
+    lines.push("\n Introduced Browser Target Compatibility Issues...");
+    lines.push("");
+    for (const { blocker, targets } of unsupportedByKey(problems, false)) {
+      lines.push(`  ${getBaselineIcon(blocker.baseline)} ${blocker.feature} (${blocker.featureId})`);
+      lines.push(`     ${describeIntroduced(blocker, targets)}`);
+      lines.push(...usedAt(blocker.featureId, blocker.bcdKey));
+      lines.push("");
+    }
+  } else if (hardProblems.length > 0) {
+    lines.push("\n Browser Target Compatibility Issues...");
+    lines.push("");
+  }
   
-  for (const problem of problems) {
+  for (const problem of changes ? [] : hardProblems) {
     const browserName = problem.browser.charAt(0).toUpperCase() + problem.browser.slice(1);
     lines.push(`${browserName} ${problem.version} has ${problem.blockers.length} blockers:`);
     lines.push("");
@@ -150,45 +232,222 @@ function formatOutput(problems: ReturnType<typeof checkTargets>): string {
       
       lines.push(`  ${icon} ${blocker.feature} (${blocker.featureId})`);
       lines.push(`     BCD Key: ${blocker.bcdKey}`);
-      lines.push(`     Requires: ${blocker.required}`);
+      lines.push(blocker.required ? `     Requires: ${blocker.required}` : `     Not supported in ${browserName}`);
       if ((feature as any)?.description) {
         lines.push(`     ${(feature as any).description}`);
       }
+      lines.push(...usedAt(blocker.featureId, blocker.bcdKey));
       lines.push("");
     }
   }
   
+  lines.push(...enhancements);
+  lines.push(...suppressed);
   lines.push("Consider upgrading your browser targets or using alternative features.");
   
   return lines.join("\n");
 }
 
-function main(): void {
-  const args = process.argv.slice(2);
-  if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
-    printHelp();
-    process.exit(0);
+// Guarded uses that targets don't support or that are below the Baseline
+// threshold: progressive enhancements, which are listed but don't block
+function describeEnhancements(
+  detection: DetectionResult,
+  root: string,
+  problems: ReturnType<typeof checkTargets>,
+  baseline?: { threshold: BaselineThreshold; blockers: ReturnType<typeof checkBaseline> },
+): string[] {
+  const unsupported = unsupportedByKey(problems, true);
+  const belowBaseline = baseline?.blockers.filter((blocker) => blocker.guarded) ?? [];
+  if (unsupported.length === 0 && belowBaseline.length === 0) return [];
+
+  const lines = ["PROGRESSIVE ENHANCEMENTS (guarded by feature checks, not blockers)"];
+  const describe = (featureId: string, feature: string, bcdKey: string, detail: string) => {
+    lines.push(`  ${feature} (${featureId})`);
+    lines.push(`     BCD Key: ${bcdKey}`);
+    lines.push(`     ${detail}`);
+    lines.push(...describeLocations(reportLocations(detection.details.get(featureId)?.locations, root, bcdKey), "       "));
+  };
+  for (const { blocker, targets } of unsupported) {
+    describe(blocker.featureId, blocker.feature, blocker.bcdKey, `Not supported in: ${describeTargets(targets)}`);
+  }
+  for (const blocker of belowBaseline) {
+    describe(blocker.featureId, blocker.feature, blocker.bcdKey, `Baseline: ${describeStatus(blocker.status)}, below ${describeBaselineThreshold(baseline.threshold)}`);
   }
+  lines.push("");
+  return lines;
+}
 
-  const srcDir = path.resolve(args[0]);
-  if (!fs.existsSync(srcDir) || !fs.statSync(srcDir).isDirectory()) {
-    process.stderr.write(`Error: ${srcDir} is not a directory.\n`);
-    process.exit(1);
+function buildReport(
+  srcDir: string,
+  root: string,
+  detection: DetectionResult,
+  targets: Target[],
+  problems: ReturnType<typeof checkTargets>,
+  baseline: { threshold: BaselineThreshold; blockers: ReturnType<typeof checkBaseline> } | undefined,
+  reach: ReachEstimate | null,
+  changes: Changes | undefined,
+): Report {
+  const findings: Report["findings"] = [];
+
+  // One finding per compat key, listing every target that doesn't support it.
+  // Guarded uses are progressive enhancements, reported as notes.
+  for (const guarded of [false, true]) {
+    for (const { blocker, targets: unsupportedTargets } of unsupportedByKey(problems, guarded)) {
+      findings.push({
+        ruleId: "unsupported-in-target",
+        level: guarded ? "note" : "error",
+        message: `${
+          changes
+            ? describeIntroduced(blocker, unsupportedTargets)
+            : `${blocker.feature} (${blocker.bcdKey}) isn't supported in ${describeTargets(unsupportedTargets)}`
+        }${guarded ? ", but is guarded by a feature check" : ""}`,
+        featureId: blocker.featureId,
+        bcdKey: blocker.bcdKey,
+        locations: reportLocations(detection.details.get(blocker.featureId)?.locations, root, blocker.bcdKey),
+        properties: { targets: unsupportedTargets, guarded },
+      });
+    }
+  }
+
+  for (const blocker of baseline?.blockers ?? []) {
+    findings.push({
+      ruleId: "below-baseline",
+      level: blocker.guarded ? "note" : "error",
+      message: `${blocker.feature} (${blocker.bcdKey}) is ${describeStatus(blocker.status)}, below ${describeBaselineThreshold(baseline.threshold)}${blocker.guarded ? ", but is guarded by a feature check" : ""}`,
+      featureId: blocker.featureId,
+      bcdKey: blocker.bcdKey,
+      locations: reportLocations(detection.details.get(blocker.featureId)?.locations, root, blocker.bcdKey),
+      properties: { status: blocker.status, guarded: blocker.guarded },
+    });
   }
 
-  const targetsArg = args.find((a) => a.startsWith("--targets="));
-  const useDefault = args.includes("--default");
-  const targetsString = targetsArg ? targetsArg.substring(10) : ""; // Remove "--targets="
-  const targets = useDefault ? defaultTargets() : parseTargets(targetsString);
+  return {
+    version: REPORT_VERSION,
+    tool: "fix-my-browse",
+    srcDir,
+    root,
+    summary: {
+      filesScanned: detection.summary.filesScanned,
+      detectedFeatures: detection.found.size,
+      findings: findings.length,
+    },
+    features: reportFeatures(detection, root),
+    suppressed: reportFeatures(detection, root, true),
+    rules: [
+      { id: "unsupported-in-target", description: "Uses a feature that a browser target doesn't support" },
+      { id: "below-baseline", description: "Uses a feature below the Baseline threshold" },
+    ],
+    findings,
+    targets,
+    baseline: baseline ? baseline.threshold : null,
+    reach,
+    since: reportChanges(changes, root),
+  };
+}
+
+interface CheckArgs extends ScanArgs {
+  targets?: string;
+  default: boolean;
+  baseline?: BaselineThreshold;
+}
+
+async function check(argv: CheckArgs): Promise<void> {
+  const settings = await scanSettings(argv);
+  const { srcDir, root, config, format, failOn, usage, changes } = settings;
+  // Notes go to stderr when stdout is a machine-readable report
+  const notes = format === "text" ? process.stdout : process.stderr;
+
+  const targetsArg = argv.targets;
+  const useDefault = argv.default;
+  const threshold = argv.baseline ?? config.baseline;
+  let targets: Target[] = [];
+  if (useDefault) {
+    targets = defaultTargets();
+  } else if (threshold !== undefined && !targetsArg && !config.targets) {
+    // The browser versions equivalent to the threshold
+    targets = baselineTargets(threshold);
+    const versions = targets.map(({ browser, version }) => `${browser} ${version}`).join(", ");
+    notes.write(`\n${describeBaselineThreshold(threshold)} corresponds to: ${versions}\n`);
+  } else {
+    const browserslistConfig = targetsArg || config.targets ? undefined : findBrowserslistConfig(srcDir);
+    const query = targetsArg ?? config.targets ?? browserslistConfig?.query;
+    if (query) {
+      const resolved = resolveBrowserslist(query);
+      const from = browserslistConfig ? ` in ${browserslistConfig.source}` : "";
+      if (resolved.empty.length) {
+        usageError(`browserslist queries${from} select no version of the browser they name: ${resolved.empty.join(", ")}.`);
+      }
+      if (resolved.unmapped.length) {
+        process.stderr.write(`Warning: ignoring browserslist queries${from} that can't be resolved against the core browser set: ${resolved.unmapped.join(", ")}\n`);
+      }
+      if (resolved.usage.length) {
+        process.stderr.write(`Warning: ignoring browserslist queries${from} that select by usage statistics, which the bundled data doesn't have: ${resolved.usage.join(", ")}\n`);
+      }
+      targets = resolved.targets;
+    }
+  }
   if (!targets.length) {
-    process.stderr.write("Error: provide --targets=list or --default.\n");
-    process.exit(2);
+    usageError("provide --targets=<query>, --default, --baseline=<threshold>, targets in the baseline config, or a browserslist config.");
   }
 
-  const detectionResult = detectFeaturesBaseline({ srcDir });
-  const used = detectionResult.found;
-  const problems = checkTargets(used, targets);
-  process.stdout.write(formatOutput(problems));
+  const usageData = usage === undefined ? undefined : await usageShare(usage);
+  const analyze = (detectionResult: DetectionResult) => {
+    const checks = collectSupport(detectionResult);
+    return {
+      problems: checkTargets(checks, targets),
+      baseline: threshold === undefined ? undefined : { threshold, blockers: checkBaseline(checks, threshold) },
+      reach: usageData ? estimateReach(usageData, checks, usage) : null,
+    };
+  };
+  // The blockers, progressive enhancements and reach
+  const print = (detectionResult: DetectionResult) => {
+    const { problems, baseline, reach } = analyze(detectionResult);
+    process.stdout.write(formatOutput(detectionResult, root, problems, baseline, changes));
+    if (reach) process.stdout.write(["", ...describeReach(reach)].join("\n"));
+  };
+  if (argv.watch) return watch(settings, print);
+
+  const detectionResult = await detect(settings);
+  const { problems, baseline, reach } = analyze(detectionResult);
+  const report = buildReport(srcDir, root, detectionResult, targets, problems, baseline, reach, changes);
+  const failed = report.findings.some(({ level }) => failsOn(level, failOn));
+  if (format !== "text") {
+    // Exiting now could cut off output still being written to a pipe
+    process.stdout.write(formatReport(report, format));
+    process.exitCode = failed ? 1 : 0;
+    return;
+  }
+  if (changes) process.stdout.write(`\n${describeChanges(changes)}\n`);
+  print(detectionResult);
+  if (failed) process.exitCode = 1;
 }
 
-main();
\ No newline at end of file
+/**
+ * `baseline check`, also installed as `fix-my-browse` and `fmb`.
+ */
+export const checkCommand: CommandModule<object, CheckArgs> = {
+  command: "check <srcDir>",
+  describe: "Check that the web features used in <srcDir> work in your browser targets",
+  builder: (yargs) =>
+    withWatchOption(withUsageOption(withScanOptions(yargs)))
+      .option("targets", {
+        type: "string",
+        describe: "A browserslist query, resolved against the core browser set; without targets, the browserslist config of <srcDir> is used",
+      })
+      .option("default", {
+        type: "boolean",
+        default: false,
+        describe: "Check a reasonable set of current stable majors",
+      })
+      .option("baseline", {
+        type: "string",
+        describe: "widely, newly or a year: flag features below that Baseline threshold and, without --targets, check its equivalent browser versions",
+        coerce: parsedBy(parseBaselineThreshold, (value) => `--baseline=${value} is not one of --baseline=widely, --baseline=newly or --baseline=<year>.`),
+      }) as unknown as Argv<CheckArgs>,
+  handler: check,
+};
+
+// `fix-my-browse` is the old name of `baseline check`
+if (isMain(import.meta.url)) {
+  import("../baseline/baseline.js").then(({ alias }) => alias("fix-my-browse", checkCommand, process.argv.slice(2)));
+}
@@ -0,0 +1,47 @@
+/**
+ * Git changes
+ *
+ * The files and lines a change touched, compared to a git ref, for scans
+ * that only report the features a change introduces, as in
+ * `--since=origin/main`. A change is compared to the merge base of the ref
+ * and `HEAD`, like a pull request, and includes uncommitted and untracked
+ * files. A feature is introduced by a change if it's used on a line the
+ * change added or modified, and the file didn't use it before the change.
+ */
+import { DetectionOptions, DetectionResult } from "./baseline-detector.js";
+export interface ChangedFile {
+    lines: Set<number> | null;
+    basePath?: string;
+}
+export interface Changes {
+    ref: string;
+    base: string;
+    root: string;
+    files: Map<string, ChangedFile>;
+}
+export interface ReportChanges {
+    ref: string;
+    base: string;
+    files: string[];
+}
+/**
+ * The changes to the files under a directory since a git ref. Throws an error
+ * if the directory isn't in a git repository or the ref isn't known.
+ */
+export declare function changesSince(ref: string, dir: string): Changes;
+/**
+ * The features of a scan of changed files that the changes introduce: the
+ * uses on the lines they changed, of features the file didn't use at the
+ * base. Uses of a feature the file already had, elsewhere in the file or on
+ * the lines the change modified, aren't new.
+ */
+export declare function introducedFeatures(result: DetectionResult, changes: Changes, options: DetectionOptions): DetectionResult;
+/**
+ * What a scan of some changes reports, for the text output.
+ */
+export declare function describeChanges({ ref, base, files }: Changes): string;
+/**
+ * The changes a scan reports the introduced features of, for a report, or
+ * `null` for a scan of every file.
+ */
+export declare function reportChanges(changes: Changes | undefined, root: string): ReportChanges | null;
@@ -0,0 +1,184 @@
+/**
+ * Git changes
+ *
+ * The files and lines a change touched, compared to a git ref, for scans
+ * that only report the features a change introduces, as in
+ * `--since=origin/main`. A change is compared to the merge base of the ref
+ * and `HEAD`, like a pull request, and includes uncommitted and untracked
+ * files. A feature is introduced by a change if it's used on a line the
+ * change added or modified, and the file didn't use it before the change.
+ */
+import { execFileSync } from "node:child_process";
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { compileDetector, getFileType, scanFile } from "./baseline-detector.js";
+import { reportPath } from "./report.js";
+// Run git in a directory, returning its output
+function git(cwd, args) {
+    return execFileSync("git", ["-c", "core.quotePath=false", ...args], {
+        cwd,
+        encoding: "utf8",
+        maxBuffer: 256 * 1024 * 1024,
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+}
+// Why a git command failed, from its error output
+function gitFailure(error) {
+    if (error.code === "ENOENT")
+        return "git isn't installed";
+    const message = String(error.stderr ?? "").trim().split("\n")[0];
+    return message.replace(/^(fatal|error): /, "") || error.message;
+}
+// The added or modified lines of each file in a diff with no context lines,
+// by the file's path relative to the repository
+function changedLines(diff) {
+    const files = new Map();
+    let lines;
+    for (const line of diff.split("\n")) {
+        if (line.startsWith("diff --git ")) {
+            lines = undefined;
+        }
+        else if (line.startsWith("+++ ")) {
+            const target = line.slice(4);
+            // A quoted path is escaped like a C string, as JSON mostly is
+            const file = target.startsWith('"') ? JSON.parse(target) : target;
+            lines = file.startsWith("b/") ? new Set() : undefined;
+            if (lines)
+                files.set(file.slice(2), lines);
+        }
+        else if (lines && line.startsWith("@@ ")) {
+            const [, start, count = "1"] = /^@@ -\S+ \+(\d+)(?:,(\d+))? @@/.exec(line) ?? [];
+            for (let i = 0; i < Number(count); i++)
+                lines.add(Number(start) + i);
+        }
+    }
+    return files;
+}
+/**
+ * The changes to the files under a directory since a git ref. Throws an error
+ * if the directory isn't in a git repository or the ref isn't known.
+ */
+export function changesSince(ref, dir) {
+    let root;
+    let base;
+    try {
+        root = git(dir, ["rev-parse", "--show-toplevel"]).trim();
+    }
+    catch (error) {
+        throw new Error(`Can't compare with ${ref}: ${gitFailure(error)}.`);
+    }
+    try {
+        git(root, ["rev-parse", "--verify", `${ref}^{commit}`]);
+    }
+    catch (error) {
+        throw new Error(`Can't compare with ${ref}: it isn't a commit in ${root}.`);
+    }
+    try {
+        base = git(root, ["merge-base", ref, "HEAD"]).trim();
+    }
+    catch (error) {
+        throw new Error(`Can't compare with ${ref}: it has no common ancestor with HEAD.`);
+    }
+    // Paths relative to the repository as scans report them: under the
+    // scanned directory as given, which may be through a symbolic link
+    const realDir = fs.realpathSync(dir);
+    const scanPath = (file) => path.join(dir, path.relative(realDir, path.join(root, file)));
+    const scope = path.relative(root, realDir) || ".";
+    const files = new Map();
+    const status = git(root, ["diff", "--no-relative", "--name-status", "-z", "-M", base, "--", scope]).split("\0");
+    const lines = changedLines(git(root, ["diff", "--no-relative", "--no-color", "--no-ext-diff", "-U0", "-M", "--src-prefix=a/", "--dst-prefix=b/", base, "--", scope]));
+    for (let i = 0; i < status.length - 1;) {
+        const kind = status[i++][0];
+        const basePath = kind === "R" || kind === "C" ? status[i++] : status[i];
+        const file = status[i++];
+        if (kind === "D")
+            continue;
+        if (kind === "A" || kind === "C") {
+            files.set(scanPath(file), { lines: null });
+        }
+        else {
+            files.set(scanPath(file), { lines: lines.get(file) ?? new Set(), basePath });
+        }
+    }
+    for (const file of git(root, ["ls-files", "--others", "--exclude-standard", "--full-name", "-z", "--", scope]).split("\0")) {
+        if (file)
+            files.set(scanPath(file), { lines: null });
+    }
+    return { ref, base, root, files };
+}
+// The content of a file at the base of some changes, or `undefined` if it
+// can't be read
+function baseContent(changes, basePath) {
+    try {
+        return git(changes.root, ["show", `${changes.base}:${basePath}`]);
+    }
+    catch (error) {
+        return undefined;
+    }
+}
+/**
+ * The features of a scan of changed files that the changes introduce: the
+ * uses on the lines they changed, of features the file didn't use at the
+ * base. Uses of a feature the file already had, elsewhere in the file or on
+ * the lines the change modified, aren't new.
+ */
+export function introducedFeatures(result, changes, options) {
+    const { features = [], suppress = [] } = options;
+    const detector = compileDetector(features, options);
+    const baseFeatures = new Map();
+    const usedAtBase = (file) => {
+        if (!baseFeatures.has(file)) {
+            const basePath = changes.files.get(file)?.basePath;
+            const content = basePath === undefined ? undefined : baseContent(changes, basePath);
+            const matches = content === undefined ? [] : scanFile(file, content, getFileType(file), detector, suppress).matches;
+            baseFeatures.set(file, new Set(matches.map(({ featureId }) => featureId)));
+        }
+        return baseFeatures.get(file);
+    };
+    const introduced = (details) => {
+        const kept = new Map();
+        for (const [featureId, detail] of Array.from(details)) {
+            const indexes = detail.locations
+                .map(({ file, line }, index) => {
+                const change = changes.files.get(file);
+                const changed = change && (change.lines === null || change.lines.has(line));
+                return changed && !usedAtBase(file).has(featureId) ? index : -1;
+            })
+                .filter((index) => index >= 0);
+            if (indexes.length === 0)
+                continue;
+            const locations = indexes.map((index) => detail.locations[index]);
+            kept.set(featureId, {
+                files: Array.from(new Set(locations.map(({ file }) => file))),
+                matches: indexes.map((index) => detail.matches[index]),
+                compatKeys: Array.from(new Set(locations.map(({ compatKey }) => compatKey).filter(Boolean))),
+                locations,
+            });
+        }
+        return kept;
+    };
+    const details = introduced(result.details);
+    const suppressed = introduced(result.suppressed);
+    return {
+        found: new Set(Array.from(result.found).filter((featureId) => details.has(featureId))),
+        details,
+        suppressed,
+        summary: { ...result.summary, detectedFeatures: details.size, suppressedFeatures: suppressed.size },
+    };
+}
+/**
+ * What a scan of some changes reports, for the text output.
+ */
+export function describeChanges({ ref, base, files }) {
+    const count = files.size === 1 ? "1 changed file" : `${files.size} changed files`;
+    return `Only features introduced since ${ref} (merge base ${base.slice(0, 7)}, ${count}) are reported: features used on changed lines that the file didn't use before.`;
+}
+/**
+ * The changes a scan reports the introduced features of, for a report, or
+ * `null` for a scan of every file.
+ */
+export function reportChanges(changes, root) {
+    if (!changes)
+        return null;
+    return { ref: changes.ref, base: changes.base, files: Array.from(changes.files.keys(), (file) => reportPath(file, root)).sort() };
+}
@@ -0,0 +1,79 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { execFileSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { detectFeatures } from './baseline-detector.js';
+import { changesSince, introducedFeatures } from './git-changes.js';
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], { cwd, stdio: 'pipe' });
+// A repository with a commit on `main`, then a change on a branch
+function changedRepo() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-since-'));
+    const srcDir = path.join(root, 'src');
+    fs.mkdirSync(srcDir);
+    git(root, 'init', '--quiet', '--initial-branch=main');
+    fs.writeFileSync(path.join(srcDir, 'app.js'), 'fetch("/a");\n');
+    fs.writeFileSync(path.join(srcDir, 'app.css'), 'a { color: red; }\n');
+    fs.writeFileSync(path.join(srcDir, 'old.js'), 'const signal = AbortSignal.timeout(5000);\n');
+    git(root, 'add', '-A');
+    git(root, 'commit', '--quiet', '-m', 'Base');
+    git(root, 'checkout', '--quiet', '-b', 'change');
+    fs.writeFileSync(path.join(srcDir, 'app.js'), 'fetch("/a");\nfetch("/b");\n');
+    fs.writeFileSync(path.join(srcDir, 'app.css'), 'a { color: red; }\n.card:has(img) { color: blue; }\n');
+    git(root, 'mv', 'src/old.js', 'src/renamed.js');
+    git(root, 'commit', '--quiet', '-am', 'Change');
+    // Uncommitted and untracked files are part of the change too
+    fs.writeFileSync(path.join(srcDir, 'new.js'), 'navigator.clipboard.writeText("copied");\n');
+    return root;
+}
+describe('git-changes', () => {
+    it('should find the files and lines changed since the merge base', () => {
+        const root = changedRepo();
+        try {
+            const srcDir = path.join(root, 'src');
+            const changes = changesSince('main', srcDir);
+            expect(changes.base).to.equal(execFileSync('git', ['rev-parse', 'main'], { cwd: root, encoding: 'utf8' }).trim());
+            expect(Object.fromEntries(Array.from(changes.files, ([file, { lines, basePath }]) => [path.relative(srcDir, file), { lines: lines && Array.from(lines), basePath }]))).to.deep.equal({
+                'app.css': { lines: [2], basePath: 'src/app.css' },
+                'app.js': { lines: [2], basePath: 'src/app.js' },
+                'renamed.js': { lines: [], basePath: 'src/old.js' },
+                'new.js': { lines: null, basePath: undefined },
+            });
+        }
+        finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+    it('should only keep the features a change introduces', async () => {
+        const root = changedRepo();
+        try {
+            const srcDir = path.join(root, 'src');
+            const changes = changesSince('main', srcDir);
+            const options = { srcDir, files: Array.from(changes.files.keys()) };
+            const result = await detectFeatures(options);
+            expect(result.found).to.include('fetch');
+            const introduced = introducedFeatures(result, changes, options);
+            expect(Array.from(introduced.found)).to.include.members(['async-clipboard', 'has']);
+            // A use the change didn't touch, one the file already had, and a
+            // renamed file's uses aren't new
+            expect(introduced.found).to.not.include('fetch');
+            const files = Array.from(introduced.details.values()).flatMap(({ files }) => files);
+            expect(files.map((file) => path.basename(file))).to.not.include('renamed.js');
+            expect(introduced.details.get('has').locations.map(({ line }) => line)).to.deep.equal([2]);
+            expect(introduced.summary.detectedFeatures).to.equal(introduced.found.size);
+        }
+        finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+    it('should reject refs that are not commits', () => {
+        const root = changedRepo();
+        try {
+            expect(() => changesSince('no-such-branch', root)).to.throw(/Can't compare with no-such-branch: it isn't a commit/);
+        }
+        finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
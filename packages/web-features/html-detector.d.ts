@@ -0,0 +1,18 @@
+/**
+ * HTML and component matcher
+ *
+ * Parses HTML, and the markup of Vue, Svelte and Astro components, and
+ * matches elements and attributes against the `html-element` and
+ * `html-attribute` detection patterns. Inline `<script>` and `<style>` blocks,
+ * and the frontmatter script of Astro components, are handed to the JS and CSS
+ * matchers, so a component is scanned as a whole.
+ */
+import { PatternIndex, PatternMatch, SourceComment } from './detection-patterns.js';
+type HtmlFileType = 'html' | 'vue' | 'svelte' | 'astro';
+/**
+ * Match HTML, or a Vue, Svelte or Astro component, against the HTML patterns
+ * of an index, and its inline scripts and styles against the JS and CSS
+ * patterns. Blocks that can't be parsed are skipped.
+ */
+export declare function matchHtml(source: string, fileType: HtmlFileType, index: PatternIndex, comments?: SourceComment[]): PatternMatch[];
+export {};
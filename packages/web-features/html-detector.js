@@ -0,0 +1,124 @@
+/**
+ * HTML and component matcher
+ *
+ * Parses HTML, and the markup of Vue, Svelte and Astro components, and
+ * matches elements and attributes against the `html-element` and
+ * `html-attribute` detection patterns. Inline `<script>` and `<style>` blocks,
+ * and the frontmatter script of Astro components, are handed to the JS and CSS
+ * matchers, so a component is scanned as a whole.
+ */
+import { Parser } from 'htmlparser2';
+import { matchCss } from './css-detector.js';
+import { matchJs } from './js-detector.js';
+import { excerpt, lineStarts, positionAt } from './source-position.js';
+// Script types that hold code, besides no type at all.
+const scriptTypes = /^(module|(text|application)\/(javascript|ecmascript|babel|typescript))$/i;
+// The language of a `<script>` or `<style>` block, or `undefined` if it isn't
+// one the other matchers read, such as `<script type="application/json">` or
+// `<style lang="stylus">`.
+function blockLang(kind, attribs) {
+    const lang = (attribs.lang ?? '').toLowerCase();
+    if (kind === 'style') {
+        if (lang === 'scss' || lang === 'less')
+            return lang;
+        return lang === '' || lang === 'css' || lang === 'postcss' ? 'css' : undefined;
+    }
+    if (attribs.type !== undefined && attribs.type !== '' && !scriptTypes.test(attribs.type))
+        return undefined;
+    if (attribs.src !== undefined)
+        return undefined;
+    switch (lang) {
+        case 'ts':
+        case 'typescript':
+            return 'ts';
+        case 'tsx':
+        case 'jsx':
+            return lang;
+        default:
+            return /typescript/i.test(attribs.type ?? '') ? 'ts' : 'js';
+    }
+}
+// The name of an attribute without framework binding syntax, as in `popover`
+// for Vue's `:popover` or `v-bind:popover`.
+function attributeName(name, fileType) {
+    const lower = name.toLowerCase();
+    return fileType === 'vue' ? lower.replace(/^(v-bind:|:)/, '') : lower;
+}
+// Source with everything outside a block blanked, keeping line breaks, so
+// that positions in the block are positions in the file.
+function blockSource(source, start, end) {
+    return source.slice(0, start).replace(/[^\n]/g, ' ') + source.slice(start, end);
+}
+/**
+ * Match HTML, or a Vue, Svelte or Astro component, against the HTML patterns
+ * of an index, and its inline scripts and styles against the JS and CSS
+ * patterns. Blocks that can't be parsed are skipped.
+ */
+export function matchHtml(source, fileType, index, comments = []) {
+    const matches = [];
+    const blocks = [];
+    let markup = source;
+    // The frontmatter of an Astro component is TypeScript, fenced by `---`.
+    if (fileType === 'astro') {
+        const frontmatter = source.match(/^\s*---\r?\n([\s\S]*?)\r?\n---/);
+        if (frontmatter) {
+            const start = frontmatter[0].indexOf('\n') + 1;
+            blocks.push({ kind: 'script', lang: 'ts', start, end: start + frontmatter[1].length });
+            // The markup parser mustn't see the frontmatter as text
+            markup = frontmatter[0].replace(/[^\n]/g, ' ') + source.slice(frontmatter[0].length);
+        }
+    }
+    // The markup has the lines of the source
+    const starts = lineStarts(markup);
+    let open;
+    const parser = new Parser({
+        onopentag(name, attribs) {
+            const tagStart = parser.startIndex;
+            const tag = markup.slice(tagStart, parser.endIndex + 1);
+            const element = name.toLowerCase();
+            for (const { featureId, pattern } of index.htmlElements.get(element) ?? []) {
+                matches.push({ featureId, pattern, text: excerpt(tag), ...positionAt(starts, tagStart) });
+            }
+            for (const attribute of Object.keys(attribs)) {
+                for (const { featureId, pattern } of index.htmlAttributes.get(attributeName(attribute, fileType)) ?? []) {
+                    if (pattern.element && pattern.element.toLowerCase() !== element)
+                        continue;
+                    const offset = tag.search(new RegExp(`\\s${attribute.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[\\s=/>]|$)`));
+                    const at = offset === -1 ? tagStart : tagStart + offset + 1;
+                    matches.push({ featureId, pattern, text: excerpt(tag), ...positionAt(starts, at) });
+                }
+            }
+            if (element === 'script' || element === 'style') {
+                open = { kind: element, lang: blockLang(element, attribs), start: parser.endIndex + 1 };
+            }
+        },
+        oncomment() {
+            comments.push({ start: parser.startIndex, end: parser.endIndex + 1 });
+        },
+        onclosetag(name) {
+            const element = name.toLowerCase();
+            if (open && element === open.kind) {
+                if (open.lang) {
+                    blocks.push({ kind: open.kind, lang: open.lang, start: open.start, end: parser.startIndex });
+                }
+                open = undefined;
+            }
+        },
+    }, { lowerCaseTags: fileType === 'html', lowerCaseAttributeNames: false, recognizeSelfClosing: fileType !== 'html' });
+    parser.end(markup);
+    for (const { kind, lang, start, end } of blocks) {
+        const code = blockSource(source, start, end);
+        try {
+            if (kind === 'script') {
+                matches.push(...matchJs(code, lang, index, comments));
+            }
+            else {
+                matches.push(...matchCss(code, lang, index, comments));
+            }
+        }
+        catch (error) {
+            // Skip blocks we can't parse
+        }
+    }
+    return matches;
+}
@@ -0,0 +1,66 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { buildPatternIndex } from './detection-patterns.js';
+import { matchHtml } from './html-detector.js';
+const index = buildPatternIndex({
+    dialog: [{ kind: 'html-element', name: 'dialog' }],
+    popover: [{ kind: 'html-attribute', name: 'popover' }],
+    'loading-lazy': [{ kind: 'html-attribute', name: 'loading', element: 'img' }],
+    has: [{ kind: 'css-selector', pseudo: 'has' }],
+    aborting: [{ kind: 'js-global', name: 'AbortController' }],
+});
+function featuresIn(source, fileType = 'html') {
+    return matchHtml(source, fileType, index).map(match => match.featureId);
+}
+function positionsIn(source, fileType = 'html') {
+    return matchHtml(source, fileType, index).map(({ featureId, line, column }) => `${featureId} ${line}:${column}`);
+}
+describe('html-detector', () => {
+    it('should match elements', () => {
+        expect(featuresIn('<DIALOG open>Hi</DIALOG>')).to.deep.equal(['dialog']);
+        expect(featuresIn('<p>dialog</p><!-- <dialog> -->')).to.be.empty;
+    });
+    it('should match attributes', () => {
+        expect(positionsIn('<div\n  id="menu" popover>Menu</div>')).to.deep.equal(['popover 2:13']);
+        expect(featuresIn('<div data-popover>Menu</div>')).to.be.empty;
+    });
+    it('should locate tags on every line of long documents', () => {
+        const lines = Array.from({ length: 5000 }, (_, i) => (i % 1000 === 0 ? '<dialog>' : `<p>Line ${i}</p>`));
+        expect(positionsIn(lines.join('\n'))).to.deep.equal(['dialog 1:1', 'dialog 1001:1', 'dialog 2001:1', 'dialog 3001:1', 'dialog 4001:1']);
+        expect(positionsIn('<p>a</p>\n\n  <dialog>')).to.deep.equal(['dialog 3:3']);
+    });
+    it('should only match attributes of the element a pattern names', () => {
+        expect(featuresIn('<img loading="lazy" src="a.png">')).to.deep.equal(['loading-lazy']);
+        expect(featuresIn('<iframe loading="lazy"></iframe>')).to.be.empty;
+    });
+    it('should match inline scripts and styles at their position in the file', () => {
+        const source = '<style>\n  a:has(b) { color: red; }\n</style>\n<script>\n  new AbortController();\n</script>';
+        expect(positionsIn(source)).to.deep.equal(['has 2:3', 'aborting 5:7']);
+    });
+    it('should skip scripts that are not code', () => {
+        expect(featuresIn('<script type="application/json">{ "x": "new AbortController()" }</script>')).to.be.empty;
+        expect(featuresIn('<script type="importmap">{}</script><script src="app.js"></script>')).to.be.empty;
+    });
+    it('should scan the template, script and style of Vue components', () => {
+        const source = [
+            '<template>',
+            '  <div :popover="mode"><dialog /></div>',
+            '</template>',
+            '<script setup lang="ts">',
+            'const controller: AbortController = new AbortController();',
+            '</script>',
+            '<style scoped lang="scss">',
+            '.a { &:has(b) { color: red; } }',
+            '</style>',
+        ].join('\n');
+        expect(featuresIn(source, 'vue')).to.have.members(['popover', 'dialog', 'aborting', 'has']);
+    });
+    it('should scan Svelte components', () => {
+        const source = '<script>\n  const c = new AbortController();\n</script>\n\n{#if open}\n  <dialog open>Hi</dialog>\n{/if}';
+        expect(positionsIn(source, 'svelte')).to.have.members(['dialog 6:3', 'aborting 2:17']);
+    });
+    it('should scan the frontmatter of Astro components', () => {
+        const source = '---\nconst c = new AbortController();\n---\n<dialog>Hi</dialog>';
+        expect(positionsIn(source, 'astro')).to.have.members(['dialog 4:1', 'aborting 2:15']);
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * JavaScript and TypeScript matcher
+ *
+ * Parses JS/TS/JSX/TSX into a syntax tree and matches it against the
+ * `js-global`, `js-member` and `js-syntax` detection patterns, so that
+ * comments, strings and local variables that happen to share a name with a
+ * web platform API are not reported. Uses inside a check for the API, as in
+ * `if ('clipboard' in navigator) { ... }`, are marked as guarded.
+ */
+import { PatternIndex, PatternMatch, SourceComment } from './detection-patterns.js';
+type JsFileType = 'js' | 'ts' | 'jsx' | 'tsx';
+/**
+ * Match JavaScript or TypeScript source against the JS patterns of an index.
+ * Throws if the source can't be parsed at all.
+ */
+export declare function matchJs(source: string, fileType: JsFileType, index: PatternIndex, comments?: SourceComment[]): PatternMatch[];
+export {};
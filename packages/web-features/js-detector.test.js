@@ -0,0 +1,64 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { buildPatternIndex } from './detection-patterns.js';
+import { matchJs } from './js-detector.js';
+const index = buildPatternIndex({
+    aborting: [{ kind: 'js-global', name: 'AbortController' }, { kind: 'js-member', path: '*.throwIfAborted' }],
+    'async-clipboard': [{ kind: 'js-member', path: 'navigator.clipboard.writeText' }],
+    popover: [{ kind: 'js-member', path: '*.showPopover' }],
+    fetch: [{ kind: 'js-global', name: 'fetch', position: 'call' }],
+    'async-iterators': [{ kind: 'js-syntax', syntax: 'for-await' }],
+});
+function featuresIn(source, fileType = 'js') {
+    return matchJs(source, fileType, index).map(match => match.featureId);
+}
+describe('js-detector', () => {
+    it('should match globals in call and new position', () => {
+        expect(featuresIn('const c = new AbortController(); fetch("/a");')).to.have.members(['aborting', 'fetch']);
+    });
+    it('should match globals reached through the global object', () => {
+        expect(featuresIn('window.fetch("/a"); new globalThis.AbortController();')).to.have.members(['fetch', 'aborting']);
+    });
+    it('should respect the position of a global', () => {
+        expect(featuresIn('const f = fetch;')).to.be.empty;
+    });
+    it('should match member access chains', () => {
+        expect(featuresIn('await navigator.clipboard.writeText("hi");')).to.deep.equal(['async-clipboard']);
+        expect(featuresIn('editor.writeText("hi");')).to.be.empty;
+    });
+    it('should match syntax', () => {
+        expect(featuresIn('async function f(s) { for await (const x of s) {} }')).to.deep.equal(['async-iterators']);
+    });
+    it('should ignore comments, strings and property names', () => {
+        expect(featuresIn('// new AbortController()\nconst s = "fetch()"; x.AbortController = 1; ({ fetch: 1 });')).to.be.empty;
+    });
+    it('should ignore locally declared names', () => {
+        expect(featuresIn('function load(fetch) { return fetch("/a"); }')).to.be.empty;
+        expect(featuresIn('import { AbortController } from "abort-controller"; new AbortController();')).to.be.empty;
+    });
+    it('should ignore TypeScript types', () => {
+        expect(featuresIn('let c: AbortController; interface A { c: AbortController }', 'ts')).to.be.empty;
+    });
+    it('should parse JSX and TSX', () => {
+        expect(featuresIn('const b = <button onClick={() => fetch("/a")} />;', 'jsx')).to.deep.equal(['fetch']);
+        expect(featuresIn('const b = <button onClick={(e: Event) => fetch("/a")} />;', 'tsx')).to.deep.equal(['fetch']);
+    });
+    it('should mark uses inside checks for them as guarded', () => {
+        const guarded = (source) => matchJs(source, 'js', index).map(match => `${match.featureId}:${match.guarded}`);
+        expect(guarded('if (\'clipboard\' in navigator) navigator.clipboard.writeText("a");')).to.deep.equal(['async-clipboard:true']);
+        expect(guarded('if (window.AbortController) { new AbortController(); }')).to.deep.equal(['aborting:true', 'aborting:true']);
+        expect(guarded('typeof fetch !== "undefined" && fetch("/a");')).to.deep.equal(['fetch:true']);
+        expect(guarded('function f() { if (typeof AbortController === "undefined") return; new AbortController(); }')).to.deep.equal(['aborting:true', 'aborting:true']);
+        expect(guarded('if (!window.AbortController) { new AbortController(); }')).to.deep.equal(['aborting:true', 'aborting:false']);
+        expect(guarded('if (navigator.share) { fetch("/a"); }')).to.deep.equal(['fetch:false']);
+        expect(guarded('if (el.showPopover) el.showPopover();')).to.deep.equal(['popover:true', 'popover:true']);
+        expect(guarded('if (typeof el.showPopover === "function") el.showPopover();')).to.deep.equal(['popover:true', 'popover:true']);
+    });
+    it('should not take checks of the receiver of a member as guards', () => {
+        const guarded = (source) => matchJs(source, 'js', index).map(match => `${match.featureId}:${match.guarded}`);
+        expect(guarded('if (el) el.showPopover();')).to.deep.equal(['popover:false']);
+        expect(guarded('el && el.showPopover();')).to.deep.equal(['popover:false']);
+        expect(guarded('if (signal) signal.throwIfAborted();')).to.deep.equal(['aborting:false']);
+        expect(guarded('if (navigator) navigator.clipboard.writeText("a");')).to.deep.equal(['async-clipboard:false']);
+    });
+});
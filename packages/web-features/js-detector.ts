@@ -0,0 +1,458 @@
+/**
+ * JavaScript and TypeScript matcher
+ *
+ * Parses JS/TS/JSX/TSX into a syntax tree and matches it against the
+ * `js-global`, `js-member` and `js-syntax` detection patterns, so that
+ * comments, strings and local variables that happen to share a name with a
+ * web platform API are not reported. Uses inside a check for the API, as in
+ * `if ('clipboard' in navigator) { ... }`, are marked as guarded.
+ */
+
+import { parse, ParserPlugin } from '@babel/parser';
+import type { DetectionPattern, JsSyntax } from '../../types.js';
+import { PatternIndex, PatternMatch, SourceComment } from './detection-patterns.js';
+
+type JsFileType = 'js' | 'ts' | 'jsx' | 'tsx';
+
+interface Node {
+  type: string;
+  start?: number;
+  end?: number;
+  loc?: { start: { line: number; column: number } };
+  [key: string]: any;
+}
+
+// Keys that never lead to code that runs: positions, comments and type
+// annotations.
+const skippedKeys = new Set([
+  'loc',
+  'start',
+  'end',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'typeAnnotation',
+  'returnType',
+  'typeParameters',
+  'superTypeParameters',
+  'typeArguments',
+  'implements',
+]);
+
+// Type-only declarations, which are erased before anything runs.
+const skippedTypes = new Set([
+  'TSInterfaceDeclaration',
+  'TSTypeAliasDeclaration',
+  'TSDeclareFunction',
+  'TSDeclareMethod',
+  'TSIndexSignature',
+]);
+
+const functionTypes = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod',
+]);
+
+// Objects through which globals can be reached, as in `window.fetch()`.
+const globalObjects = new Set(['window', 'self', 'globalThis']);
+
+function pluginsFor(fileType: JsFileType): ParserPlugin[] {
+  switch (fileType) {
+    case 'ts': return ['typescript'];
+    case 'tsx': return ['typescript', 'jsx'];
+    default: return ['jsx'];
+  }
+}
+
+function isNode(value: unknown): value is Node {
+  return typeof value === 'object' && value !== null && typeof (value as Node).type === 'string';
+}
+
+// Add the identifiers a declaration pattern binds, as in `const { a, b: [c] } = x`.
+function collectBindings(pattern: Node | null | undefined, names: Set<string>, nodes: Set<Node>): void {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      nodes.add(pattern);
+      break;
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        collectBindings(property.type === 'RestElement' ? property : property.value, names, nodes);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) collectBindings(element, names, nodes);
+      break;
+    case 'RestElement':
+      collectBindings(pattern.argument, names, nodes);
+      break;
+    case 'AssignmentPattern':
+      collectBindings(pattern.left, names, nodes);
+      break;
+    case 'TSParameterProperty':
+      collectBindings(pattern.parameter, names, nodes);
+      break;
+  }
+}
+
+// Whether an identifier is a name that is not looked up at runtime, such as a
+// property name in `a.b` or `{ b: 1 }`, or a label.
+function isNonReference(parent: Node, key: string): boolean {
+  switch (parent.type) {
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return key === 'property' && !parent.computed;
+    case 'ObjectProperty':
+    case 'ObjectMethod':
+    case 'ClassProperty':
+    case 'ClassMethod':
+    case 'ClassAccessorProperty':
+    case 'TSPropertySignature':
+      return key === 'key' && !parent.computed;
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportNamespaceSpecifier':
+    case 'ExportDefaultSpecifier':
+    case 'MetaProperty':
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return true;
+    case 'ExportSpecifier':
+      return key === 'exported';
+    default:
+      return false;
+  }
+}
+
+function syntaxOf(node: Node): JsSyntax[] {
+  switch (node.type) {
+    case 'ForOfStatement':
+      return node.await ? ['for-await'] : [];
+    case 'AwaitExpression':
+      return ['await'];
+    case 'BigIntLiteral':
+      return node.extra?.raw?.includes('_') ? ['bigint', 'numeric-separators'] : ['bigint'];
+    case 'NumericLiteral':
+      return node.extra?.raw?.includes('_') ? ['numeric-separators'] : [];
+    case 'ClassProperty':
+      return node.declare ? [] : ['class-fields'];
+    case 'ClassPrivateProperty':
+      return ['class-fields', 'private-class-members'];
+    case 'ClassPrivateMethod':
+      return ['private-class-members'];
+    case 'StaticBlock':
+      return ['static-blocks'];
+    case 'CallExpression':
+      return node.callee.type === 'Import' ? ['dynamic-import'] : [];
+    case 'ImportExpression':
+      return ['dynamic-import'];
+    case 'ImportDeclaration':
+      return node.importKind === 'type' ? [] : ['import-declaration'];
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration':
+    case 'ExportAllDeclaration':
+      return node.exportKind === 'type' ? [] : ['export-declaration'];
+    case 'MetaProperty':
+      return node.meta.name === 'import' && node.property.name === 'meta' ? ['import-meta'] : [];
+    case 'LogicalExpression':
+      return node.operator === '??' ? ['nullish-coalescing'] : [];
+    case 'AssignmentExpression':
+      if (['&&=', '||=', '??='].includes(node.operator)) return ['logical-assignment'];
+      return node.operator === '**=' ? ['exponentiation'] : [];
+    case 'BinaryExpression':
+      return node.operator === '**' ? ['exponentiation'] : [];
+    case 'OptionalMemberExpression':
+    case 'OptionalCallExpression':
+      return node.optional ? ['optional-chaining'] : [];
+  }
+  if (functionTypes.has(node.type)) {
+    if (node.async && node.generator) return ['async-generator'];
+    if (node.async) return ['async-function'];
+    if (node.generator) return ['generator'];
+  }
+  return [];
+}
+
+// The name of a non-computed (or string literal) property access.
+function propertyName(node: Node): string | undefined {
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.computed && node.property.type === 'StringLiteral') return node.property.value;
+  return undefined;
+}
+
+// The segments of a property access chain, as in `['navigator', 'clipboard']`
+// for `window.navigator.clipboard`. Anything other than a plain identifier at
+// the root of the chain is `undefined`.
+function memberChain(node: Node): Array<string | undefined> {
+  const chain: Array<string | undefined> = [];
+  let current = node;
+  while (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression') {
+    chain.unshift(propertyName(current));
+    current = current.object;
+  }
+  chain.unshift(current.type === 'Identifier' ? current.name : undefined);
+  if (chain.length > 2 && globalObjects.has(chain[0])) {
+    chain.shift();
+  }
+  return chain;
+}
+
+function chainMatches(chain: Array<string | undefined>, path: string): boolean {
+  const segments = path.split('.');
+  if (segments.length !== chain.length) return false;
+  return segments.every((segment, i) => segment === '*' || segment === chain[i]);
+}
+
+function positionOf(parent: Node | undefined, key: string | undefined): 'call' | 'new' | undefined {
+  if (key !== 'callee' || !parent) return undefined;
+  if (parent.type === 'CallExpression' || parent.type === 'OptionalCallExpression') return 'call';
+  if (parent.type === 'NewExpression') return 'new';
+  return undefined;
+}
+
+// What a condition checks the existence of, as in `clipboard` for
+// `'clipboard' in navigator`: the names that exist if the condition is true
+// (`positive`) and those that exist if it's false (`negative`).
+interface FeatureChecks {
+  positive: string[];
+  negative: string[];
+}
+
+const noChecks: FeatureChecks = { positive: [], negative: [] };
+
+// The name a check is about: an identifier or the last property of a chain.
+function checkedName(node: Node): string | undefined {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') return propertyName(node);
+  return undefined;
+}
+
+function featureChecks(test: Node): FeatureChecks {
+  switch (test.type) {
+    case 'UnaryExpression': {
+      if (test.operator !== '!') return noChecks;
+      const { positive, negative } = featureChecks(test.argument);
+      return { positive: negative, negative: positive };
+    }
+    case 'LogicalExpression': {
+      const left = featureChecks(test.left);
+      const right = featureChecks(test.right);
+      if (test.operator === '&&') return { positive: [...left.positive, ...right.positive], negative: [] };
+      if (test.operator === '||') return { positive: [], negative: [...left.negative, ...right.negative] };
+      return noChecks;
+    }
+    case 'BinaryExpression': {
+      // 'clipboard' in navigator
+      if (test.operator === 'in') {
+        return test.left.type === 'StringLiteral' ? { positive: [test.left.value], negative: [] } : noChecks;
+      }
+      // typeof AbortController !== 'undefined', typeof fetch === 'function'
+      const [typeOf, literal] = test.left.type === 'UnaryExpression' ? [test.left, test.right] : [test.right, test.left];
+      if (typeOf.type !== 'UnaryExpression' || typeOf.operator !== 'typeof' || literal.type !== 'StringLiteral') return noChecks;
+      const name = checkedName(typeOf.argument);
+      const equal = test.operator === '===' || test.operator === '==';
+      if (!name || (!equal && test.operator !== '!==' && test.operator !== '!=')) return noChecks;
+      const exists = literal.value === 'undefined' ? !equal : equal;
+      return exists ? { positive: [name], negative: [] } : { positive: [], negative: [name] };
+    }
+    default: {
+      // window.AbortController, navigator.clipboard
+      const name = checkedName(test);
+      return name ? { positive: [name], negative: [] } : noChecks;
+    }
+  }
+}
+
+// The names checked for by the conditions a child of a node is evaluated
+// under, as in the consequent of an `if` statement.
+function guardsFor(node: Node, key: string): string[] {
+  switch (node.type) {
+    case 'IfStatement':
+    case 'ConditionalExpression': {
+      const { positive, negative } = featureChecks(node.test);
+      if (key === 'test') return [...positive, ...negative];
+      if (key === 'consequent') return positive;
+      if (key === 'alternate') return negative;
+      return [];
+    }
+    case 'LogicalExpression': {
+      const { positive, negative } = featureChecks(node.left);
+      if (key === 'left') return [...positive, ...negative];
+      if (key === 'right' && node.operator === '&&') return positive;
+      if (key === 'right' && node.operator === '||') return negative;
+      return [];
+    }
+    default:
+      return [];
+  }
+}
+
+// Whether a statement always leaves its block, as in `if (!x) return;`.
+function exits(statement: Node): boolean {
+  switch (statement.type) {
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return true;
+    case 'BlockStatement':
+      return statement.body.length > 0 && exits(statement.body[statement.body.length - 1]);
+    default:
+      return false;
+  }
+}
+
+// A short, single line excerpt of the source for a node.
+function excerpt(source: string, node: Node): string {
+  const text = source.slice(node.start, node.end);
+  const firstLine = text.split('\n')[0];
+  return firstLine.length > 80 ? `${firstLine.slice(0, 79)}…` : firstLine;
+}
+
+// A match of a pattern on a node, located at the start of the node.
+function matchAt(source: string, node: Node, featureId: string, pattern: DetectionPattern, guarded = false): PatternMatch {
+  const { line, column } = node.loc.start;
+  return { featureId, pattern, text: excerpt(source, node), line, column: column + 1, guarded };
+}
+
+/**
+ * Match JavaScript or TypeScript source against the JS patterns of an index.
+ * Throws if the source can't be parsed at all.
+ */
+export function matchJs(source: string, fileType: JsFileType, index: PatternIndex, comments: SourceComment[] = []): PatternMatch[] {
+  const ast = parse(source, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    plugins: pluginsFor(fileType),
+  });
+  for (const { start, end } of ast.comments ?? []) comments.push({ start, end });
+
+  const matches: PatternMatch[] = [];
+  // Matches on globals are only known to be real once every local declaration
+  // in the file has been seen.
+  const candidates: Array<{ root: string; match: PatternMatch }> = [];
+  const declared = new Set<string>();
+  const bindingNodes = new Set<Node>();
+  // The names checked for by the conditions around the current node
+  const guards = new Map<string, number>();
+
+  function withGuards(names: string[], visitChild: () => void): void {
+    for (const name of names) guards.set(name, (guards.get(name) ?? 0) + 1);
+    visitChild();
+    for (const name of names) guards.set(name, guards.get(name) - 1);
+  }
+
+  function isGuarded(names: Array<string | undefined>): boolean {
+    return names.some((name) => name !== undefined && guards.get(name) > 0);
+  }
+
+  function declare(node: Node): void {
+    switch (node.type) {
+      case 'VariableDeclarator':
+        collectBindings(node.id, declared, bindingNodes);
+        break;
+      case 'CatchClause':
+        collectBindings(node.param, declared, bindingNodes);
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        collectBindings(node.id, declared, bindingNodes);
+        break;
+      case 'ImportSpecifier':
+      case 'ImportDefaultSpecifier':
+      case 'ImportNamespaceSpecifier':
+        declared.add(node.local.name);
+        break;
+    }
+    if (functionTypes.has(node.type)) {
+      collectBindings(node.id, declared, bindingNodes);
+      for (const param of node.params) collectBindings(param, declared, bindingNodes);
+    }
+  }
+
+  function matchGlobal(name: string, root: string, at: Node, parent: Node | undefined, key: string | undefined): void {
+    const patterns = index.jsGlobals.get(name);
+    if (!patterns) return;
+    const position = positionOf(parent, key);
+    for (const { featureId, pattern } of patterns) {
+      if (pattern.position && pattern.position !== position) continue;
+      candidates.push({ root, match: matchAt(source, at, featureId, pattern, isGuarded([name])) });
+    }
+  }
+
+  function visit(node: Node, parent: Node | undefined, key: string | undefined): void {
+    if (skippedTypes.has(node.type) || node.declare === true) return;
+
+    declare(node);
+
+    for (const syntax of syntaxOf(node)) {
+      for (const { featureId, pattern } of index.jsSyntax.get(syntax) ?? []) {
+        matches.push(matchAt(source, node, featureId, pattern));
+      }
+    }
+
+    if (node.type === 'Identifier' && parent && !bindingNodes.has(node) && !isNonReference(parent, key)) {
+      matchGlobal(node.name, node.name, node, parent, key);
+    }
+
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+      const name = propertyName(node);
+      if (name !== undefined) {
+        // Globals reached through the global object, as in `window.fetch()`.
+        if (node.object.type === 'Identifier' && globalObjects.has(node.object.name)) {
+          matchGlobal(name, node.object.name, node, parent, key);
+        }
+
+        const patterns = index.jsMembers.get(name);
+        if (patterns) {
+          const chain = memberChain(node);
+          for (const { featureId, pattern } of patterns) {
+            if (!chainMatches(chain, pattern.path)) continue;
+            // A check of the receiver, as in `if (el) el.showPopover()`, is
+            // only a null check: the member itself must be checked for
+            const match = matchAt(source, node, featureId, pattern, isGuarded(chain.slice(1)));
+            if (pattern.path.startsWith('*.') || chain[0] === undefined) {
+              matches.push(match);
+            } else {
+              candidates.push({ root: chain[0], match });
+            }
+          }
+        }
+      }
+    }
+
+    for (const [childKey, child] of Object.entries(node)) {
+      if (skippedKeys.has(childKey)) continue;
+      if (Array.isArray(child)) {
+        // An early exit, as in `if (!('clipboard' in navigator)) return;`,
+        // guards the statements after it.
+        const exitGuards: string[] = [];
+        for (const item of child) {
+          if (!isNode(item)) continue;
+          withGuards([...exitGuards], () => visit(item, node, childKey));
+          if (item.type === 'IfStatement' && !item.alternate && exits(item.consequent)) {
+            exitGuards.push(...featureChecks(item.test).negative);
+          }
+        }
+      } else if (isNode(child)) {
+        withGuards(guardsFor(node, childKey), () => visit(child, node, childKey));
+      }
+    }
+  }
+
+  visit(ast.program, undefined, undefined);
+
+  for (const { root, match } of candidates) {
+    if (!declared.has(root)) matches.push(match);
+  }
+  return matches;
+}
@@ -1,13 +1,16 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
-import { execSync } from 'child_process';
+import { execSync, spawnSync } from 'child_process';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
 
 describe('let-me-browse', () => {
   it('should run without errors', () => {
     try {
       const output = execSync('node let-me-browse/let-me-browse.js --help', { encoding: 'utf8' });
-      expect(output).to.include('Usage: let-me-browse');
-      expect(output).to.include('Scans your source code');
+      expect(output).to.include('let-me-browse <srcDir>');
+      expect(output).to.include('Estimate the minimum browser versions');
     } catch (error) {
       expect.fail(`Tool failed to run: ${error.message}`);
     }
@@ -32,4 +35,56 @@ describe('let-me-browse', () => {
       expect(error.message).to.be.a('string');
     }
   });
+
+  it('should report detected features as JSON', () => {
+    const report = JSON.parse(execSync('node let-me-browse/let-me-browse.js ./tests/fixtures/abort-timeout --format=json', { encoding: 'utf8' }));
+    expect(report).to.include({ version: 1, tool: 'let-me-browse' });
+    expect(report.features.map((feature: any) => feature.id)).to.include('aborting');
+    expect(report.findings.every((finding: any) => finding.ruleId === 'feature-usage' && finding.locations.length > 0)).to.be.true;
+    const chrome = report.browsers.find((b: any) => b.browser === 'chrome');
+    expect(chrome.minVersion).to.match(/^≤?\d+(\.\d+)*$/);
+    expect(chrome.pinnedBy.length).to.be.greaterThan(0);
+    expect(chrome.releaseDate).to.match(/^\d{4}-\d{2}-\d{2}$/);
+    expect(report.baselineDates.baseline_low_date >= chrome.releaseDate).to.be.true;
+    expect(chrome.pinnedBy.every((requirement: any) => report.features.some((feature: any) => feature.id === requirement.featureId))).to.be.true;
+  });
+
+  it('should write the whole of a large report to a pipe', () => {
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'let-me-browse-'));
+    try {
+      fs.writeFileSync(path.join(srcDir, 'app.js'), 'fetch("/a");\n'.repeat(3000));
+      // The reader only starts once the pipe is full
+      const output = execSync(`node let-me-browse/let-me-browse.js "${srcDir}" --format=sarif | (sleep 1; cat)`, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+      expect(output.length).to.be.greaterThan(65536);
+      expect(JSON.parse(output).runs[0].results[0].locations).to.have.lengthOf(3000);
+    } finally {
+      fs.rmSync(srcDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should estimate reach from a usage-share dataset', () => {
+    const report = JSON.parse(execSync('node let-me-browse/let-me-browse.js ./tests/fixtures/modern-app --format=json --usage=caniuse-lite', { encoding: 'utf8' }));
+    expect(report.reach.source).to.equal('caniuse-lite');
+    expect(report.reach.supported).to.be.within(1, 100);
+    expect(report.reach.costs.map((cost: any) => cost.featureId)).to.include('has');
+
+    const output = execSync('node let-me-browse/let-me-browse.js ./tests/fixtures/modern-app --usage=caniuse-lite', { encoding: 'utf8' });
+    expect(output).to.include('ESTIMATED REACH');
+    expect(output).to.include('Features that cost the most reach');
+  });
+
+  it('should only scan the files matching --include and not --exclude', () => {
+    const scan = (options: string) => {
+      const report = JSON.parse(execSync(`node let-me-browse/let-me-browse.js ./tests/fixtures/modern-app --format=json ${options}`, { encoding: 'utf8' }));
+      return Array.from(new Set(report.features.flatMap((feature: any) => feature.locations.map(({ file }) => file.split('/').pop())))).sort();
+    };
+    expect(scan('--include=*.css')).to.deep.equal(['App.css']);
+    expect(scan('--exclude=*.css,*.tsx')).to.deep.equal(['App.js']);
+  });
+
+  it('should only watch with the text output', () => {
+    const { status, stderr } = spawnSync('node', ['let-me-browse/let-me-browse.js', './tests/fixtures/modern-app', '--watch', '--format=json'], { encoding: 'utf8', timeout: 60000 });
+    expect(status).to.equal(2);
+    expect(stderr).to.include('--watch only prints text output');
+  });
 });
@@ -1,2 +1,7 @@
 #!/usr/bin/env node
-export {};
+import type { CommandModule } from "yargs";
+import { ScanArgs } from "../cli.js";
+/**
+ * `baseline audit`, also installed as `let-me-browse` and `lmb`.
+ */
+export declare const auditCommand: CommandModule<object, ScanArgs>;
@@ -1,78 +1,60 @@
 #!/usr/bin/env node
-import * as fs from "node:fs";
-import * as path from "node:path";
-import * as process from "node:process";
+import process from "node:process";
+import type { CommandModule } from "yargs";
 
 // Import curated data and baseline computation tools
-import { browsers, features } from "../index.js";
+import { features } from "../index.js";
 // Import baseline detection API
-import { detectFeatures as detectFeaturesBaseline } from "../baseline-detector.js";
-// Import compute-baseline utilities
-import { getStatus } from "../../compute-baseline/src/baseline/index.js";
-import { identifiers as coreBrowserSet } from "../../compute-baseline/src/baseline/core-browser-set.js";
-// Note: compute-baseline import will be available after build
-// import { computeBaseline } from "compute-baseline";
+import { DetectionResult } from "../baseline-detector.js";
+import { detect, isMain, ScanArgs, scanSettings, usageShare, watch, withScanOptions, withUsageOption, withWatchOption } from "../cli.js";
+import { baselineDates, releaseDate } from "../baseline-targets.js";
+import { failsOn } from "../config.js";
+import { BrowserMinimum, collectSupport, minimumVersions, Requirement, SupportCheck } from "../feature-support.js";
+import { Changes, describeChanges, reportChanges } from "../git-changes.js";
+import { describeLocations, describeSuppressed, formatReport, Report, REPORT_VERSION, reportFeatures, reportLocations } from "../report.js";
+import { describeReach, estimateReach, ReachEstimate } from "../usage-share.js";
+import { BASELINE_LOW_TO_HIGH_DURATION } from "compute-baseline";
 
-type BrowserId = string;
+type BrowserRequirement = BrowserMinimum & { baseline: string; releaseDate: string | null };
 
-function printHelp(): void {
-  const help = `\nUsage: let-me-browse <srcDir>\n\nScans your source code to estimate minimum required browser versions based on detected web features.\n\nExamples:\n  let-me-browse ./src\n`;
-  process.stdout.write(help);
+const availability = ["high", "low", "false"];
+
+// The minimum version of each core browser, with the least available Baseline
+// status of the features that pin it
+function computeRequirements(checks: Map<string, SupportCheck[]>): BrowserRequirement[] {
+  return minimumVersions(checks).map((minimum) => {
+    const statuses = minimum.pinnedBy.map(({ featureId }) => String((features[featureId] as any)?.status?.baseline ?? "unknown"));
+    const known = statuses.filter((status) => availability.includes(status));
+    const baseline = known.length > 0 ? availability[Math.max(...known.map((status) => availability.indexOf(status)))] : "unknown";
+    const released = minimum.minVersion === null ? undefined : releaseDate(minimum.browser, minimum.minVersion);
+    return { ...minimum, baseline, releaseDate: released ?? null };
+  });
 }
 
-function computeRequirements(featureIds: string[]) {
-  const perBrowser: Record<string, {
-    minVersion: string;
-    baseline: string;
-    blockers: Array<{ featureId: string; bcdKey: string; version: string; baseline: string }>;
-  }> = {};
-  
-  // Initialize with core browsers
-  for (const browserId of coreBrowserSet) {
-    perBrowser[browserId] = {
-      minVersion: "0",
-      baseline: "unknown",
-      blockers: []
-    };
-  }
-  
-  for (const featureId of featureIds) {
-    const feature = features[featureId];
-    if (!feature || feature.kind !== "feature") continue;
-    
-    // Use feature-level support for now (simpler approach)
-    const support = (feature as any).status?.support;
-    if (support) {
-      for (const [browserId, version] of Object.entries(support)) {
-        if (!perBrowser[browserId]) continue;
-        
-        const currentVersion = perBrowser[browserId].minVersion;
-        if (String(version) > currentVersion) {
-          perBrowser[browserId].minVersion = String(version);
-        }
-        
-        // Set baseline status
-        const baseline = (feature as any).status?.baseline;
-        if (baseline === "high") {
-          perBrowser[browserId].baseline = "high";
-        } else if (baseline === "low" && perBrowser[browserId].baseline !== "high") {
-          perBrowser[browserId].baseline = "low";
-        } else if (baseline === false && perBrowser[browserId].baseline === "unknown") {
-          perBrowser[browserId].baseline = "false";
-        }
-        
-        // Add to blockers for reporting
-        perBrowser[browserId].blockers.push({
-          featureId,
-          bcdKey: "feature-level",
-          version: String(version),
-          baseline: String(baseline) || "unknown"
-        });
-      }
-    }
+// The Baseline dates equivalent to the minimums, or `null` if some browser
+// doesn't support every feature, so that the features aren't Baseline yet
+function equivalentDates(requirements: BrowserRequirement[]): ReturnType<typeof baselineDates> | null {
+  if (requirements.some(({ unsupported }) => unsupported.length > 0)) return null;
+  const targets = requirements.filter(({ minVersion }) => minVersion !== null).map(({ browser, minVersion }) => ({ browser, version: minVersion }));
+  return baselineDates(targets) ?? null;
+}
+
+// Answers "from what date do we support?"
+function describeDates(requirements: BrowserRequirement[]): string[] {
+  const dates = equivalentDates(requirements);
+  if (!dates) {
+    return [`Baseline Equivalent: none, as some browsers don't support every detected feature`];
   }
-  
-  return perBrowser;
+  return [
+    `Baseline Equivalent: ${dates.baseline_low_date} (the release of the last required browser version)`,
+    `Baseline Widely Available: ${dates.baseline_high_date} (estimated, ${BASELINE_LOW_TO_HIGH_DURATION.months} months later)`,
+  ];
+}
+
+// The features that pin a minimum, as in "dialog (api.HTMLDialogElement)"
+function describePinnedBy(requirements: Requirement[]): string {
+  const ids = requirements.map(({ featureId, bcdKey }) => (bcdKey === "feature-level" ? featureId : `${featureId} (${bcdKey})`));
+  return Array.from(new Set(ids)).join(", ");
 }
 
 function getBaselineIcon(baseline: string): string {
@@ -84,7 +66,7 @@ function getBaselineIcon(baseline: string): string {
   }
 }
 
-function formatOutput(perBrowser: ReturnType<typeof computeRequirements>, detectedCount: number, detectionResult: any): string {
+function formatOutput(requirements: BrowserRequirement[], reach: ReachEstimate | null, detectedCount: number, detectionResult: any, root: string): string {
   const lines: string[] = [];
   lines.push("");
   lines.push("Baseline Coverage Audit");
@@ -94,23 +76,28 @@ function formatOutput(perBrowser: ReturnType<typeof computeRequirements>, detect
   lines.push("SUMMARY");
   lines.push(`Detected Features: ${detectedCount}`);
   
-  const browsersWithVersions = Object.values(perBrowser).filter(b => Number(b.minVersion) > 0);
+  const browsersWithVersions = requirements.filter((requirement) => requirement.minVersion !== null);
   const highBaselineCount = browsersWithVersions.filter(b => b.baseline === "high").length;
   lines.push(`Baseline Compliance: ${highBaselineCount}/${browsersWithVersions.length} browsers have high baseline coverage`);
+  lines.push(...describeDates(requirements));
   lines.push("");
   
   // Browser requirements
   lines.push("BROWSER REQUIREMENTS");
-  lines.push("Browser  |  Min Version  |  Baseline Status");
-  lines.push("-------------------------------------------");
+  lines.push("Browser          |  Min Version  |  Released      |  Baseline Status    |  Pinned By");
+  lines.push("-------------------------------------------------------------------------------------------");
   
-  for (const [browserId, info] of Object.entries(perBrowser)) {
-    const browserName = browserId.charAt(0).toUpperCase() + browserId.slice(1);
+  for (const info of requirements) {
+    const browserName = info.browser.charAt(0).toUpperCase() + info.browser.slice(1);
     const icon = getBaselineIcon(info.baseline);
-    lines.push(`${browserName.padEnd(8)} |  ${info.minVersion.padEnd(10)} |  ${icon} ${info.baseline}`);
+    lines.push(`${browserName.padEnd(16)} |  ${(info.minVersion ?? "-").padEnd(11)}  |  ${(info.releaseDate ?? "-").padEnd(12)}  |  ${`${icon} ${info.baseline}`.padEnd(17)}  |  ${describePinnedBy(info.pinnedBy)}`);
+    if (info.unsupported.length > 0) {
+      lines.push(`${"".padEnd(16)} |  not supported: ${describePinnedBy(info.unsupported)}`);
+    }
   }
   
   lines.push("");
+  if (reach) lines.push(...describeReach(reach));
   
   // Detected features
   lines.push("DETECTED FEATURES");
@@ -125,41 +112,105 @@ function formatOutput(perBrowser: ReturnType<typeof computeRequirements>, detect
       lines.push(`     ${(feature as any).description}`);
       if (detail && detail.files.length > 0) {
         lines.push(`     Found in: ${detail.files.length} files`);
+        lines.push(...describeLocations(reportLocations(detail.locations, root), "       "));
       }
       lines.push("");
     }
   }
   
+  lines.push(...describeSuppressed(detectionResult, root));
   
   return lines.join("\n");
 }
 
-function main(): void {
-  const args = process.argv.slice(2);
-  if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
-    printHelp();
-    process.exit(0);
-  }
+function buildReport(
+  srcDir: string,
+  root: string,
+  detectionResult: DetectionResult,
+  requirements: BrowserRequirement[],
+  reach: ReachEstimate | null,
+  changes: Changes | undefined,
+): Report {
+  const detected = reportFeatures(detectionResult, root);
+  const findings = detected.map((feature) => ({
+    ruleId: "feature-usage",
+    level: "note" as const,
+    message: `Uses ${feature.name} (Baseline: ${feature.baseline === false ? "limited availability" : feature.baseline ?? "unknown"})`,
+    featureId: feature.id,
+    bcdKey: "feature-level",
+    locations: reportLocations(detectionResult.details.get(feature.id)?.locations, root),
+  }));
+  return {
+    version: REPORT_VERSION,
+    tool: "let-me-browse",
+    srcDir,
+    root,
+    summary: {
+      filesScanned: detectionResult.summary.filesScanned,
+      detectedFeatures: detectionResult.found.size,
+      findings: findings.length,
+    },
+    features: detected,
+    suppressed: reportFeatures(detectionResult, root, true),
+    rules: [{ id: "feature-usage", description: "Uses a web platform feature" }],
+    findings,
+    browsers: requirements.map(({ browser, minVersion, releaseDate, baseline, pinnedBy, unsupported }) => ({ browser, minVersion, releaseDate, baseline, pinnedBy, unsupported })),
+    baselineDates: equivalentDates(requirements),
+    reach,
+    since: reportChanges(changes, root),
+  };
+}
 
-  const srcDir = path.resolve(args[0]);
-  if (!fs.existsSync(srcDir) || !fs.statSync(srcDir).isDirectory()) {
-    process.stderr.write(`Error: ${srcDir} is not a directory.\n`);
-    process.exit(1);
-  }
+async function audit(argv: ScanArgs): Promise<void> {
+  const settings = await scanSettings(argv);
+  const { srcDir, root, format, failOn, usage, changes } = settings;
+  const usageData = usage === undefined ? undefined : await usageShare(usage);
+  const analyze = (detectionResult: DetectionResult) => {
+    const checks = collectSupport(detectionResult);
+    return { requirements: computeRequirements(checks), reach: usageData ? estimateReach(usageData, checks, usage) : null };
+  };
+  // The requirement table and the detected features
+  const print = (detectionResult: DetectionResult) => {
+    if (detectionResult.found.size === 0) {
+      process.stdout.write("\nNo known features detected. Try adding more detectors or point to a different directory.\n\n");
+      return;
+    }
+    const { requirements, reach } = analyze(detectionResult);
+    process.stdout.write(formatOutput(requirements, reach, detectionResult.found.size, detectionResult, root));
+    process.stdout.write("\n\n");
+  };
+  if (argv.watch) return watch(settings, print);
 
   // Use baseline detection API
-  const detectionResult = detectFeaturesBaseline({ srcDir });
-  if (detectionResult.found.size === 0) {
-    process.stdout.write("\nNo known features detected. Try adding more detectors or point to a different directory.\n\n");
-    process.exit(0);
+  const detectionResult = await detect(settings);
+  const { requirements, reach } = analyze(detectionResult);
+  const report = buildReport(srcDir, root, detectionResult, requirements, reach, changes);
+  const failed = report.findings.some(({ level }) => failsOn(level, failOn));
+  if (format !== "text") {
+    process.stdout.write(formatReport(report, format));
+    process.exitCode = failed ? 1 : 0;
+    return;
   }
-
-  const used = Array.from(detectionResult.found) as string[];
-  const perBrowser = computeRequirements(used);
-  const output = formatOutput(perBrowser, detectionResult.found.size, detectionResult);
-  
-  process.stdout.write(output);
-  process.stdout.write("\n\n");
+  if (changes) process.stdout.write(`\n${describeChanges(changes)}\n`);
+  if (detectionResult.found.size === 0 && changes) {
+    process.stdout.write("\nThe change introduces no known features.\n\n");
+    return;
+  }
+  print(detectionResult);
+  if (failed) process.exitCode = 1;
 }
 
-main();
\ No newline at end of file
+/**
+ * `baseline audit`, also installed as `let-me-browse` and `lmb`.
+ */
+export const auditCommand: CommandModule<object, ScanArgs> = {
+  command: "audit <srcDir>",
+  describe: "Estimate the minimum browser versions the web features used in <srcDir> require",
+  builder: (yargs) => withWatchOption(withUsageOption(withScanOptions(yargs))),
+  handler: audit,
+};
+
+// `let-me-browse` is the old name of `baseline audit`
+if (isMain(import.meta.url)) {
+  import("../baseline/baseline.js").then(({ alias }) => alias("let-me-browse", auditCommand, process.argv.slice(2)));
+}
@@ -0,0 +1,33 @@
+/**
+ * Prefilter
+ *
+ * A single matcher for the literal tokens of every active detection pattern,
+ * so that each file is searched once for all of them, case-insensitively, by
+ * an Aho-Corasick automaton. A pattern can only match a file that contains
+ * one of its tokens: its name for structured patterns, a keyword or operator
+ * for `js-syntax` patterns, and the longest literal a `regex` pattern
+ * requires. The detector skips parsing files in which no pattern for their
+ * languages can match, and runs only the regexes that can. Patterns without
+ * a token, such as regexes with alternatives, always run.
+ */
+import type { DetectionPattern } from '../../types.js';
+export type PrefilterTarget = string;
+export interface Prefilter {
+    candidates(text: string): Set<PrefilterTarget>;
+}
+/**
+ * The longest literal any match of a regex contains, or `undefined` if there
+ * isn't one of two characters or more. Literals are only taken from outside
+ * groups and character classes, and a regex with alternatives has none.
+ */
+export declare function requiredLiteral(source: string): string | undefined;
+/**
+ * The tokens a pattern can't match without, any of which must appear, or
+ * `undefined` if it has none.
+ */
+export declare function patternTokens(pattern: DetectionPattern): string[] | undefined;
+/**
+ * Build a prefilter for the tokens of each target. A target whose tokens are
+ * `undefined` is a candidate for every text.
+ */
+export declare function buildPrefilter(tokensByTarget: Map<PrefilterTarget, Array<string[] | undefined>>): Prefilter;
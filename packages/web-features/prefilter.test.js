@@ -0,0 +1,35 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { buildPrefilter, patternTokens, requiredLiteral } from './prefilter.js';
+describe('prefilter', () => {
+    it('should find the literal a regex requires', () => {
+        expect(requiredLiteral('\\bstructuredClone\\(')).to.equal('structuredClone(');
+        expect(requiredLiteral('navigator\\.clipboard\\.\\w+')).to.equal('navigator.clipboard.');
+        expect(requiredLiteral('colou?r-mix')).to.equal('r-mix');
+        expect(requiredLiteral('@container(\\s+\\w+)?\\s*\\(')).to.equal('@container');
+        expect(requiredLiteral('[a-z]+-grid')).to.equal('-grid');
+        expect(requiredLiteral('foo|bar')).to.be.undefined;
+        expect(requiredLiteral('\\d+x')).to.be.undefined;
+    });
+    it('should take the tokens of structured patterns', () => {
+        expect(patternTokens({ kind: 'js-member', path: 'navigator.clipboard' })).to.deep.equal(['clipboard']);
+        expect(patternTokens({ kind: 'js-syntax', syntax: 'optional-chaining' })).to.deep.equal(['?.']);
+        expect(patternTokens({ kind: 'regex', pattern: 'a|b', file_types: ['js'] })).to.be.undefined;
+    });
+    it('should find the targets whose tokens appear, case-insensitively', () => {
+        const prefilter = buildPrefilter(new Map([
+            ['css', [['grid'], ['container']]],
+            ['js', [['fetch', 'AbortSignal']]],
+            ['regex:0', [undefined]],
+            ['html', [['dialog']]],
+        ]));
+        expect(Array.from(prefilter.candidates('.a { display: GRID; }'))).to.have.members(['css', 'regex:0']);
+        expect(Array.from(prefilter.candidates('new abortsignal()'))).to.have.members(['js', 'regex:0']);
+        expect(Array.from(prefilter.candidates('fetc dialo'))).to.deep.equal(['regex:0']);
+    });
+    it('should find tokens that start inside a partial match of another', () => {
+        const prefilter = buildPrefilter(new Map([['a', [['abcd']]], ['b', [['bce']]]]));
+        expect(Array.from(prefilter.candidates('abce'))).to.deep.equal(['b']);
+        expect(Array.from(prefilter.candidates('abcd'))).to.deep.equal(['a']);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Prefilter
+ *
+ * A single matcher for the literal tokens of every active detection pattern,
+ * so that each file is searched once for all of them, case-insensitively, by
+ * an Aho-Corasick automaton. A pattern can only match a file that contains
+ * one of its tokens: its name for structured patterns, a keyword or operator
+ * for `js-syntax` patterns, and the longest literal a `regex` pattern
+ * requires. The detector skips parsing files in which no pattern for their
+ * languages can match, and runs only the regexes that can. Patterns without
+ * a token, such as regexes with alternatives, always run.
+ */
+
+import type { DetectionPattern, JsSyntax } from '../../types.js';
+
+// What a prefilter tells apart: the structured patterns of a language, or a
+// single regex pattern
+export type PrefilterTarget = string;
+
+export interface Prefilter {
+  // The targets whose patterns can match a text
+  candidates(text: string): Set<PrefilterTarget>;
+}
+
+// The tokens a syntax needs, any of which must appear
+const syntaxTokens: Record<JsSyntax, string[]> = {
+  'async-function': ['async'],
+  'async-generator': ['async'],
+  await: ['await'],
+  // A digit, or a hex digit, right before the `n` of the literal
+  bigint: Array.from('0123456789abcdef', (digit) => `${digit}n`),
+  'class-fields': ['class'],
+  'dynamic-import': ['import'],
+  exponentiation: ['**'],
+  'export-declaration': ['export'],
+  'for-await': ['await'],
+  generator: ['*'],
+  'import-declaration': ['import'],
+  'import-meta': ['import'],
+  'logical-assignment': ['&&=', '||=', '??='],
+  'nullish-coalescing': ['??'],
+  'numeric-separators': ['_'],
+  'optional-chaining': ['?.'],
+  'private-class-members': ['#'],
+  'static-blocks': ['static'],
+};
+
+// Escapes that stand for a class of characters or a position
+const specialEscapes = new Set(Array.from('bBdDsSwWcxuUkpP0123456789nrtfv'));
+
+/**
+ * The longest literal any match of a regex contains, or `undefined` if there
+ * isn't one of two characters or more. Literals are only taken from outside
+ * groups and character classes, and a regex with alternatives has none.
+ */
+export function requiredLiteral(source: string): string | undefined {
+  const runs: string[] = [];
+  let run = '';
+  let depth = 0;
+  const endRun = () => {
+    if (run) runs.push(run);
+    run = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[++i];
+      if (depth === 0) {
+        if (next === undefined || specialEscapes.has(next)) endRun();
+        else run += next;
+      }
+    } else if (char === '[') {
+      // Skip the class, whose `]` may be escaped or come first
+      i++;
+      if (source[i] === '^') i++;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+      if (depth === 0) endRun();
+    } else if (char === '|') {
+      return undefined;
+    } else if (char === '(') {
+      depth++;
+      endRun();
+    } else if (char === ')') {
+      depth--;
+    } else if (depth > 0) {
+      continue;
+    } else if (char === '?' || char === '*' || char === '{') {
+      // The character before is optional
+      run = run.slice(0, -1);
+      endRun();
+      if (char === '{') i = Math.max(i, source.indexOf('}', i));
+      if (source[i + 1] === '?') i++;
+    } else if (char === '+') {
+      endRun();
+      if (source[i + 1] === '?') i++;
+    } else if (char === '.' || char === '^' || char === '$') {
+      endRun();
+    } else {
+      run += char;
+    }
+  }
+  endRun();
+
+  const longest = runs.reduce((a, b) => (b.length > a.length ? b : a), '');
+  return longest.length >= 2 ? longest : undefined;
+}
+
+/**
+ * The tokens a pattern can't match without, any of which must appear, or
+ * `undefined` if it has none.
+ */
+export function patternTokens(pattern: DetectionPattern): string[] | undefined {
+  switch (pattern.kind) {
+    case 'js-global':
+    case 'css-property':
+    case 'css-at-rule':
+    case 'html-element':
+    case 'html-attribute':
+      return [pattern.name];
+    case 'js-member':
+      return [pattern.path.split('.').pop()];
+    case 'js-syntax':
+      return syntaxTokens[pattern.syntax];
+    case 'css-value':
+      return [pattern.value];
+    case 'css-selector':
+      return [pattern.pseudo];
+    case 'regex': {
+      const literal = requiredLiteral(pattern.pattern);
+      return literal === undefined ? undefined : [literal];
+    }
+  }
+}
+
+interface AutomatonNode {
+  next: Map<string, AutomatonNode>;
+  fail: AutomatonNode | undefined;
+  // The targets of the tokens that end here, including through `fail`
+  targets: PrefilterTarget[];
+}
+
+const newNode = (): AutomatonNode => ({ next: new Map(), fail: undefined, targets: [] });
+
+/**
+ * Build a prefilter for the tokens of each target. A target whose tokens are
+ * `undefined` is a candidate for every text.
+ */
+export function buildPrefilter(tokensByTarget: Map<PrefilterTarget, Array<string[] | undefined>>): Prefilter {
+  const root = newNode();
+  const always = new Set<PrefilterTarget>();
+
+  for (const [target, tokenLists] of Array.from(tokensByTarget)) {
+    for (const tokens of tokenLists) {
+      if (tokens === undefined || tokens.some((token) => token === '')) {
+        always.add(target);
+        continue;
+      }
+      for (const token of tokens) {
+        let node = root;
+        for (const char of token.toLowerCase()) {
+          if (!node.next.has(char)) node.next.set(char, newNode());
+          node = node.next.get(char);
+        }
+        if (!node.targets.includes(target)) node.targets.push(target);
+      }
+    }
+  }
+
+  // Link each node to the node of its longest proper suffix, breadth first
+  const queue: AutomatonNode[] = [];
+  for (const child of Array.from(root.next.values())) {
+    child.fail = root;
+    queue.push(child);
+  }
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    for (const [char, child] of Array.from(node.next)) {
+      let fail = node.fail;
+      while (fail && !fail.next.has(char)) fail = fail.fail;
+      child.fail = fail ? fail.next.get(char) : root;
+      for (const target of child.fail.targets) {
+        if (!child.targets.includes(target)) child.targets.push(target);
+      }
+      queue.push(child);
+    }
+  }
+
+  const targetCount = tokensByTarget.size;
+  return {
+    candidates(text: string): Set<PrefilterTarget> {
+      const found = new Set(always);
+      if (found.size === targetCount) return found;
+      let node = root;
+      for (const char of text.toLowerCase()) {
+        while (node !== root && !node.next.has(char)) node = node.fail;
+        node = node.next.get(char) ?? root;
+        for (const target of node.targets) found.add(target);
+        // Every target is a candidate; nothing more to learn
+        if (found.size === targetCount) break;
+      }
+      return found;
+    },
+  };
+}
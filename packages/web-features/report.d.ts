@@ -0,0 +1,103 @@
+/**
+ * Machine-readable reports
+ *
+ * The `--format=json` and `--format=sarif` output of the command line tools.
+ * The JSON report is described by `report.schema.json`; its `version` changes
+ * whenever a change to the schema could break consumers. The SARIF output is a
+ * SARIF 2.1.0 log with a result for each finding, for tools such as GitHub
+ * code scanning. The text output lists locations the same way, as in
+ * `src/App.tsx:42:7`. Paths are relative to the root of the git repository
+ * the scanned directory is in, wherever the tool runs from.
+ */
+import { DetectionLocation, DetectionResult } from "./baseline-detector.js";
+export type OutputFormat = "text" | "json" | "sarif";
+export declare const REPORT_VERSION = 1;
+export interface ReportLocation {
+    file: string;
+    line: number;
+    column: number;
+    snippet: string;
+    guarded: boolean;
+}
+export interface ReportFeature {
+    id: string;
+    name: string;
+    baseline: "high" | "low" | false | null;
+    compatKeys: string[];
+    locations: ReportLocation[];
+}
+export interface ReportRule {
+    id: string;
+    description: string;
+}
+export interface ReportFinding {
+    ruleId: string;
+    level: "error" | "warning" | "note";
+    message: string;
+    featureId: string;
+    bcdKey: string;
+    locations: ReportLocation[];
+    properties?: Record<string, unknown>;
+}
+export interface Report {
+    version: number;
+    tool: "let-me-browse" | "fix-my-browse" | "set-my-browse";
+    srcDir: string;
+    root: string;
+    summary: {
+        filesScanned: number;
+        detectedFeatures: number;
+        findings: number;
+    };
+    features: ReportFeature[];
+    suppressed: ReportFeature[];
+    rules: ReportRule[];
+    findings: ReportFinding[];
+    [key: string]: unknown;
+}
+/**
+ * Parse the value of `--format=`. Returns `undefined` if the value isn't a
+ * known format.
+ */
+export declare function parseOutputFormat(value: string | undefined): OutputFormat | undefined;
+/**
+ * The directory the paths in the reports of a scan are relative to: the
+ * top-level directory of the git repository the scanned directory is in, as
+ * code scanning expects, or the scanned directory outside a repository.
+ */
+export declare function reportRoot(srcDir: string): string;
+/**
+ * The path of a file in a report: relative to the report's root, with `/`
+ * separators.
+ */
+export declare function reportPath(file: string, root: string): string;
+/**
+ * The locations of a detected feature, or only those of the patterns for one
+ * of its compat keys. Locations of patterns without a compat key are evidence
+ * for every key.
+ */
+export declare function reportLocations(locations: DetectionLocation[] | undefined, root: string, bcdKey?: string): ReportLocation[];
+/**
+ * Lines listing locations for the text output, as in
+ * `src/App.tsx:42:7  const c = new AbortController();`, up to a limit.
+ */
+export declare function describeLocations(locations: ReportLocation[], indent: string, limit?: number): string[];
+/**
+ * The detected features of a detection result, as listed in every report, or
+ * the features with suppressed uses.
+ */
+export declare function reportFeatures(detection: DetectionResult, root: string, suppressed?: boolean): ReportFeature[];
+/**
+ * Lines listing the suppressed uses of a detection result for the text
+ * output, or none if there aren't any.
+ */
+export declare function describeSuppressed(detection: DetectionResult, root: string): string[];
+/**
+ * Convert a report into a SARIF 2.1.0 log with a single run. Artifact URIs
+ * are relative to the `SRCROOT` base, the report's root.
+ */
+export declare function toSarif(report: Report): object;
+/**
+ * Serialize a report in a machine-readable format.
+ */
+export declare function formatReport(report: Report, format: "json" | "sarif"): string;
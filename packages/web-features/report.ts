@@ -0,0 +1,227 @@
+/**
+ * Machine-readable reports
+ *
+ * The `--format=json` and `--format=sarif` output of the command line tools.
+ * The JSON report is described by `report.schema.json`; its `version` changes
+ * whenever a change to the schema could break consumers. The SARIF output is a
+ * SARIF 2.1.0 log with a result for each finding, for tools such as GitHub
+ * code scanning. The text output lists locations the same way, as in
+ * `src/App.tsx:42:7`. Paths are relative to the root of the git repository
+ * the scanned directory is in, wherever the tool runs from.
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import { features } from "./index.js";
+import { DetectionLocation, DetectionResult } from "./baseline-detector.js";
+
+export type OutputFormat = "text" | "json" | "sarif";
+
+export const REPORT_VERSION = 1;
+
+export interface ReportLocation {
+  // Relative to the report's root, with `/` separators
+  file: string;
+  line: number;
+  column: number;
+  // The source line, trimmed
+  snippet: string;
+  // Whether the use is inside a feature check for it
+  guarded: boolean;
+}
+
+export interface ReportFeature {
+  id: string;
+  name: string;
+  baseline: "high" | "low" | false | null;
+  compatKeys: string[];
+  locations: ReportLocation[];
+}
+
+export interface ReportRule {
+  id: string;
+  description: string;
+}
+
+export interface ReportFinding {
+  // One of the report's `rules`
+  ruleId: string;
+  level: "error" | "warning" | "note";
+  message: string;
+  featureId: string;
+  // The compat key the finding is about, or "feature-level"
+  bcdKey: string;
+  locations: ReportLocation[];
+  // Data specific to the rule, such as the browser a feature isn't supported in
+  properties?: Record<string, unknown>;
+}
+
+export interface Report {
+  version: number;
+  tool: "let-me-browse" | "fix-my-browse" | "set-my-browse";
+  srcDir: string;
+  // The directory the paths of files are relative to
+  root: string;
+  summary: {
+    filesScanned: number;
+    detectedFeatures: number;
+    findings: number;
+  };
+  features: ReportFeature[];
+  // Features whose uses are all or partly suppressed by `baseline-ignore`
+  // comments, with the suppressed locations
+  suppressed: ReportFeature[];
+  rules: ReportRule[];
+  findings: ReportFinding[];
+  // Data specific to the tool, such as the targets fix-my-browse checked
+  [key: string]: unknown;
+}
+
+/**
+ * Parse the value of `--format=`. Returns `undefined` if the value isn't a
+ * known format.
+ */
+export function parseOutputFormat(value: string | undefined): OutputFormat | undefined {
+  if (value === undefined) return "text";
+  return value === "text" || value === "json" || value === "sarif" ? value : undefined;
+}
+
+/**
+ * The directory the paths in the reports of a scan are relative to: the
+ * top-level directory of the git repository the scanned directory is in, as
+ * code scanning expects, or the scanned directory outside a repository.
+ */
+export function reportRoot(srcDir: string): string {
+  const dir = path.resolve(srcDir);
+  for (let current = dir; ; current = path.dirname(current)) {
+    // `.git` is a file in worktrees and submodules
+    if (fs.existsSync(path.join(current, ".git"))) return current;
+    if (path.dirname(current) === current) return dir;
+  }
+}
+
+/**
+ * The path of a file in a report: relative to the report's root, with `/`
+ * separators.
+ */
+export function reportPath(file: string, root: string): string {
+  return path.relative(root, path.resolve(file)).split(path.sep).join("/");
+}
+
+/**
+ * The locations of a detected feature, or only those of the patterns for one
+ * of its compat keys. Locations of patterns without a compat key are evidence
+ * for every key.
+ */
+export function reportLocations(locations: DetectionLocation[] | undefined, root: string, bcdKey?: string): ReportLocation[] {
+  const seen = new Set<string>();
+  const out: ReportLocation[] = [];
+  for (const { file, line, column, snippet, guarded, compatKey } of locations ?? []) {
+    if (bcdKey && bcdKey !== "feature-level" && compatKey && compatKey !== bcdKey) continue;
+    // Patterns for different keys can match at the same place
+    const id = `${file}:${line}:${column}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    out.push({ file: reportPath(file, root), line, column, snippet, guarded });
+  }
+  return out;
+}
+
+/**
+ * Lines listing locations for the text output, as in
+ * `src/App.tsx:42:7  const c = new AbortController();`, up to a limit.
+ */
+export function describeLocations(locations: ReportLocation[], indent: string, limit = 10): string[] {
+  const lines = locations
+    .slice(0, limit)
+    .map(({ file, line, column, snippet, guarded }) => `${indent}${file}:${line}:${column}  ${snippet}${guarded ? "  (guarded)" : ""}`);
+  if (locations.length > limit) {
+    lines.push(`${indent}... and ${locations.length - limit} more (see --format=json for all)`);
+  }
+  return lines;
+}
+
+/**
+ * The detected features of a detection result, as listed in every report, or
+ * the features with suppressed uses.
+ */
+export function reportFeatures(detection: DetectionResult, root: string, suppressed = false): ReportFeature[] {
+  const details = suppressed ? detection.suppressed : detection.details;
+  const ids = suppressed ? Array.from(details.keys()) : Array.from(detection.found);
+  return ids.map((featureId) => {
+    const feature = features[featureId] as any;
+    const detail = details.get(featureId);
+    return {
+      id: featureId,
+      name: feature?.name ?? featureId,
+      baseline: feature?.status?.baseline ?? null,
+      compatKeys: detail?.compatKeys ?? [],
+      locations: reportLocations(detail?.locations, root),
+    };
+  });
+}
+
+/**
+ * Lines listing the suppressed uses of a detection result for the text
+ * output, or none if there aren't any.
+ */
+export function describeSuppressed(detection: DetectionResult, root: string): string[] {
+  const suppressed = reportFeatures(detection, root, true);
+  if (suppressed.length === 0) return [];
+  const lines = ["SUPPRESSED (baseline-ignore comments and the suppress setting)"];
+  for (const feature of suppressed) {
+    lines.push(`  ${feature.name} (${feature.id})`);
+    lines.push(...describeLocations(feature.locations, "     "));
+  }
+  lines.push("");
+  return lines;
+}
+
+/**
+ * Convert a report into a SARIF 2.1.0 log with a single run. Artifact URIs
+ * are relative to the `SRCROOT` base, the report's root.
+ */
+export function toSarif(report: Report): object {
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: report.tool,
+            informationUri: "https://github.com/web-platform-dx/web-features",
+            rules: report.rules.map(({ id, description }) => ({
+              id,
+              shortDescription: { text: description },
+            })),
+          },
+        },
+        originalUriBaseIds: {
+          SRCROOT: { uri: `${pathToFileURL(report.root).href.replace(/\/$/, "")}/` },
+        },
+        results: report.findings.map((finding) => ({
+          ruleId: finding.ruleId,
+          ruleIndex: report.rules.findIndex(({ id }) => id === finding.ruleId),
+          level: finding.level,
+          message: { text: finding.message },
+          locations: finding.locations.map(({ file, line, column, snippet }) => ({
+            physicalLocation: {
+              artifactLocation: { uri: file, uriBaseId: "SRCROOT" },
+              region: { startLine: line, startColumn: column, snippet: { text: snippet } },
+            },
+          })),
+          properties: { featureId: finding.featureId, bcdKey: finding.bcdKey, ...finding.properties },
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Serialize a report in a machine-readable format.
+ */
+export function formatReport(report: Report, format: "json" | "sarif"): string {
+  return `${JSON.stringify(format === "sarif" ? toSarif(report) : report, null, 2)}\n`;
+}
@@ -0,0 +1,37 @@
+/**
+ * Scan cache
+ *
+ * An on-disk cache of the matches in scanned files, so that re-runs only scan
+ * the files that changed. Entries are keyed by a hash of a file's content, in
+ * a cache file for each detector version: a hash of the compiled patterns,
+ * the feature data, the matching code and the options that change matches. When any of them
+ * changes, the scan starts a new cache file. The files of other versions are
+ * kept, so that checkouts or options used in turn each keep their cache, until
+ * they go unwritten for 30 days or more than 8 newer ones are written. Entries
+ * unused for 30 days are dropped.
+ *
+ * The cache is kept in `node_modules/.cache/baseline` of the nearest
+ * directory at or above the scanned one with a `package.json`, like the
+ * caches of other tools. It's only an optimization: a cache that can't be
+ * read or written is ignored.
+ */
+import type { FileMatch } from './baseline-detector.js';
+export interface ScanCache {
+    get(hash: string): FileMatch[] | undefined;
+    set(hash: string, matches: FileMatch[]): void;
+    save(): void;
+}
+/**
+ * A hash of some content, such as a file's or a detector version's parts.
+ */
+export declare function contentHash(...parts: Array<string | Buffer>): string;
+/**
+ * The default cache directory of a scan, or `undefined` if there's no
+ * `package.json` at or above the scanned directory.
+ */
+export declare function cacheDirFor(srcDir: string): string | undefined;
+/**
+ * Open the cache of a detector version in a directory, removing the caches
+ * of other versions that went unused.
+ */
+export declare function openScanCache(dir: string, version: string): ScanCache;
@@ -0,0 +1,112 @@
+/**
+ * Scan cache
+ *
+ * An on-disk cache of the matches in scanned files, so that re-runs only scan
+ * the files that changed. Entries are keyed by a hash of a file's content, in
+ * a cache file for each detector version: a hash of the compiled patterns,
+ * the feature data, the matching code and the options that change matches. When any of them
+ * changes, the scan starts a new cache file. The files of other versions are
+ * kept, so that checkouts or options used in turn each keep their cache, until
+ * they go unwritten for 30 days or more than 8 newer ones are written. Entries
+ * unused for 30 days are dropped.
+ *
+ * The cache is kept in `node_modules/.cache/baseline` of the nearest
+ * directory at or above the scanned one with a `package.json`, like the
+ * caches of other tools. It's only an optimization: a cache that can't be
+ * read or written is ignored.
+ */
+import { createHash } from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+const MAX_UNUSED_DAYS = 30;
+const MAX_VERSIONS = 8;
+const today = () => Math.floor(Date.now() / (24 * 60 * 60 * 1000));
+/**
+ * A hash of some content, such as a file's or a detector version's parts.
+ */
+export function contentHash(...parts) {
+    const hash = createHash('sha256');
+    for (const part of parts)
+        hash.update(part);
+    return hash.digest('hex');
+}
+/**
+ * The default cache directory of a scan, or `undefined` if there's no
+ * `package.json` at or above the scanned directory.
+ */
+export function cacheDirFor(srcDir) {
+    for (let dir = path.resolve(srcDir);; dir = path.dirname(dir)) {
+        if (fs.existsSync(path.join(dir, 'package.json')))
+            return path.join(dir, 'node_modules', '.cache', 'baseline');
+        if (path.dirname(dir) === dir)
+            return undefined;
+    }
+}
+/**
+ * Open the cache of a detector version in a directory, removing the caches
+ * of other versions that went unused.
+ */
+export function openScanCache(dir, version) {
+    const file = path.join(dir, `${version}.json`);
+    let entries = {};
+    try {
+        entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch (error) {
+        // A new or unreadable cache starts empty
+    }
+    let changed = false;
+    const day = today();
+    return {
+        get(hash) {
+            const entry = entries[hash];
+            if (!entry)
+                return undefined;
+            if (entry.used !== day) {
+                entry.used = day;
+                changed = true;
+            }
+            return entry.matches;
+        },
+        set(hash, matches) {
+            entries[hash] = { matches, used: day };
+            changed = true;
+        },
+        save() {
+            if (!changed)
+                return;
+            for (const [hash, { used }] of Object.entries(entries)) {
+                if (day - used > MAX_UNUSED_DAYS)
+                    delete entries[hash];
+            }
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                // Write to a file of our own, then rename, so that concurrent scans
+                // never read a partial cache
+                const temporary = `${file}.${process.pid}.tmp`;
+                fs.writeFileSync(temporary, JSON.stringify(entries));
+                fs.renameSync(temporary, file);
+                removeStaleVersions(dir, file);
+                changed = false;
+            }
+            catch (error) {
+                // The next scan starts over
+            }
+        },
+    };
+}
+// Remove the cache files of other versions that went unwritten for too long,
+// and the oldest beyond the most recent ones
+function removeStaleVersions(dir, current) {
+    const oldest = Date.now() - MAX_UNUSED_DAYS * 24 * 60 * 60 * 1000;
+    const others = fs
+        .readdirSync(dir)
+        .map((name) => path.join(dir, name))
+        .filter((file) => file.endsWith('.json') && file !== current)
+        .map((file) => ({ file, written: fs.statSync(file).mtimeMs }))
+        .sort((a, b) => b.written - a.written);
+    for (const [i, { file, written }] of others.entries()) {
+        if (i >= MAX_VERSIONS - 1 || written < oldest)
+            fs.rmSync(file, { force: true });
+    }
+}
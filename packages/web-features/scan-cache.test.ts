@@ -0,0 +1,92 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { compileDetector, detectFeatures } from './baseline-detector.js';
+import { cacheDirFor, contentHash, openScanCache } from './scan-cache.js';
+
+const match = { featureId: 'fetch', text: 'fetch', line: 1, column: 1, snippet: 'fetch()', guarded: false, suppressed: false };
+
+describe('scan-cache', () => {
+  it('should keep entries of the current version and remove stale ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-cache-'));
+    try {
+      const stale = Math.floor(Date.now() / (24 * 60 * 60 * 1000)) - 31;
+      fs.writeFileSync(path.join(dir, 'v1.json'), JSON.stringify({ unused: { matches: [], used: stale } }));
+
+      const cache = openScanCache(dir, 'v1');
+      expect(cache.get('a')).to.be.undefined;
+      cache.set('a', [match]);
+      cache.save();
+
+      const reopened = openScanCache(dir, 'v1');
+      expect(reopened.get('a')).to.deep.equal([match]);
+      expect(reopened.get('unused')).to.be.undefined;
+      expect(openScanCache(dir, 'v2').get('a')).to.be.undefined;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep the caches of other versions until they go unused', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-cache-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'old.json'), '{}');
+      const monthAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+      fs.utimesSync(path.join(dir, 'old.json'), monthAgo, monthAgo);
+
+      // Two configurations used in turn each keep their cache
+      for (const version of ['v1', 'v2']) {
+        const cache = openScanCache(dir, version);
+        cache.set(version, [match]);
+        cache.save();
+      }
+      expect(fs.readdirSync(dir).sort()).to.deep.equal(['v1.json', 'v2.json']);
+      expect(openScanCache(dir, 'v1').get('v1')).to.deep.equal([match]);
+      expect(openScanCache(dir, 'v2').get('v2')).to.deep.equal([match]);
+
+      // Only the most recently written versions are kept
+      const minuteAgo = Date.now() - 60 * 1000;
+      for (const version of ['v1', 'v2']) {
+        fs.utimesSync(path.join(dir, `${version}.json`), new Date(minuteAgo), new Date(minuteAgo));
+      }
+      for (let i = 0; i < 10; i++) {
+        const cache = openScanCache(dir, `v${i + 3}`);
+        cache.set('a', [match]);
+        cache.save();
+        const written = new Date(minuteAgo + (i + 1) * 1000);
+        fs.utimesSync(path.join(dir, `v${i + 3}.json`), written, written);
+      }
+      expect(fs.readdirSync(dir).sort()).to.deep.equal(['v10.json', 'v11.json', 'v12.json', 'v5.json', 'v6.json', 'v7.json', 'v8.json', 'v9.json']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should only scan files whose content changed', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-cache-'));
+    try {
+      const srcDir = path.join(root, 'src');
+      fs.mkdirSync(srcDir);
+      fs.writeFileSync(path.join(root, 'package.json'), '{}');
+      fs.writeFileSync(path.join(srcDir, 'app.js'), 'fetch("/api");\n');
+      const options = { srcDir, features: ['fetch', 'aborting'], cache: true };
+
+      expect(Array.from((await detectFeatures(options)).found)).to.deep.equal(['fetch']);
+      const cacheDir = cacheDirFor(srcDir);
+      expect(cacheDir).to.equal(path.join(root, 'node_modules', '.cache', 'baseline'));
+
+      // A cached scan is used as it is, rather than scanning the file again
+      const cache = openScanCache(cacheDir, contentHash(compileDetector(options.features).version, '[]'));
+      cache.set(contentHash('js', 'fetch("/api");\n'), [{ ...match, featureId: 'aborting' }]);
+      cache.save();
+      expect(Array.from((await detectFeatures(options)).found)).to.deep.equal(['aborting']);
+
+      fs.writeFileSync(path.join(srcDir, 'app.js'), 'fetch("/api/v2");\n');
+      expect(Array.from((await detectFeatures(options)).found)).to.deep.equal(['fetch']);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
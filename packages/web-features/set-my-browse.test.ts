@@ -1,14 +1,17 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
 import { execSync } from 'child_process';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
 
 describe('set-my-browse', () => {
   it('should run without errors', () => {
     try {
       const output = execSync('node set-my-browse/set-my-browse.js --help', { encoding: 'utf8' });
-      expect(output).to.include('Usage: set-my-browse');
-      expect(output).to.include('--specs=');
-      expect(output).to.include('--mode=');
+      expect(output).to.include('set-my-browse <srcDir>');
+      expect(output).to.include('--specs');
+      expect(output).to.include('--mode');
     } catch (error) {
       expect.fail(`Tool failed to run: ${error.message}`);
     }
@@ -33,4 +36,87 @@ describe('set-my-browse', () => {
       expect(error.message).to.be.a('string');
     }
   });
+
+  it('should report non-compliant features as JSON', () => {
+    const report = JSON.parse(execSync('node set-my-browse/set-my-browse.js ./tests/fixtures/abort-timeout --specs=whatwg --mode=deny --format=json', { encoding: 'utf8' }));
+    expect(report).to.include({ version: 1, tool: 'set-my-browse' });
+    expect(report.policy).to.include({ mode: 'deny', prefer: null });
+    expect(report.policy.deny.any).to.deep.equal(['whatwg']);
+    expect(report.findings.map((finding: any) => finding.featureId)).to.include('fetch');
+    expect(report.compliant).to.not.include('fetch');
+  });
+
+  it('should write the whole of a large report to a pipe', () => {
+    const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'set-my-browse-'));
+    try {
+      fs.writeFileSync(path.join(srcDir, 'app.js'), 'fetch("/a");\n'.repeat(3000));
+      // The reader only starts once the pipe is full
+      const output = execSync(`node set-my-browse/set-my-browse.js "${srcDir}" --specs=whatwg --mode=deny --format=json | (sleep 1; cat)`, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+      expect(output.length).to.be.greaterThan(65536);
+      expect(JSON.parse(output).findings.find((finding: any) => finding.featureId === 'fetch').locations).to.have.lengthOf(3000);
+    } finally {
+      fs.rmSync(srcDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should check policies on web-specs metadata, citing the rule', () => {
+    const report = JSON.parse(execSync('node set-my-browse/set-my-browse.js ./tests/fixtures/modern-app --allow-org=W3C,WHATWG --deny-standing=pending --format=json', { encoding: 'utf8' }));
+    expect(report.policy.allow.organization).to.deep.equal(['W3C', 'WHATWG']);
+    expect(report.compliant).to.include('fetch');
+    const promise = report.findings.find((finding: any) => finding.featureId === 'promise');
+    expect(promise.message).to.include('organization "Ecma International" isn\'t allowed (--allow-org=W3C,WHATWG)');
+    expect(promise.properties.rule).to.equal('--allow-org=W3C,WHATWG');
+    expect(promise.properties.violations).to.deep.equal([
+      {
+        ruleId: 'spec-policy',
+        url: promise.properties.violations[0].url,
+        spec: 'ecmascript',
+        rule: '--allow-org=W3C,WHATWG',
+        reason: 'organization "Ecma International" isn\'t allowed',
+      },
+    ]);
+  });
+
+  it('should suggest alternatives that comply with the policy, ranked by --prefer', () => {
+    const run = (prefer: string) =>
+      JSON.parse(execSync(`node set-my-browse/set-my-browse.js ./tests/fixtures/modern-app --allow-org=W3C,WHATWG --prefer=${prefer} --format=json`, { encoding: 'utf8' }));
+    const widely = run('widely');
+    const modules = widely.findings.find((finding: any) => finding.featureId === 'js-modules');
+    expect(modules.properties.alternatives).to.deep.equal(widely.alternatives['js-modules']);
+    expect(modules.properties.alternatives.map((alternative: any) => alternative.featureId)).to.include('script');
+    expect(modules.properties.alternatives.every((alternative: any) => alternative.reasons.length >= 2)).to.be.true;
+    for (const alternatives of Object.values(widely.alternatives) as any[]) {
+      expect(alternatives.map((alternative: any) => alternative.featureId)).to.not.include.members(['async-await', 'promise']);
+    }
+
+    const dates = run('newly').alternatives['js-modules'].map((alternative: any) => alternative.baselineLowDate);
+    expect(dates).to.deep.equal([...dates].sort().reverse());
+  });
+
+  it('should check rules on the features, with a finding per rule', () => {
+    const report = JSON.parse(
+      execSync('node set-my-browse/set-my-browse.js ./tests/fixtures/modern-app --deny-feature-group=css --require-snapshot=ecmascript-2015,ecmascript-2017 --format=json', {
+        encoding: 'utf8',
+      }),
+    );
+    expect(report.policy).to.include({ denyDiscouraged: false, requireBaseline: null });
+    expect(report.policy.denyFeatureGroup).to.deep.equal(['css']);
+    expect(report.rules.map((rule: any) => rule.id)).to.include.members(['spec-policy', 'denied-group', 'snapshot-required']);
+    const containerQueries = report.findings.filter((finding: any) => finding.featureId === 'container-queries');
+    expect(containerQueries.map((finding: any) => finding.ruleId)).to.deep.equal(['denied-group', 'snapshot-required']);
+    expect(containerQueries[0].message).to.include("it's in the css group (--deny-feature-group=css)");
+    expect(containerQueries[0].properties.rule).to.equal('--deny-feature-group=css');
+    expect(report.compliant).to.include('async-await');
+  });
+
+  it('should reject unknown standings, feature IDs and --specs without --mode', () => {
+    for (const options of ['--allow-standing=bad', '--specs=whatwg', '--deny-feature-group=file-systems', '--require-baseline=high']) {
+      try {
+        execSync(`node set-my-browse/set-my-browse.js ./tests/fixtures/modern-app ${options}`, { encoding: 'utf8', stdio: 'pipe' });
+        expect.fail(`${options} should fail`);
+      } catch (error) {
+        expect(error.status).to.equal(2);
+      }
+    }
+  });
 });
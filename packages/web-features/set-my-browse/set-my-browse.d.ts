@@ -1,2 +1,30 @@
 #!/usr/bin/env node
+import type { CommandModule } from "yargs";
+import { ScanArgs } from "../cli.js";
+import { Preference } from "../alternatives.js";
+import { BaselineThreshold } from "../baseline-targets.js";
+type Mode = "allow" | "deny";
+interface PolicyArgs extends ScanArgs {
+    allowOrg?: string[];
+    denyOrg?: string[];
+    allowGroup?: string[];
+    denyGroup?: string[];
+    allowStanding?: string[];
+    denyStanding?: string[];
+    allowSpec?: string[];
+    denySpec?: string[];
+    specs?: string[];
+    mode?: Mode;
+    denyDiscouraged?: boolean;
+    requireBaseline?: BaselineThreshold;
+    denyFeature?: string[];
+    denyFeatureGroup?: string[];
+    requireSnapshot?: string[];
+    prefer?: Preference;
+    explain: boolean;
+}
+/**
+ * `baseline policy`, also installed as `set-my-browse` and `smb`.
+ */
+export declare const policyCommand: CommandModule<object, PolicyArgs>;
 export {};
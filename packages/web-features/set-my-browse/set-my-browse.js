@@ -1,19 +1,14 @@
 #!/usr/bin/env node
-import * as fs from "node:fs";
-import * as path from "node:path";
-import * as process from "node:process";
+import process from "node:process";
 import { features } from "../index.js";
-// Import baseline detection API
-import { detectFeatures as detectFeaturesBaseline } from "../baseline-detector.js";
-function printHelp() {
-    const help = `\nUsage: set-my-browse <srcDir> --specs=<list> --mode=<allow|deny> [--prefer=<widely|newly>] [--explain]\n\nExamples:\n  set-my-browse ./src --specs=csswg --mode=allow\n  set-my-browse ./src --specs=whatwg --mode=deny --prefer=widely\n`;
-    process.stdout.write(help);
-}
-function parseSpecs(specsString) {
-    if (!specsString)
-        return [];
-    return specsString.split(",").map(s => s.trim()).filter(Boolean);
-}
+import { detect, isMain, parsedBy, parseList, scanSettings, usageError, withScanOptions } from "../cli.js";
+import { failsOn } from "../config.js";
+import { describeLocations, describeSuppressed, formatReport, REPORT_VERSION, reportFeatures, reportLocations } from "../report.js";
+import { describeAlternatives, suggestAlternatives } from "../alternatives.js";
+import { parseBaselineThreshold } from "../baseline-targets.js";
+import { describeChanges, reportChanges } from "../git-changes.js";
+import { checkFeature, featureRuleDescriptions, hasFeatureRules, unknownIds } from "../feature-policy.js";
+import { checkSpecs, describePolicy, hasRules, standings } from "../spec-policy.js";
 function getBaselineIcon(baseline) {
     switch (baseline) {
         case "high": return "[HIGH]";
@@ -22,7 +17,7 @@ function getBaselineIcon(baseline) {
         default: return "[UNKNOWN]";
     }
 }
-function formatFeature(featureId, specs, mode, prefer, explain) {
+function formatFeature(featureId, violations, alternatives, locations, explain) {
     const feature = features[featureId];
     if (!feature)
         return `❓ ${featureId}`;
@@ -39,67 +34,183 @@ function formatFeature(featureId, specs, mode, prefer, explain) {
             lines.push(`   Specs: ${feature.spec.join(", ")}`);
         }
     }
-    // Add alternatives
-    const alternatives = feature.discouraged?.alternatives || [];
+    lines.push("   Violates:");
+    for (const violation of violations) {
+        lines.push(`     ${describeViolation(violation)}`);
+    }
     if (alternatives.length > 0) {
-        lines.push(`   Alternatives: ${alternatives.join(", ")}`);
+        lines.push("   Alternatives:");
+        lines.push(...describeAlternatives(alternatives));
+    }
+    if (locations.length > 0) {
+        lines.push("   Used at:");
+        lines.push(...describeLocations(locations, "     "));
     }
     return lines.join("\n");
 }
-function main() {
-    const args = process.argv.slice(2);
-    if (args.length === 0 || args.includes("-h") || args.includes("--help")) {
-        printHelp();
-        process.exit(0);
-    }
-    const srcDir = path.resolve(args[0]);
-    if (!fs.existsSync(srcDir) || !fs.statSync(srcDir).isDirectory()) {
-        process.stderr.write(`Error: ${srcDir} is not a directory.\n`);
-        process.exit(1);
-    }
-    const specsArg = args.find((a) => a.startsWith("--specs="));
-    const modeArg = args.find((a) => a.startsWith("--mode="));
-    const preferArg = args.find((a) => a.startsWith("--prefer="));
-    const explain = args.includes("--explain");
-    const specs = parseSpecs(specsArg?.split("=")[1]);
-    const mode = modeArg?.split("=")[1];
-    if (!specs.length || !mode) {
-        process.stderr.write("Error: provide --specs=list and --mode=allow|deny.\n");
-        process.exit(2);
+function describeViolation({ url, spec, rule, reason }) {
+    return `${url ? `${spec ?? url}: ` : ""}${reason} (${rule})`;
+}
+const specViolation = (violation) => ({ ruleId: "spec-policy", ...violation });
+// The policy as the options that set it
+function describeRules(rules) {
+    const options = [describePolicy(rules)];
+    if (rules.denyDiscouraged)
+        options.push("--deny-discouraged");
+    if (rules.requireBaseline !== undefined)
+        options.push(`--require-baseline=${rules.requireBaseline}`);
+    for (const [option, ids] of [
+        ["--deny-feature", rules.denyFeature],
+        ["--deny-feature-group", rules.denyFeatureGroup],
+        ["--require-snapshot", rules.requireSnapshot],
+    ]) {
+        if (ids && ids.length > 0)
+            options.push(`${option}=${ids.join(",")}`);
     }
-    if (mode !== "allow" && mode !== "deny") {
-        process.stderr.write("Error: --mode must be 'allow' or 'deny'.\n");
-        process.exit(2);
+    return options.filter(Boolean).join(" ");
+}
+function buildReport(srcDir, root, detection, policy, compliant, nonCompliant, alternatives, changes) {
+    // A finding for each rule a feature breaks
+    const findings = Array.from(nonCompliant).flatMap(([featureId, violations]) => {
+        const feature = features[featureId];
+        const name = feature?.name || featureId;
+        const ruleIds = Array.from(new Set(violations.map(({ ruleId }) => ruleId)));
+        return ruleIds.map((ruleId) => {
+            const broken = violations.filter((violation) => violation.ruleId === ruleId);
+            return {
+                ruleId,
+                level: "error",
+                message: `${name} doesn't comply with the ${ruleId === "spec-policy" ? "spec" : "feature"} policy: ${broken.map(describeViolation).join("; ")}`,
+                featureId,
+                bcdKey: "feature-level",
+                locations: reportLocations(detection.details.get(featureId)?.locations, root),
+                properties: {
+                    rule: Array.from(new Set(broken.map(({ rule }) => rule))).join(" "),
+                    spec: feature?.spec ?? [],
+                    violations: broken,
+                    alternatives: alternatives.get(featureId) ?? [],
+                },
+            };
+        });
+    });
+    return {
+        version: REPORT_VERSION,
+        tool: "set-my-browse",
+        srcDir,
+        root,
+        summary: {
+            filesScanned: detection.summary.filesScanned,
+            detectedFeatures: detection.found.size,
+            findings: findings.length,
+        },
+        features: reportFeatures(detection, root),
+        suppressed: reportFeatures(detection, root, true),
+        rules: [
+            { id: "spec-policy", description: "Uses a feature that the spec policy doesn't allow" },
+            ...Object.entries(featureRuleDescriptions).map(([id, description]) => ({ id, description })),
+        ],
+        findings,
+        policy: {
+            specs: policy.specs,
+            mode: policy.mode ?? null,
+            prefer: policy.prefer ?? null,
+            allow: policy.allow,
+            deny: policy.deny,
+            denyDiscouraged: policy.denyDiscouraged ?? false,
+            requireBaseline: policy.requireBaseline ?? null,
+            denyFeature: policy.denyFeature ?? [],
+            denyFeatureGroup: policy.denyFeatureGroup ?? [],
+            requireSnapshot: policy.requireSnapshot ?? [],
+        },
+        compliant: Array.from(compliant),
+        alternatives: Object.fromEntries(alternatives),
+        since: reportChanges(changes, root),
+    };
+}
+// The policy of the command line, or else of the config
+function specPolicy(argv, config) {
+    const setting = (key) => argv[key] ?? config[key] ?? [];
+    const policy = {
+        allow: { organization: setting("allowOrg"), group: setting("allowGroup"), standing: setting("allowStanding"), spec: setting("allowSpec") },
+        deny: { organization: setting("denyOrg"), group: setting("denyGroup"), standing: setting("denyStanding"), spec: setting("denySpec") },
+        specs: argv.specs ?? config.specs ?? [],
+        mode: argv.mode ?? config.mode,
+    };
+    if (policy.specs.length > 0) {
+        if (!policy.mode)
+            usageError("--specs needs --mode=allow or --mode=deny.");
+        policy[policy.mode].any = policy.specs;
     }
-    const prefer = preferArg?.split("=")[1];
-    if (prefer && prefer !== "widely" && prefer !== "newly") {
-        process.stderr.write("Error: --prefer must be 'widely' or 'newly'.\n");
-        process.exit(2);
+    return policy;
+}
+// The feature rules of the command line, or else of the config
+function featureRules(argv, config) {
+    const rules = {
+        denyDiscouraged: argv.denyDiscouraged ?? config.denyDiscouraged,
+        requireBaseline: argv.requireBaseline ?? config.requireBaseline,
+        denyFeature: argv.denyFeature ?? config.denyFeature,
+        denyFeatureGroup: argv.denyFeatureGroup ?? config.denyFeatureGroup,
+        requireSnapshot: argv.requireSnapshot ?? config.requireSnapshot,
+    };
+    const unknown = unknownIds(rules);
+    if (unknown.length > 0)
+        usageError(`unknown feature, group or snapshot ${unknown.join(", ")}.`);
+    return rules;
+}
+async function policy(argv) {
+    const settings = await scanSettings(argv);
+    const { srcDir, root, config, format, failOn, changes } = settings;
+    const explain = argv.explain;
+    const prefer = argv.prefer ?? config.prefer;
+    const rules = { ...specPolicy(argv, config), ...featureRules(argv, config) };
+    if (!hasRules(rules) && !hasFeatureRules(rules)) {
+        usageError("provide a policy, such as --allow-org=W3C,WHATWG, --deny-standing=pending or --deny-discouraged, or --specs=list with --mode=allow|deny.");
     }
     // Use baseline detection API
-    const detectionResult = detectFeaturesBaseline({ srcDir });
+    const detectionResult = await detect(settings);
     const used = detectionResult.found;
-    const nonCompliant = new Set();
+    const nonCompliant = new Map();
     const compliant = new Set();
     for (const featureId of Array.from(used)) {
         const feature = features[featureId];
         if (!feature || feature.kind !== "feature")
             continue;
-        // Check feature-level compliance (simpler approach)
-        const isCompliant = mode === "allow" ?
-            specs.some(spec => feature.spec?.some((s) => s.includes(spec))) :
-            !specs.some(spec => feature.spec?.some((s) => s.includes(spec)));
-        if (isCompliant) {
+        // Every spec of the feature must comply, and so must the feature
+        const violations = [
+            ...checkSpecs([].concat(feature.spec ?? []), rules).map(specViolation),
+            ...checkFeature(featureId, rules),
+        ];
+        if (violations.length === 0) {
             compliant.add(featureId);
         }
         else {
-            nonCompliant.add(featureId);
+            nonCompliant.set(featureId, violations);
         }
     }
+    // Alternatives for the features that don't comply or aren't Baseline, which
+    // must comply themselves
+    const complies = (featureId) => checkSpecs([].concat(features[featureId].spec ?? []), rules).length === 0 && checkFeature(featureId, rules).length === 0;
+    const alternatives = new Map();
+    for (const featureId of Array.from(used)) {
+        if (!nonCompliant.has(featureId) && !(compliant.has(featureId) && !features[featureId].status?.baseline))
+            continue;
+        const suggested = suggestAlternatives(featureId, { prefer, accept: complies });
+        if (suggested.length > 0)
+            alternatives.set(featureId, suggested);
+    }
+    const report = buildReport(srcDir, root, detectionResult, { ...rules, prefer }, compliant, nonCompliant, alternatives, changes);
+    const failed = report.findings.some(({ level }) => failsOn(level, failOn));
+    if (format !== "text") {
+        process.stdout.write(formatReport(report, format));
+        process.exitCode = failed ? 1 : 0;
+        return;
+    }
     // Output results
     const lines = [];
-  lines.push("\nPolicy Compliance Report");
-  lines.push("");
+    if (changes)
+        lines.push(`\n${describeChanges(changes)}`);
+    lines.push("\nPolicy Compliance Report");
+    lines.push("");
     lines.push("SUMMARY");
     lines.push(`Total Features: ${used.size}`);
     lines.push(`Compliant: ${compliant.size}`);
@@ -112,25 +223,136 @@ function main() {
             const baseline = feature?.status?.baseline;
             const icon = getBaselineIcon(baseline);
             lines.push(`  ${icon} ${feature?.name || featureId}`);
+            if (alternatives.has(featureId)) {
+                lines.push("     Not Baseline; alternatives:");
+                lines.push(...describeAlternatives(alternatives.get(featureId), "       "));
+            }
         }
         lines.push("");
     }
     if (nonCompliant.size > 0) {
         lines.push("NON-COMPLIANT FEATURES");
         lines.push("");
-        for (const featureId of Array.from(nonCompliant)) {
-            lines.push(formatFeature(featureId, specs, mode, prefer, explain));
+        for (const [featureId, violations] of Array.from(nonCompliant)) {
+            const locations = reportLocations(detectionResult.details.get(featureId)?.locations, root);
+            lines.push(formatFeature(featureId, violations, alternatives.get(featureId) ?? [], locations, explain));
             lines.push("");
         }
     }
+    lines.push(...describeSuppressed(detectionResult, root));
     lines.push("NOTES");
-    lines.push(`• Policy: ${mode} features from specified specs`);
+    lines.push(`• Policy: ${describeRules(rules)}`);
     lines.push(`• Baseline icons: [HIGH] widely available, [LOW] newly available, [LIMITED] limited availability`);
     lines.push(`• Use --explain for detailed information about each feature`);
-    if (prefer) {
-        lines.push(`• Preference: ${prefer === "widely" ? "prioritizing widely available alternatives" : "prioritizing newly available alternatives"}`);
-    }
+    lines.push(`• Mark intentional uses with a baseline-ignore-next-line, baseline-ignore or baseline-disable comment to leave them out`);
+    lines.push(`• Alternatives are Baseline features that comply with the policy, ${prefer === "newly" ? "most recently available first (--prefer=newly)" : "widely available first (--prefer=widely)"}`);
     lines.push("");
     process.stdout.write(lines.join("\n"));
+    if (failed)
+        process.exitCode = 1;
+}
+// The values of `--allow-standing` and `--deny-standing`
+function standingList(values) {
+    const list = parseList(values);
+    const unknown = list.filter((standing) => !standings.includes(standing));
+    if (unknown.length > 0)
+        throw new Error(`Unknown standing ${unknown.join(", ")}: use ${standings.join(", ")}.`);
+    return list;
+}
+/**
+ * `baseline policy`, also installed as `set-my-browse` and `smb`.
+ */
+export const policyCommand = {
+    command: "policy <srcDir>",
+    describe: "Check that the web features used in <srcDir> comply with a policy on their specs' standards body, group, standing or shortname, and on their status, groups and snapshots",
+    builder: (yargs) => withScanOptions(yargs)
+        .option("allow-org", {
+        type: "string",
+        describe: "Standards bodies the features' specs must be from, as in W3C,WHATWG (web-specs organization)",
+        coerce: parseList,
+    })
+        .option("deny-org", {
+        type: "string",
+        describe: "Standards bodies the features' specs mustn't be from",
+        coerce: parseList,
+    })
+        .option("allow-group", {
+        type: "string",
+        describe: "Groups one of which must develop each of the features' specs (web-specs groups[].name)",
+        coerce: parseList,
+    })
+        .option("deny-group", {
+        type: "string",
+        describe: "Groups that mustn't develop the features' specs",
+        coerce: parseList,
+    })
+        .option("allow-standing", {
+        type: "string",
+        describe: `Standings the features' specs must have: ${standings.join(", ")}`,
+        coerce: standingList,
+    })
+        .option("deny-standing", {
+        type: "string",
+        describe: "Standings the features' specs mustn't have",
+        coerce: standingList,
+    })
+        .option("allow-spec", {
+        type: "string",
+        describe: "Spec or series shortnames the features' specs must have, as in html,css-contain",
+        coerce: parseList,
+    })
+        .option("deny-spec", {
+        type: "string",
+        describe: "Spec or series shortnames the features' specs mustn't have",
+        coerce: parseList,
+    })
+        .option("specs", {
+        type: "string",
+        describe: "Organizations, groups, standings or spec shortnames, any of which the features' specs must have (--mode=allow) or mustn't (--mode=deny)",
+        coerce: parseList,
+    })
+        .option("mode", {
+        type: "string",
+        describe: "Whether the features' specs must match --specs (allow) or mustn't (deny)",
+        choices: ["allow", "deny"],
+    })
+        .option("deny-discouraged", {
+        type: "boolean",
+        describe: "Deny features that are discouraged",
+    })
+        .option("require-baseline", {
+        type: "string",
+        describe: "The Baseline threshold features must meet: widely, newly or a year",
+        coerce: parsedBy(parseBaselineThreshold, (value) => `--require-baseline=${value} is not one of --require-baseline=widely, --require-baseline=newly or --require-baseline=<year>.`),
+    })
+        .option("deny-feature", {
+        type: "string",
+        describe: "Feature IDs to deny, as in document-write",
+        coerce: parseList,
+    })
+        .option("deny-feature-group", {
+        type: "string",
+        describe: "Groups whose features to deny, including the groups within them, as in file-system",
+        coerce: parseList,
+    })
+        .option("require-snapshot", {
+        type: "string",
+        describe: "Snapshots one of which features must be in, as in ecmascript-2015,ecmascript-2020",
+        coerce: parseList,
+    })
+        .option("prefer", {
+        type: "string",
+        describe: "Rank suggested alternatives with Baseline widely available ones first (widely, the default) or the most recently available first (newly)",
+        choices: ["widely", "newly"],
+    })
+        .option("explain", {
+        type: "boolean",
+        default: false,
+        describe: "Describe each feature",
+    }),
+    handler: policy,
+};
+// `set-my-browse` is the old name of `baseline policy`
+if (isMain(import.meta.url)) {
+    import("../baseline/baseline.js").then(({ alias }) => alias("set-my-browse", policyCommand, process.argv.slice(2)));
 }
-main();
@@ -0,0 +1,31 @@
+/**
+ * Source files
+ *
+ * Walks a source tree for the detector, skipping what a project doesn't
+ * consider its source: hidden files and directories, `node_modules`,
+ * anything a `.gitignore` or `.baselineignore` file ignores, and anything
+ * outside the `include` globs or inside the `exclude` globs of a scan.
+ *
+ * `.baselineignore` files use the `.gitignore` syntax and apply the same way,
+ * for build output and vendored code that is committed but shouldn't be
+ * scanned. The `.gitignore` and `.baselineignore` files of the directories
+ * above the scanned one apply too, up to the root of its Git repository.
+ * Globs also use the `.gitignore` syntax, relative to the scanned directory,
+ * so `dist` and `*.min.js` match at any depth and `/dist` only at the top.
+ */
+export interface SourceFileOptions {
+    include?: string[];
+    exclude?: string[];
+}
+export declare const ignoreFiles: string[];
+/**
+ * The files of a source tree that aren't ignored, depth first.
+ */
+export declare function walkSourceFiles(srcDir: string, options?: SourceFileOptions): Generator<string>;
+/**
+ * The files of a source tree at or under some paths, in their order, that
+ * `walkSourceFiles()` would find. Only the ignore files of the directories
+ * down to each path are read, rather than walking the whole tree, and paths
+ * that don't exist or are outside the tree are skipped.
+ */
+export declare function walkSourcePaths(srcDir: string, paths: string[], options?: SourceFileOptions): Generator<string>;
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { walkSourceFiles, walkSourcePaths } from './source-files.js';
+
+const files = {
+  '.gitignore': 'dist/\n*.log\n',
+  'src/app.js': '',
+  'src/app.min.js': '',
+  'src/generated/.gitignore': '*.js\n!keep.js\n',
+  'src/generated/api.js': '',
+  'src/generated/keep.js': '',
+  'src/vendor/polyfill.js': '',
+  'src/.baselineignore': 'vendor\n',
+  'src/debug.log': '',
+  'dist/bundle.js': '',
+  'test/app.test.js': '',
+};
+
+describe('source-files', () => {
+  let root: string;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'source-files-'));
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  function walk(dir: string, options = {}): string[] {
+    return Array.from(walkSourceFiles(path.join(root, dir), options))
+      .map(file => path.relative(root, file).split(path.sep).join('/'))
+      .sort();
+  }
+
+  it('should skip files ignored by .gitignore and .baselineignore files', () => {
+    expect(walk('')).to.deep.equal(['src/app.js', 'src/app.min.js', 'src/generated/keep.js', 'test/app.test.js']);
+  });
+
+  it('should apply the ignore files above the scanned directory in a Git repository', () => {
+    fs.mkdirSync(path.join(root, '.git'));
+    try {
+      fs.mkdirSync(path.join(root, 'src', 'dist'));
+      fs.writeFileSync(path.join(root, 'src', 'dist', 'bundle.js'), '');
+      expect(walk('src')).to.deep.equal(['src/app.js', 'src/app.min.js', 'src/generated/keep.js']);
+    } finally {
+      fs.rmSync(path.join(root, '.git'), { recursive: true });
+      fs.rmSync(path.join(root, 'src', 'dist'), { recursive: true });
+    }
+  });
+
+  it('should only scan files matching the include globs', () => {
+    expect(walk('', { include: ['src/**/*.js'] })).to.deep.equal(['src/app.js', 'src/app.min.js', 'src/generated/keep.js']);
+    expect(walk('', { include: ['test'] })).to.deep.equal(['test/app.test.js']);
+  });
+
+  it('should skip files and directories matching the exclude globs', () => {
+    expect(walk('', { exclude: ['*.min.js', 'generated'] })).to.deep.equal(['src/app.js', 'test/app.test.js']);
+    expect(walk('', { include: ['src'], exclude: ['/src/app.js'] })).to.deep.equal(['src/app.min.js', 'src/generated/keep.js']);
+  });
+
+  it('should find the source files at or under some paths as a walk would', () => {
+    const walkPaths = (paths: string[], options = {}) =>
+      Array.from(walkSourcePaths(root, paths.map((file) => path.join(root, file)), options)).map((file) =>
+        path.relative(root, file).split(path.sep).join('/'),
+      );
+    expect(walkPaths(['src/app.js', 'src/generated', 'src/vendor/polyfill.js', 'dist/bundle.js', 'src/debug.log'])).to.deep.equal([
+      'src/app.js',
+      'src/generated/keep.js',
+    ]);
+    expect(walkPaths(['src/generated/api.js', 'src/generated/keep.js', 'src/.baselineignore', 'src/missing.js', '../outside.js'])).to.deep.equal([
+      'src/generated/keep.js',
+    ]);
+    expect(walkPaths(['src', 'src/app.js'], { exclude: ['generated'] })).to.have.members(['src/app.js', 'src/app.min.js']);
+    expect(walkPaths(['']).sort()).to.deep.equal(walk(''));
+  });
+});
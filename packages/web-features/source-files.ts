@@ -0,0 +1,190 @@
+/**
+ * Source files
+ *
+ * Walks a source tree for the detector, skipping what a project doesn't
+ * consider its source: hidden files and directories, `node_modules`,
+ * anything a `.gitignore` or `.baselineignore` file ignores, and anything
+ * outside the `include` globs or inside the `exclude` globs of a scan.
+ *
+ * `.baselineignore` files use the `.gitignore` syntax and apply the same way,
+ * for build output and vendored code that is committed but shouldn't be
+ * scanned. The `.gitignore` and `.baselineignore` files of the directories
+ * above the scanned one apply too, up to the root of its Git repository.
+ * Globs also use the `.gitignore` syntax, relative to the scanned directory,
+ * so `dist` and `*.min.js` match at any depth and `/dist` only at the top.
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import ignore, { Ignore } from 'ignore';
+
+export interface SourceFileOptions {
+  // Only scan files these globs match
+  include?: string[];
+  // Don't scan files or directories these globs match
+  exclude?: string[];
+}
+
+// The rules of an ignore file, or of the `exclude` globs, and the directory
+// its paths are relative to
+interface IgnoreRules {
+  base: string;
+  rules: Ignore;
+}
+
+export const ignoreFiles = ['.gitignore', '.baselineignore'];
+
+function relativePath(base: string, fullPath: string): string {
+  return path.relative(base, fullPath).split(path.sep).join('/');
+}
+
+// The rules of the ignore files in a directory, if it has any
+function readIgnoreFiles(dir: string): IgnoreRules | undefined {
+  const contents = ignoreFiles
+    .map((name) => path.join(dir, name))
+    .filter((file) => fs.existsSync(file))
+    .map((file) => fs.readFileSync(file, 'utf8'));
+  return contents.length > 0 ? { base: dir, rules: ignore().add(contents.join('\n')) } : undefined;
+}
+
+// The rules of the ignore files above a directory, from the root of its Git
+// repository down, or none if it isn't in one
+function ancestorRules(dir: string): IgnoreRules[] {
+  const ancestors: string[] = [];
+  for (let current = path.dirname(dir); ; current = path.dirname(current)) {
+    ancestors.unshift(current);
+    if (fs.existsSync(path.join(current, '.git'))) break;
+    if (path.dirname(current) === current) return [];
+  }
+  return ancestors.map(readIgnoreFiles).filter(Boolean);
+}
+
+// Whether a path is ignored; later rules override earlier ones, so a
+// `!pattern` in a nested ignore file re-includes what a parent ignored
+function isIgnored(fullPath: string, isDirectory: boolean, stack: IgnoreRules[]): boolean {
+  let ignored = false;
+  for (const { base, rules } of stack) {
+    const relative = relativePath(base, fullPath);
+    if (relative === '' || relative.startsWith('../')) continue;
+    const { ignored: matched, unignored } = rules.test(isDirectory ? `${relative}/` : relative);
+    if (matched) ignored = true;
+    if (unignored) ignored = false;
+  }
+  return ignored;
+}
+
+// What a scan skips besides the ignore files: the `include` and `exclude`
+// globs
+interface Globs {
+  included?: Ignore;
+  excluded: IgnoreRules[];
+}
+
+function globsOf(srcDir: string, { include = [], exclude = [] }: SourceFileOptions): Globs {
+  return {
+    included: include.length > 0 ? ignore().add(include) : undefined,
+    excluded: exclude.length > 0 ? [{ base: srcDir, rules: ignore().add(exclude) }] : [],
+  };
+}
+
+// Whether to walk a directory, given the rules of the one it's in
+function isSourceDirectory(fullPath: string, rules: IgnoreRules[], globs: Globs): boolean {
+  const name = path.basename(fullPath);
+  // Skip node_modules, .git, etc.
+  if (name.startsWith('.') || name === 'node_modules') return false;
+  return !isIgnored(fullPath, true, [...rules, ...globs.excluded]);
+}
+
+// Whether a file is a source file, given the rules of the directory it's in
+function isSourceFile(srcDir: string, fullPath: string, rules: IgnoreRules[], globs: Globs): boolean {
+  if (path.basename(fullPath).startsWith('.')) return false;
+  if (isIgnored(fullPath, false, [...rules, ...globs.excluded])) return false;
+  return !globs.included || globs.included.ignores(relativePath(srcDir, fullPath));
+}
+
+// The source files of directories, with the rules of their parents
+function* walk(srcDir: string, stack: Array<{ dir: string; rules: IgnoreRules[] }>, globs: Globs): Generator<string> {
+  while (stack.length > 0) {
+    const { dir, rules: parentRules } = stack.pop()!;
+    const own = readIgnoreFiles(dir);
+    const rules = own ? [...parentRules, own] : parentRules;
+    let entries: fs.Dirent[];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      // Skip directories we can't read
+      continue;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (isSourceDirectory(fullPath, rules, globs)) stack.push({ dir: fullPath, rules });
+      } else if (entry.isFile() && isSourceFile(srcDir, fullPath, rules, globs)) {
+        yield fullPath;
+      }
+    }
+  }
+}
+
+/**
+ * The files of a source tree that aren't ignored, depth first.
+ */
+export function* walkSourceFiles(srcDir: string, options: SourceFileOptions = {}): Generator<string> {
+  yield* walk(srcDir, [{ dir: srcDir, rules: ancestorRules(srcDir) }], globsOf(srcDir, options));
+}
+
+/**
+ * The files of a source tree at or under some paths, in their order, that
+ * `walkSourceFiles()` would find. Only the ignore files of the directories
+ * down to each path are read, rather than walking the whole tree, and paths
+ * that don't exist or are outside the tree are skipped.
+ */
+export function* walkSourcePaths(srcDir: string, paths: string[], options: SourceFileOptions = {}): Generator<string> {
+  const globs = globsOf(srcDir, options);
+  const srcRules = ancestorRules(srcDir);
+  const found = new Set<string>();
+  for (const target of paths) {
+    const fullPath = path.resolve(target);
+    const relative = path.relative(srcDir, fullPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) continue;
+    let stats: fs.Stats;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch (error) {
+      continue;
+    }
+
+    let files: Iterable<string> = [];
+    if (relative === '') {
+      files = walk(srcDir, [{ dir: srcDir, rules: srcRules }], globs);
+    } else {
+      // The rules of the directory the path is in, unless a directory on the
+      // way is skipped
+      let rules = srcRules;
+      let dir = srcDir;
+      let skipped = false;
+      for (const name of relative.split(path.sep).slice(0, -1)) {
+        const own = readIgnoreFiles(dir);
+        if (own) rules = [...rules, own];
+        dir = path.join(dir, name);
+        if (!isSourceDirectory(dir, rules, globs)) {
+          skipped = true;
+          break;
+        }
+      }
+      if (skipped) continue;
+      const own = readIgnoreFiles(dir);
+      if (own) rules = [...rules, own];
+      if (stats.isFile()) {
+        if (isSourceFile(srcDir, fullPath, rules, globs)) files = [fullPath];
+      } else if (stats.isDirectory() && isSourceDirectory(fullPath, rules, globs)) {
+        files = walk(srcDir, [{ dir: fullPath, rules }], globs);
+      }
+    }
+    for (const file of files) {
+      if (found.has(file)) continue;
+      found.add(file);
+      yield file;
+    }
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Source positions
+ *
+ * Where a match is in a file, from an offset into its content, and the short
+ * excerpt of the source a match reports. The line of an offset is found by a
+ * binary search of the offsets at which lines start, computed once per file,
+ * so that the many matches of a long file don't each rescan it.
+ */
+export declare function lineStarts(content: string): number[];
+export declare function positionAt(starts: number[], offset: number): {
+    line: number;
+    column: number;
+};
+export declare function excerpt(text: string): string;
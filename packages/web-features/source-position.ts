@@ -0,0 +1,39 @@
+/**
+ * Source positions
+ *
+ * Where a match is in a file, from an offset into its content, and the short
+ * excerpt of the source a match reports. The line of an offset is found by a
+ * binary search of the offsets at which lines start, computed once per file,
+ * so that the many matches of a long file don't each rescan it.
+ */
+
+// The offsets at which each line of a file's content starts
+export function lineStarts(content: string): number[] {
+  const starts = [0];
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  return starts;
+}
+
+// The 1-based line and column of an offset into a file's content
+export function positionAt(starts: number[], offset: number): { line: number; column: number } {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: offset - starts[low] + 1 };
+}
+
+// A short, single line excerpt of some source, such as a tag or a
+// stylesheet construct
+export function excerpt(text: string): string {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > 80 ? `${line.slice(0, 79)}…` : line;
+}
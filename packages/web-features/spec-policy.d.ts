@@ -0,0 +1,74 @@
+/**
+ * Spec policy
+ *
+ * Checks the specs of features against a policy written in terms of the
+ * web-specs metadata: the standards body (`organization`), the groups that
+ * develop a spec (`groups[].name`), its standing, and its shortname or the
+ * shortname of its series. A feature's spec URLs are matched to web-specs
+ * entries by their nightly, release and series URLs, ignoring fragments.
+ *
+ * A policy allows or denies values of each of these. A spec complies if, for
+ * each kind of value, it has an allowed value where any are allowed, and no
+ * denied value. A feature complies if all of its specs do. Specs that aren't
+ * in web-specs don't comply with a policy that allows anything, since nothing
+ * is known of them, but comply with one that only denies.
+ *
+ * Values are compared case-insensitively and in full, so `--allow-org=w3c`
+ * allows specs of the W3C but not of the "W3C/OGC".
+ */
+export type SpecDimension = "organization" | "group" | "standing" | "spec" | "any";
+export type SpecRules = Partial<Record<SpecDimension, string[]>>;
+export interface SpecPolicy {
+    allow: SpecRules;
+    deny: SpecRules;
+}
+export interface Spec {
+    url: string;
+    shortname: string;
+    title: string;
+    organization: string;
+    groups: Array<{
+        name: string;
+        url: string;
+    }>;
+    standing: "good" | "pending" | "discontinued";
+    series?: {
+        shortname: string;
+        releaseUrl?: string;
+        nightlyUrl?: string;
+    };
+    release?: {
+        url: string;
+    };
+    nightly?: {
+        url?: string;
+        alternateUrls?: string[];
+        pages?: string[];
+    };
+}
+export interface SpecViolation {
+    url: string;
+    spec: string | null;
+    rule: string;
+    reason: string;
+}
+export declare const standings: Spec["standing"][];
+/**
+ * The web-specs entry of a spec URL, or `undefined` if it isn't one. URLs of
+ * a section of a multipage spec find the spec.
+ */
+export declare function findSpec(url: string): Spec | undefined;
+/**
+ * Whether a policy has any rules.
+ */
+export declare function hasRules(policy: SpecPolicy): boolean;
+/**
+ * A policy as the options that set it, as in
+ * `--allow-org=W3C,WHATWG --deny-standing=pending`.
+ */
+export declare function describePolicy(policy: SpecPolicy): string;
+/**
+ * Check spec URLs against a policy. Returns a violation for each rule a spec
+ * breaks, citing the rule.
+ */
+export declare function checkSpecs(urls: string[], policy: SpecPolicy): SpecViolation[];
@@ -0,0 +1,39 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { checkSpecs, describePolicy, findSpec } from './spec-policy.js';
+const html = 'https://html.spec.whatwg.org/multipage/interactive-elements.html#the-dialog-element';
+const containerQueries = 'https://drafts.csswg.org/css-contain-3/#container-queries';
+const ecmascript = 'https://tc39.es/ecma262/multipage/control-abstraction-objects.html#sec-promise-objects';
+describe('spec-policy', () => {
+    it('should find the web-specs entries of spec URLs', () => {
+        expect(findSpec(html)?.shortname).to.equal('html');
+        expect(findSpec(containerQueries)?.shortname).to.equal('css-contain-3');
+        expect(findSpec(ecmascript)?.organization).to.equal('Ecma International');
+        expect(findSpec('https://example.com/spec/')).to.be.undefined;
+    });
+    it('should check organizations, citing the rule', () => {
+        const policy = { allow: { organization: ['w3c', 'WHATWG'] }, deny: {} };
+        expect(checkSpecs([html, containerQueries], policy)).to.deep.equal([]);
+        expect(checkSpecs([ecmascript, ecmascript], policy)).to.deep.equal([
+            { url: ecmascript, spec: 'ecmascript', rule: '--allow-org=w3c,WHATWG', reason: 'organization "Ecma International" isn\'t allowed' },
+        ]);
+    });
+    it('should check groups, standings and shortnames', () => {
+        expect(checkSpecs([containerQueries], { allow: { spec: ['css-contain'] }, deny: {} })).to.deep.equal([]);
+        expect(checkSpecs([containerQueries], { allow: {}, deny: { spec: ['css-contain'] } })[0]).to.include({ rule: '--deny-spec=css-contain', reason: 'spec "css-contain" is denied' });
+        expect(checkSpecs([html], { allow: {}, deny: { standing: ['pending'] } })).to.deep.equal([]);
+        expect(checkSpecs([html], { allow: { group: ['HTML Workstream'] }, deny: {} })).to.deep.equal([]);
+        expect(checkSpecs([containerQueries], { allow: { group: ['HTML Workstream'] }, deny: {} })).to.have.length(1);
+    });
+    it('should match values in full rather than as parts of URLs', () => {
+        expect(checkSpecs([html, containerQueries], { allow: { any: ['w3'] }, deny: {} })).to.have.length(2);
+        expect(checkSpecs([html], { allow: {}, deny: { any: ['whatwg'] } })[0]).to.include({ rule: '--specs=whatwg', reason: '"WHATWG" is denied' });
+    });
+    it('should only allow specs that are in web-specs', () => {
+        expect(checkSpecs(['https://example.com/spec/'], { allow: { organization: ['W3C'] }, deny: {} })[0]).to.include({ spec: null });
+        expect(checkSpecs(['https://example.com/spec/'], { allow: {}, deny: { organization: ['W3C'] } })).to.deep.equal([]);
+    });
+    it('should describe policies as options', () => {
+        expect(describePolicy({ allow: { organization: ['W3C', 'WHATWG'], any: ['html'] }, deny: { standing: ['pending'] } })).to.equal('--allow-org=W3C,WHATWG --specs=html --mode=allow --deny-standing=pending');
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Spec policy
+ *
+ * Checks the specs of features against a policy written in terms of the
+ * web-specs metadata: the standards body (`organization`), the groups that
+ * develop a spec (`groups[].name`), its standing, and its shortname or the
+ * shortname of its series. A feature's spec URLs are matched to web-specs
+ * entries by their nightly, release and series URLs, ignoring fragments.
+ *
+ * A policy allows or denies values of each of these. A spec complies if, for
+ * each kind of value, it has an allowed value where any are allowed, and no
+ * denied value. A feature complies if all of its specs do. Specs that aren't
+ * in web-specs don't comply with a policy that allows anything, since nothing
+ * is known of them, but comply with one that only denies.
+ *
+ * Values are compared case-insensitively and in full, so `--allow-org=w3c`
+ * allows specs of the W3C but not of the "W3C/OGC".
+ */
+
+import * as fs from "node:fs";
+import { createRequire } from "node:module";
+
+// The kinds of values a policy allows or denies; `any` is any of the others,
+// for `--specs` and `--mode`
+export type SpecDimension = "organization" | "group" | "standing" | "spec" | "any";
+
+export type SpecRules = Partial<Record<SpecDimension, string[]>>;
+
+export interface SpecPolicy {
+  allow: SpecRules;
+  deny: SpecRules;
+}
+
+// The metadata of a web-specs entry that policies use
+export interface Spec {
+  url: string;
+  shortname: string;
+  title: string;
+  organization: string;
+  groups: Array<{ name: string; url: string }>;
+  standing: "good" | "pending" | "discontinued";
+  series?: { shortname: string; releaseUrl?: string; nightlyUrl?: string };
+  release?: { url: string };
+  nightly?: { url?: string; alternateUrls?: string[]; pages?: string[] };
+}
+
+export interface SpecViolation {
+  // The feature's spec URL
+  url: string;
+  // The shortname of the web-specs entry, if there is one
+  spec: string | null;
+  // The option that set the rule the spec breaks, as in
+  // `--deny-standing=pending`
+  rule: string;
+  // Why the spec breaks it, as in `standing "pending" is denied`
+  reason: string;
+}
+
+export const standings: Spec["standing"][] = ["good", "pending", "discontinued"];
+
+const dimensions: Array<Exclude<SpecDimension, "any">> = ["organization", "group", "standing", "spec"];
+
+// The options that set the rules of each kind of value
+const options: Record<SpecDimension, { allow: string; deny: string }> = {
+  organization: { allow: "--allow-org", deny: "--deny-org" },
+  group: { allow: "--allow-group", deny: "--deny-group" },
+  standing: { allow: "--allow-standing", deny: "--deny-standing" },
+  spec: { allow: "--allow-spec", deny: "--deny-spec" },
+  any: { allow: "--specs", deny: "--specs" },
+};
+
+let index: Map<string, Spec> | undefined;
+
+// A URL without its fragment, query and trailing slash, to compare by
+function urlKey(url: string): string | undefined {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname.replace(/\/(index\.html)?$/, "")}`;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// The web-specs entries by the URLs they're published at
+function specIndex(): Map<string, Spec> {
+  if (index) return index;
+  const require = createRequire(import.meta.url);
+  const specs: Spec[] = JSON.parse(fs.readFileSync(require.resolve("web-specs"), "utf8"));
+  index = new Map();
+  for (const spec of specs) {
+    const urls = [spec.url, spec.release?.url, spec.nightly?.url, ...(spec.nightly?.alternateUrls ?? []), ...(spec.nightly?.pages ?? [])];
+    for (const url of urls) {
+      const key = url && urlKey(url);
+      if (key && !index.has(key)) index.set(key, spec);
+    }
+  }
+  // Series URLs point to the current level of a spec, so they only fill gaps
+  for (const spec of specs) {
+    for (const url of [spec.series?.nightlyUrl, spec.series?.releaseUrl]) {
+      const key = url && urlKey(url);
+      if (key && !index.has(key)) index.set(key, spec);
+    }
+  }
+  return index;
+}
+
+/**
+ * The web-specs entry of a spec URL, or `undefined` if it isn't one. URLs of
+ * a section of a multipage spec find the spec.
+ */
+export function findSpec(url: string): Spec | undefined {
+  const key = urlKey(url);
+  if (!key) return undefined;
+  const specs = specIndex();
+  const { origin } = new URL(url);
+  for (let candidate = key; ; candidate = candidate.slice(0, candidate.lastIndexOf("/"))) {
+    const spec = specs.get(candidate);
+    if (spec) return spec;
+    if (candidate === origin) return undefined;
+  }
+}
+
+// The values of a spec a rule compares
+function specValues(spec: Spec, dimension: SpecDimension): string[] {
+  switch (dimension) {
+    case "organization":
+      return [spec.organization];
+    case "group":
+      return spec.groups.map(({ name }) => name);
+    case "standing":
+      return [spec.standing];
+    case "spec":
+      return [spec.shortname, spec.series?.shortname].filter(Boolean);
+    case "any":
+      return dimensions.flatMap((other) => specValues(spec, other));
+  }
+}
+
+const includes = (values: string[], value: string) => values.some((candidate) => candidate.toLowerCase() === value.toLowerCase());
+
+/**
+ * Whether a policy has any rules.
+ */
+export function hasRules(policy: SpecPolicy): boolean {
+  return [policy.allow, policy.deny].some((rules) => Object.values(rules).some((values) => values.length > 0));
+}
+
+/**
+ * A policy as the options that set it, as in
+ * `--allow-org=W3C,WHATWG --deny-standing=pending`.
+ */
+export function describePolicy(policy: SpecPolicy): string {
+  const rules: string[] = [];
+  for (const kind of ["allow", "deny"] as const) {
+    for (const [dimension, values] of Object.entries(policy[kind]) as Array<[SpecDimension, string[]]>) {
+      if (values.length === 0) continue;
+      rules.push(dimension === "any" ? `--specs=${values.join(",")} --mode=${kind}` : `${options[dimension][kind]}=${values.join(",")}`);
+    }
+  }
+  return rules.join(" ");
+}
+
+/**
+ * Check spec URLs against a policy. Returns a violation for each rule a spec
+ * breaks, citing the rule.
+ */
+export function checkSpecs(urls: string[], policy: SpecPolicy): SpecViolation[] {
+  const violations: SpecViolation[] = [];
+  const allows = Object.entries(policy.allow).filter(([, values]) => values.length > 0) as Array<[SpecDimension, string[]]>;
+  const denies = Object.entries(policy.deny).filter(([, values]) => values.length > 0) as Array<[SpecDimension, string[]]>;
+
+  for (const url of urls) {
+    const spec = findSpec(url);
+    if (!spec) {
+      if (allows.length > 0) {
+        const rule = allows.map(([dimension, allowed]) => `${options[dimension].allow}=${allowed.join(",")}`).join(" ");
+        violations.push({ url, spec: null, rule, reason: "it isn't in web-specs, so no policy allows it" });
+      }
+      continue;
+    }
+    for (const [dimension, allowed] of allows) {
+      const values = specValues(spec, dimension);
+      if (!allowed.some((value) => includes(values, value))) {
+        const what = dimension === "any" ? "it" : `${dimension} ${describeValues(values)}`;
+        violations.push({ url, spec: spec.shortname, rule: `${options[dimension].allow}=${allowed.join(",")}`, reason: `${what} isn't allowed` });
+      }
+    }
+    for (const [dimension, denied] of denies) {
+      const values = specValues(spec, dimension).filter((value) => includes(denied, value));
+      if (values.length > 0) {
+        const what = dimension === "any" ? describeValues(values) : `${dimension} ${describeValues(values)}`;
+        violations.push({ url, spec: spec.shortname, rule: `${options[dimension].deny}=${denied.join(",")}`, reason: `${what} is denied` });
+      }
+    }
+  }
+  // A spec linked more than once breaks each rule once
+  const seen = new Set<string>();
+  return violations.filter(({ url, spec, rule, reason }) => {
+    const key = `${spec ?? url} ${rule} ${reason}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function describeValues(values: string[]): string {
+  return values.length > 0 ? values.map((value) => `"${value}"`).join(", ") : "(none)";
+}
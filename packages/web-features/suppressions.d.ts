@@ -0,0 +1,32 @@
+/**
+ * Suppression comments
+ *
+ * Comments that mark uses of features as intentional, such as progressive
+ * enhancement behind a feature check, so that the detector reports them
+ * separately from other findings:
+ *
+ * - `baseline-ignore-next-line [ids]` suppresses matches on the next line.
+ * - `baseline-ignore [ids]` suppresses matches on the line the comment ends
+ *   on, or on the next line if the comment is on a line of its own.
+ * - `baseline-disable [ids]` suppresses matches anywhere in the file.
+ *
+ * The feature IDs are separated by spaces or commas; without any, every
+ * feature is suppressed. Anything after ` -- ` is a note for readers, as in
+ * `// baseline-ignore-next-line has -- guarded by CSS.supports()`.
+ *
+ * Pragmas are only read from the comments the parsers find, so a string or
+ * text that mentions one, as in `const s = "// baseline-disable"`, doesn't
+ * suppress anything. A pragma can start any line of a comment, as in a
+ * JSDoc-style block whose lines start with `*`.
+ */
+import { SourceComment } from './detection-patterns.js';
+export type Pragma = 'baseline-ignore-next-line' | 'baseline-ignore' | 'baseline-disable';
+export interface Suppressions {
+    isSuppressed(featureId: string, line: number): boolean;
+}
+/**
+ * Find the suppression comments in a file, given the comments its parser
+ * found. Without them, as for a file that can't be parsed, the whole file is
+ * searched for text that looks like a comment.
+ */
+export declare function parseSuppressions(content: string, comments?: SourceComment[]): Suppressions;
@@ -0,0 +1,47 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { parseSuppressions } from './suppressions.js';
+describe('suppressions', () => {
+    it('should suppress the next line', () => {
+        const suppressions = parseSuppressions('// baseline-ignore-next-line has, grid -- checked\na:has(b) {}\nc:has(d) {}');
+        expect(suppressions.isSuppressed('has', 2)).to.be.true;
+        expect(suppressions.isSuppressed('grid', 2)).to.be.true;
+        expect(suppressions.isSuppressed('checked', 2)).to.be.false;
+        expect(suppressions.isSuppressed('has', 1)).to.be.false;
+        expect(suppressions.isSuppressed('has', 3)).to.be.false;
+    });
+    it('should suppress the line of a trailing comment, or the next line', () => {
+        const trailing = parseSuppressions('a { display: grid; } /* baseline-ignore grid */\nb { display: grid; }');
+        expect(trailing.isSuppressed('grid', 1)).to.be.true;
+        expect(trailing.isSuppressed('grid', 2)).to.be.false;
+        const own = parseSuppressions('/* baseline-ignore */\na:has(b) { display: grid; }');
+        expect(own.isSuppressed('has', 2)).to.be.true;
+        expect(own.isSuppressed('grid', 2)).to.be.true;
+    });
+    it('should suppress the whole file', () => {
+        const suppressions = parseSuppressions('\n\n<!-- baseline-disable dialog -->\n<dialog></dialog>');
+        expect(suppressions.isSuppressed('dialog', 1)).to.be.true;
+        expect(suppressions.isSuppressed('dialog', 40)).to.be.true;
+        expect(suppressions.isSuppressed('popover', 4)).to.be.false;
+    });
+    it('should ignore pragmas outside comments', () => {
+        const suppressions = parseSuppressions('const pragma = "baseline-disable";\nfetch("/a");');
+        expect(suppressions.isSuppressed('fetch', 2)).to.be.false;
+    });
+    it('should only read pragmas from the comments a parser found', () => {
+        const content = 'const s = "// baseline-disable";\n/* baseline-ignore-next-line fetch */\nfetch(s);';
+        const suppressions = parseSuppressions(content, [{ start: 33, end: 69 }]);
+        expect(suppressions.isSuppressed('fetch', 3)).to.be.true;
+        expect(suppressions.isSuppressed('fetch', 1)).to.be.false;
+        expect(parseSuppressions(content, []).isSuppressed('fetch', 3)).to.be.false;
+    });
+    it('should read pragmas on any line of a multi-line comment', () => {
+        const content = '/**\n * Loads the data.\n * baseline-ignore fetch\n */\nfetch(s);\nfetch(t);';
+        const suppressions = parseSuppressions(content, [{ start: 0, end: 51 }]);
+        expect(suppressions.isSuppressed('fetch', 5)).to.be.true;
+        expect(suppressions.isSuppressed('fetch', 6)).to.be.false;
+        const trailing = 'fetch(s); /* loads the data,\n   baseline-ignore-next-line fetch */\nfetch(t);';
+        expect(parseSuppressions(trailing, [{ start: 10, end: 66 }]).isSuppressed('fetch', 3)).to.be.true;
+        expect(parseSuppressions(trailing, [{ start: 10, end: 66 }]).isSuppressed('fetch', 1)).to.be.false;
+    });
+});
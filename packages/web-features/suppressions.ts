@@ -0,0 +1,108 @@
+/**
+ * Suppression comments
+ *
+ * Comments that mark uses of features as intentional, such as progressive
+ * enhancement behind a feature check, so that the detector reports them
+ * separately from other findings:
+ *
+ * - `baseline-ignore-next-line [ids]` suppresses matches on the next line.
+ * - `baseline-ignore [ids]` suppresses matches on the line the comment ends
+ *   on, or on the next line if the comment is on a line of its own.
+ * - `baseline-disable [ids]` suppresses matches anywhere in the file.
+ *
+ * The feature IDs are separated by spaces or commas; without any, every
+ * feature is suppressed. Anything after ` -- ` is a note for readers, as in
+ * `// baseline-ignore-next-line has -- guarded by CSS.supports()`.
+ *
+ * Pragmas are only read from the comments the parsers find, so a string or
+ * text that mentions one, as in `const s = "// baseline-disable"`, doesn't
+ * suppress anything. A pragma can start any line of a comment, as in a
+ * JSDoc-style block whose lines start with `*`.
+ */
+
+import { SourceComment } from './detection-patterns.js';
+import { lineStarts, positionAt } from './source-position.js';
+
+export type Pragma = 'baseline-ignore-next-line' | 'baseline-ignore' | 'baseline-disable';
+
+export interface Suppressions {
+  // Whether a match of a feature on a 1-based line is suppressed
+  isSuppressed(featureId: string, line: number): boolean;
+}
+
+// A pragma at the start of a line of a comment: after the comment's opening
+// delimiter, or the indentation and `*` of a later line
+const commentPragmaPattern = /(?:^|\/\/|\/\*|<!--)[ \t*]*(baseline-ignore-next-line|baseline-ignore|baseline-disable)\b(.*?)(?:\*\/|-->|$)/gm;
+
+// A pragma in text that looks like a comment of any of the scanned
+// languages: `// …`, `/* … */` or `<!-- … -->`.
+const pragmaPattern = /(?:\/\/|\/\*|<!--)[ \t*]*(baseline-ignore-next-line|baseline-ignore|baseline-disable)\b(.*?)(?:\*\/|-->|$)/gm;
+
+const none: Suppressions = { isSuppressed: () => false };
+
+// The feature IDs a pragma lists, or `undefined` for every feature.
+function featureIdsOf(args: string): Set<string> | undefined {
+  const ids = args.split(' -- ')[0].split(/[\s,]+/).filter(Boolean);
+  return ids.length > 0 ? new Set(ids) : undefined;
+}
+
+/**
+ * Find the suppression comments in a file, given the comments its parser
+ * found. Without them, as for a file that can't be parsed, the whole file is
+ * searched for text that looks like a comment.
+ */
+export function parseSuppressions(content: string, comments?: SourceComment[]): Suppressions {
+  if (!content.includes('baseline-')) return none;
+
+  // Suppressed lines, and the whole file as line 0, with the features
+  // suppressed there; `undefined` suppresses every feature.
+  const suppressed = new Map<number, Set<string> | undefined>();
+  const suppress = (line: number, ids: Set<string> | undefined) => {
+    if (suppressed.has(line) && suppressed.get(line) === undefined) return;
+    if (ids === undefined || !suppressed.has(line)) {
+      suppressed.set(line, ids && new Set(ids));
+    } else {
+      ids.forEach((id) => suppressed.get(line).add(id));
+    }
+  };
+
+  const starts = lineStarts(content);
+  // Without the comments, each pragma's text is a comment of its own
+  const pattern = comments ? commentPragmaPattern : pragmaPattern;
+  for (const { start, end: commentEnd } of comments ?? [{ start: 0, end: content.length }]) {
+    const text = content.slice(start, commentEnd);
+    if (!text.includes('baseline-')) continue;
+    pattern.lastIndex = 0;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(text))) {
+      const pragma = match[1] as Pragma;
+      const ids = featureIdsOf(match[2]);
+      const at = start + match.index;
+      // Where the comment opens, and the line it ends on
+      const opening = comments ? start : at;
+      const { line: end } = positionAt(starts, comments ? commentEnd - 1 : at + match[0].length);
+      switch (pragma) {
+        case 'baseline-disable':
+          suppress(0, ids);
+          break;
+        case 'baseline-ignore-next-line':
+          suppress(end + 1, ids);
+          break;
+        case 'baseline-ignore': {
+          suppress(end, ids);
+          const lineStart = content.lastIndexOf('\n', opening) + 1;
+          if (content.slice(lineStart, opening).trim() === '') {
+            suppress(end + 1, ids);
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    isSuppressed(featureId: string, line: number): boolean {
+      return [0, line].some((at) => suppressed.has(at) && (suppressed.get(at)?.has(featureId) ?? true));
+    },
+  };
+}
@@ -0,0 +1,5 @@
+// Uses AbortSignal.timeout(), which shipped well after AbortController itself.
+export async function load(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+  return response.json();
+}
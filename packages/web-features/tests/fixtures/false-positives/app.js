@@ -0,0 +1,20 @@
+// Cancelling is done with AbortController in newer code, not here.
+const message = "Use navigator.clipboard.writeText() to copy";
+
+function subscribe(signal) {
+  const fetch = (url) => Promise.resolve(url);
+  return fetch(`/events?signal=${signal}`);
+}
+
+const options = { AbortController: null, signal: true };
+options.fetch = subscribe;
+
+// Members of application objects that share a name with a member of some
+// browser API
+const cart = { items: [], removed: [], flags: "", popover: null };
+cart.items.push(cart.removed.length, cart.flags, cart.popover);
+store.sync();
+form.check();
+query.where("id").equal(1).build();
+expect(cart).to.be.ok;
+template.compile();
@@ -0,0 +1,22 @@
+// Progressive enhancement: each newer API is only used behind a check for it.
+export async function copy(text) {
+  if ('clipboard' in navigator) {
+    await navigator.clipboard.writeText(text);
+  }
+}
+
+export function timeoutSignal(ms) {
+  return typeof AbortSignal.timeout === 'function' ? AbortSignal.timeout(ms) : undefined;
+}
+
+export function share(data) {
+  if (!navigator.share) return;
+  navigator.share(data);
+}
+
+// Not guarded: the check is for something else
+export function load(url) {
+  if (window.fetch) {
+    return fetch(url, { signal: AbortSignal.timeout(5000) });
+  }
+}
@@ -0,0 +1,9 @@
+// Progressive enhancement: each use is behind a feature check.
+export async function copy(text) {
+  if ('clipboard' in navigator) {
+    // baseline-ignore-next-line async-clipboard -- checked above
+    await navigator.clipboard.writeText(text);
+  }
+  const signal = 'timeout' in AbortSignal ? AbortSignal.timeout(5000) : undefined; // baseline-ignore aborting
+  return fetch('/log', { signal });
+}
@@ -0,0 +1,4 @@
+// baseline-disable -- a vendored polyfill, loaded only where it's needed
+if (!('AbortController' in self)) {
+  self.AbortController = class AbortController {};
+}
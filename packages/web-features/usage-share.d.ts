@@ -0,0 +1,43 @@
+/**
+ * Usage share
+ *
+ * Estimates the share of users whose browsers support every detected feature,
+ * from a usage-share dataset: the global usage of caniuse-lite, with
+ * `--usage=caniuse-lite`, or a JSON file of your own analytics, such as:
+ *
+ *     { "chrome": { "120": 31.5, "119": 4.2 }, "safari_ios": { "17.4": 9.8 } }
+ *
+ * Browsers are core browser IDs or browserslist names, and versions map to
+ * shares in any unit, such as percentages or visits. Estimates are shares of
+ * the dataset's total. Versions such as "15.2-15.3" count as their first
+ * release. Browsers outside the core browser set, and versions that aren't
+ * known releases, can't be checked and are counted apart. A ranged minimum
+ * such as "≤83" only counts versions from 83 on, so estimates err low.
+ */
+import { SupportCheck } from "./feature-support.js";
+export type UsageShare = Record<string, Record<string, number>>;
+export interface ReachEstimate {
+    source: string;
+    supported: number;
+    unknown: number;
+    costs: Array<{
+        featureId: string;
+        share: number;
+    }>;
+}
+export declare const CANIUSE_LITE = "caniuse-lite";
+/**
+ * Read a usage-share dataset: caniuse-lite's global usage for
+ * `"caniuse-lite"`, which needs the caniuse-lite package, or else a JSON file.
+ */
+export declare function loadUsageShare(source: string): Promise<UsageShare>;
+/**
+ * Estimate the reach of a set of features: the share of usage in browsers
+ * that support all of them, and how much each one rules out on its own.
+ */
+export declare function estimateReach(usage: UsageShare, checks: Map<string, SupportCheck[]>, source: string): ReachEstimate;
+/**
+ * The text output of an estimate, listing the features that cost the most
+ * reach.
+ */
+export declare function describeReach(estimate: ReachEstimate, limit?: number): string[];
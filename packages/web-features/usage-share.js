@@ -0,0 +1,148 @@
+/**
+ * Usage share
+ *
+ * Estimates the share of users whose browsers support every detected feature,
+ * from a usage-share dataset: the global usage of caniuse-lite, with
+ * `--usage=caniuse-lite`, or a JSON file of your own analytics, such as:
+ *
+ *     { "chrome": { "120": 31.5, "119": 4.2 }, "safari_ios": { "17.4": 9.8 } }
+ *
+ * Browsers are core browser IDs or browserslist names, and versions map to
+ * shares in any unit, such as percentages or visits. Estimates are shares of
+ * the dataset's total. Versions such as "15.2-15.3" count as their first
+ * release. Browsers outside the core browser set, and versions that aren't
+ * known releases, can't be checked and are counted apart. A ranged minimum
+ * such as "≤83" only counts versions from 83 on, so estimates err low.
+ */
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { browserNames } from "./browserslist.js";
+import { minimumVersions } from "./feature-support.js";
+import { coreBrowserSet } from "compute-baseline";
+import { browser as compatBrowser } from "compute-baseline/browser-compat-data";
+// The dataset name that stands for caniuse-lite's global usage
+export const CANIUSE_LITE = "caniuse-lite";
+// Core browser IDs for browserslist names, keeping other names as they are
+function normalize(usage) {
+    const normalized = {};
+    for (const [name, versions] of Object.entries(usage)) {
+        const browser = browserNames[name.toLowerCase()] ?? name;
+        normalized[browser] = { ...normalized[browser], ...versions };
+    }
+    return normalized;
+}
+function validateUsage(value, source) {
+    const isObject = (candidate) => typeof candidate === "object" && candidate !== null && !Array.isArray(candidate);
+    if (!isObject(value))
+        throw new Error(`${source}: usage share must be an object of browsers.`);
+    for (const [browser, versions] of Object.entries(value)) {
+        if (!isObject(versions) || !Object.values(versions).every((share) => typeof share === "number" && share >= 0)) {
+            throw new Error(`${source}: "${browser}" must map versions to shares that are numbers of 0 or more.`);
+        }
+    }
+    return normalize(value);
+}
+/**
+ * Read a usage-share dataset: caniuse-lite's global usage for
+ * `"caniuse-lite"`, which needs the caniuse-lite package, or else a JSON file.
+ */
+export async function loadUsageShare(source) {
+    if (source === CANIUSE_LITE) {
+        let agents;
+        try {
+            ({ agents } = (await import("caniuse-lite")).default);
+        }
+        catch (error) {
+            throw new Error(`--usage=${CANIUSE_LITE} needs the caniuse-lite package; install it with npm install caniuse-lite.`);
+        }
+        const usage = {};
+        for (const [name, agent] of Object.entries(agents)) {
+            usage[name] = Object.fromEntries(Object.entries(agent?.usage_global ?? {}).map(([version, share]) => [version, share ?? 0]));
+        }
+        return normalize(usage);
+    }
+    const file = path.resolve(source);
+    let value;
+    try {
+        value = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+    catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+    return validateUsage(value, file);
+}
+// The release of a usage version, or `undefined` if it isn't a known one
+function usageRelease(browser, version) {
+    const first = version.split("-")[0].trim();
+    for (const candidate of [first, first.replace(/(\.0)+$/, "")]) {
+        const release = compatBrowser(browser).releases.find((r) => r.version === candidate);
+        if (release)
+            return release;
+    }
+    return undefined;
+}
+// A check of whether a release of a core browser supports a set of features
+function supportedFrom(checks, browser) {
+    const [{ minVersion, unsupported }] = minimumVersions(checks, [browser]);
+    if (unsupported.length > 0)
+        return () => false;
+    if (minVersion === null)
+        return () => true;
+    const minimum = compatBrowser(browser).version(minVersion.replace(/^≤/, ""));
+    return (release) => release.compare(minimum) >= 0;
+}
+// The shares of usage in releases a check accepts and in unknown ones
+function shares(usage, supports) {
+    let total = 0;
+    let supported = 0;
+    let unknown = 0;
+    for (const [browser, versions] of Object.entries(usage)) {
+        const core = coreBrowserSet.includes(browser);
+        const check = core ? supports(browser) : undefined;
+        for (const [version, share] of Object.entries(versions)) {
+            total += share;
+            const release = core ? usageRelease(browser, version) : undefined;
+            if (!release)
+                unknown += share;
+            else if (check(release))
+                supported += share;
+        }
+    }
+    return { total, supported, unknown };
+}
+const percentage = (share, total) => (total > 0 ? Math.round((share / total) * 1000) / 10 : 0);
+/**
+ * Estimate the reach of a set of features: the share of usage in browsers
+ * that support all of them, and how much each one rules out on its own.
+ */
+export function estimateReach(usage, checks, source) {
+    const all = shares(usage, (browser) => supportedFrom(checks, browser));
+    const costs = Array.from(checks)
+        .map(([featureId, keyChecks]) => {
+        const single = new Map([[featureId, keyChecks]]);
+        const { total, supported, unknown } = shares(usage, (browser) => supportedFrom(single, browser));
+        return { featureId, share: percentage(total - unknown - supported, total) };
+    })
+        .filter(({ share }) => share > 0)
+        .sort((a, b) => b.share - a.share || a.featureId.localeCompare(b.featureId));
+    return { source, supported: percentage(all.supported, all.total), unknown: percentage(all.unknown, all.total), costs };
+}
+/**
+ * The text output of an estimate, listing the features that cost the most
+ * reach.
+ */
+export function describeReach(estimate, limit = 5) {
+    const lines = ["ESTIMATED REACH"];
+    lines.push(`  ${estimate.supported}% of users have browsers that support every detected feature (usage share: ${estimate.source})`);
+    if (estimate.unknown > 0) {
+        lines.push(`  ${estimate.unknown}% use browsers or versions outside the core browser set, which can't be checked`);
+    }
+    if (estimate.costs.length > 0) {
+        lines.push("  Features that cost the most reach:");
+        for (const { featureId, share } of estimate.costs.slice(0, limit)) {
+            lines.push(`     ${featureId}: ${share}% of users`);
+        }
+    }
+    lines.push("");
+    return lines;
+}
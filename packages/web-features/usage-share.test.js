@@ -0,0 +1,58 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { describeReach, estimateReach, loadUsageShare } from './usage-share.js';
+// Checks for features supported since the given Safari versions
+function safari(...versions) {
+    return new Map(versions.map(([featureId, version]) => [
+        featureId,
+        [{ bcdKey: 'feature-level', status: { baseline: false, support: version ? { safari: version } : {} }, guarded: false }],
+    ]));
+}
+const usage = {
+    safari: { '15.2-15.3': 10, '15.4': 20, '16.0': 30, TP: 5 },
+    opera: { '100': 35 },
+};
+describe('usage-share', () => {
+    it('should estimate the share of usage that supports every feature', () => {
+        const estimate = estimateReach(usage, safari(['a', '15.4'], ['b', '16']), 'analytics.json');
+        expect(estimate).to.deep.equal({
+            source: 'analytics.json',
+            supported: 30,
+            unknown: 40,
+            costs: [
+                { featureId: 'b', share: 30 },
+                { featureId: 'a', share: 10 },
+            ],
+        });
+        expect(describeReach(estimate)[1]).to.include('30% of users');
+    });
+    it('should count only versions from a ranged minimum on', () => {
+        expect(estimateReach(usage, safari(['a', '≤15.4']), 'analytics.json').supported).to.equal(50);
+    });
+    it('should count no usage for browsers that support no version', () => {
+        const estimate = estimateReach(usage, safari(['a', undefined]), 'analytics.json');
+        expect(estimate.supported).to.equal(0);
+        expect(estimate.costs).to.deep.equal([{ featureId: 'a', share: 60 }]);
+    });
+    it('should read JSON files, with browserslist names, and caniuse-lite', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-share-'));
+        const file = path.join(dir, 'analytics.json');
+        try {
+            fs.writeFileSync(file, JSON.stringify({ ios_saf: { '17.4': 12 }, chrome: { '120': 30 } }));
+            expect(await loadUsageShare(file)).to.deep.equal({ safari_ios: { '17.4': 12 }, chrome: { '120': 30 } });
+            fs.writeFileSync(file, JSON.stringify({ chrome: { '120': 'a lot' } }));
+            let message = '';
+            await loadUsageShare(file).catch((error) => (message = error.message));
+            expect(message).to.include('"chrome" must map versions to shares');
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        const caniuse = await loadUsageShare('caniuse-lite');
+        expect(caniuse).to.have.property('chrome_android');
+        expect(caniuse).to.have.property('samsung');
+    });
+});
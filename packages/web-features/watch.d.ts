@@ -0,0 +1,28 @@
+/**
+ * Watch mode
+ *
+ * Keeps the scans of a directory's files in memory and, as files change,
+ * rescans only those files with the detector compiled for the first scan.
+ * The source tree is only walked again when an ignore file or the config
+ * changes, since they decide which files are scanned.
+ * A new result is reported only when a change alters the detected features
+ * or the minimum browser versions they require, so that edits that don't
+ * matter, such as to a comment, stay quiet. With `since`, the change is
+ * compared to the git ref again on every update.
+ */
+import { DetectionOptions, DetectionResult } from "./baseline-detector.js";
+export interface WatchOptions {
+    since?: string;
+    configFile?: string;
+    onChange: (result: DetectionResult, changed: string[]) => void;
+    onError?: (error: Error) => void;
+    delay?: number;
+}
+export interface Watcher {
+    close(): void;
+}
+/**
+ * Scan a directory and keep watching it, reporting the first result and then
+ * every result a change alters. Resolves once the first result is reported.
+ */
+export declare function watchFeatures(detection: DetectionOptions, { since, configFile, onChange, onError, delay }: WatchOptions): Promise<Watcher>;
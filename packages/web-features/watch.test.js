@@ -0,0 +1,89 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { watchFeatures } from './watch.js';
+describe('watch', () => {
+    it('should report again only when a change alters the detected features', async () => {
+        const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-watch-'));
+        const file = path.join(srcDir, 'app.css');
+        fs.writeFileSync(file, 'a { color: red; }\n');
+        const results = [];
+        let next = () => undefined;
+        const onChange = (result, changed) => {
+            results.push({ found: Array.from(result.found), changed });
+            next();
+        };
+        // The next report, or none in time
+        const reported = () => new Promise((resolve) => {
+            const timer = setTimeout(resolve, 2000);
+            next = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        const watcher = await watchFeatures({ srcDir, features: ['has'] }, { onChange, delay: 50 });
+        try {
+            expect(results).to.deep.equal([{ found: [], changed: [] }]);
+            let report = reported();
+            fs.appendFileSync(file, '.card:has(img) { color: blue; }\n');
+            await report;
+            expect(results[1]).to.deep.equal({ found: ['has'], changed: [file] });
+            // A change that doesn't alter the features isn't reported
+            report = reported();
+            fs.appendFileSync(file, '/* a comment */\n');
+            await report;
+            expect(results).to.have.lengthOf(2);
+            report = reported();
+            fs.rmSync(file);
+            await report;
+            expect(results[2]).to.deep.equal({ found: [], changed: [file] });
+        }
+        finally {
+            watcher.close();
+            fs.rmSync(srcDir, { recursive: true, force: true });
+        }
+    });
+    it('should only walk the tree again when an ignore file changes', async () => {
+        const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-watch-'));
+        fs.mkdirSync(path.join(srcDir, 'dist'));
+        fs.writeFileSync(path.join(srcDir, '.gitignore'), 'dist\n');
+        fs.writeFileSync(path.join(srcDir, 'dist', 'app.css'), 'a:has(b) {}\n');
+        const results = [];
+        let next = () => undefined;
+        const reported = () => new Promise((resolve) => {
+            const timer = setTimeout(resolve, 2000);
+            next = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        const watcher = await watchFeatures({ srcDir, features: ['dialog', 'has'] }, {
+            onChange: (result) => {
+                results.push(Array.from(result.found));
+                next();
+            },
+            delay: 50,
+        });
+        try {
+            // A changed file that's ignored isn't scanned
+            let report = reported();
+            fs.writeFileSync(path.join(srcDir, 'dist', 'index.html'), '<dialog></dialog>\n');
+            await report;
+            expect(results).to.deep.equal([[]]);
+            report = reported();
+            fs.writeFileSync(path.join(srcDir, '.gitignore'), '');
+            await report;
+            expect(results[1]).to.have.members(['dialog', 'has']);
+            report = reported();
+            fs.writeFileSync(path.join(srcDir, '.gitignore'), 'dist/*.css\n');
+            await report;
+            expect(results[2]).to.deep.equal(['dialog']);
+        }
+        finally {
+            watcher.close();
+            fs.rmSync(srcDir, { recursive: true, force: true });
+        }
+    });
+});
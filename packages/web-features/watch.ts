@@ -0,0 +1,118 @@
+/**
+ * Watch mode
+ *
+ * Keeps the scans of a directory's files in memory and, as files change,
+ * rescans only those files with the detector compiled for the first scan.
+ * The source tree is only walked again when an ignore file or the config
+ * changes, since they decide which files are scanned.
+ * A new result is reported only when a change alters the detected features
+ * or the minimum browser versions they require, so that edits that don't
+ * matter, such as to a comment, stay quiet. With `since`, the change is
+ * compared to the git ref again on every update.
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+import { DetectionOptions, DetectionResult, FileScan, getFileType, resultOfScans, scanFiles } from "./baseline-detector.js";
+import { collectSupport, minimumVersions } from "./feature-support.js";
+import { changesSince, introducedFeatures } from "./git-changes.js";
+import { ignoreFiles, walkSourceFiles } from "./source-files.js";
+
+export interface WatchOptions {
+  // Only report the features introduced since this git ref, as with `--since`
+  since?: string;
+  // The config file the scan's settings were read from
+  configFile?: string;
+  // Called with the first result, then with each result that alters the
+  // detected features or the minimum versions, and the paths that changed
+  onChange: (result: DetectionResult, changed: string[]) => void;
+  // Called when an update fails; the watch goes on
+  onError?: (error: Error) => void;
+  // How long to wait for more changes before rescanning, in milliseconds
+  delay?: number;
+}
+
+export interface Watcher {
+  close(): void;
+}
+
+// What the output of a result depends on: the detected features and the
+// minimum versions they require
+function resultKey(result: DetectionResult): string {
+  const minimums = minimumVersions(collectSupport(result)).map(({ browser, minVersion, unsupported }) => [
+    browser,
+    minVersion,
+    unsupported.map(({ featureId }) => featureId),
+  ]);
+  return JSON.stringify([Array.from(result.found).sort(), minimums]);
+}
+
+/**
+ * Scan a directory and keep watching it, reporting the first result and then
+ * every result a change alters. Resolves once the first result is reported.
+ */
+export async function watchFeatures(detection: DetectionOptions, { since, configFile, onChange, onError = () => undefined, delay = 100 }: WatchOptions): Promise<Watcher> {
+  const { srcDir } = detection;
+  // Every file is watched, even with `since`, since a change can touch more
+  const options: DetectionOptions = { ...detection, files: undefined };
+  const scans = new Map<string, FileScan>();
+  for await (const scan of scanFiles(options)) scans.set(scan.file, scan);
+
+  let last: string | undefined;
+  const report = (changed: string[]) => {
+    let result = resultOfScans(scans.values(), options);
+    if (since !== undefined) result = introducedFeatures(result, changesSince(since, srcDir), options);
+    const key = resultKey(result);
+    if (key === last) return;
+    last = key;
+    onChange(result, changed);
+  };
+  report([]);
+
+  // Rescan the changed files and directories on this thread, without the
+  // cache, and forget the scans of removed files. When the files to scan may
+  // have changed, walk the tree again to scan new ones and forget the rest.
+  const update = async (changed: string[]) => {
+    const rescanned = new Set<string>();
+    const rescan = changed.filter((file) => fs.existsSync(file));
+    const rewalk = changed.some((file) => file === configFile || ignoreFiles.includes(path.basename(file)));
+    if (rewalk) {
+      const walked = new Set(walkSourceFiles(srcDir, options));
+      for (const file of walked) if (!scans.has(file) && getFileType(file) !== "other") rescan.push(file);
+      for (const file of Array.from(scans.keys())) if (!walked.has(file)) scans.delete(file);
+    }
+    if (rescan.length > 0) {
+      for await (const scan of scanFiles({ ...options, files: rescan, workers: 0, cache: false })) {
+        scans.set(scan.file, scan);
+        rescanned.add(scan.file);
+      }
+    }
+    for (const file of Array.from(scans.keys())) {
+      const under = changed.some((changedPath) => file === changedPath || file.startsWith(changedPath + path.sep));
+      if (under && !rescanned.has(file)) scans.delete(file);
+    }
+    report(changed);
+  };
+
+  const pending = new Set<string>();
+  let timer: NodeJS.Timeout | undefined;
+  let updating = Promise.resolve();
+  const watcher = fs.watch(srcDir, { recursive: true }, (event, filename) => {
+    // Without a file name, rescan everything
+    pending.add(filename ? path.join(srcDir, filename.toString()) : srcDir);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = Array.from(pending);
+      pending.clear();
+      updating = updating.then(() => update(changed)).catch(onError);
+    }, delay);
+  });
+  watcher.on("error", onError);
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
@@ -14,6 +14,7 @@ import { isDeepStrictEqual } from "node:util";
 import winston from "winston";
 import YAML, { Document, Scalar, YAMLSeq } from "yaml";
 import yargs from "yargs";
+import { generateDetectionPatterns } from "../detection-patterns";
 import type { FeatureData, FeatureMovedData, FeatureSplitData } from "../types";
 
 const compat = new Compat();
@@ -220,7 +221,8 @@ function toRedirectDist(
  *
  * This passes through most of the contents of a feature definition. If
  * possible, it fills in `compat_features` from @mdn/browser-compat-data and, if
- * successful, generates a `status` block.
+ * successful, generates a `status` block and `detection_patterns` derived from
+ * the compat keys.
  */
 function toDist(sourcePath: string): YAML.Document {
   const source = YAML.parse(fs.readFileSync(sourcePath, { encoding: "utf-8" }));
@@ -356,12 +358,13 @@ function toDist(sourcePath: string): YAML.Document {
     insertCompatFeatures(dist, sortedGroups);
   }
 
-  // Copy detection patterns and file types from source if they exist
-  if (source.detection_patterns) {
-    dist.set("detection_patterns", source.detection_patterns);
-  }
-  if (source.file_types) {
-    dist.set("file_types", source.file_types);
+  // Generate detection patterns. Authored `detection_patterns` in the source
+  // take precedence.
+  if (!source.detection_patterns) {
+    const detectionPatterns = generateDetectionPatterns(compatFeatures, compat);
+    if (detectionPatterns.length) {
+      dist.set("detection_patterns", detectionPatterns);
+    }
   }
 
   return dist;
@@ -1,5 +1,5 @@
-import type { BaselineEnum as BaselineHighLow, BrowserData, Browsers, Discouraged, GroupData, Kind, FeatureData as QuicktypeMonolithicFeatureData, Status as QuicktypeStatus, StatusHeadline as QuicktypeStatusHeadline, WebFeaturesData as QuicktypeWebFeaturesData, Release, SnapshotData, Support } from "./types.quicktype";
-export type { BaselineHighLow, BrowserData, Browsers, Discouraged, GroupData, Release, SnapshotData, Support, };
+import type { BaselineEnum as BaselineHighLow, BrowserData, Browsers, DetectionPatternKind, Discouraged, GroupData, FeatureKind as Kind, FileType, DetectionPattern as QuicktypeMonolithicDetectionPattern, FeatureData as QuicktypeMonolithicFeatureData, Status as QuicktypeStatus, StatusHeadline as QuicktypeStatusHeadline, WebFeaturesData as QuicktypeWebFeaturesData, Release, SnapshotData, Support, Syntax as JsSyntax } from "./types.quicktype";
+export type { BaselineHighLow, BrowserData, Browsers, DetectionPatternKind, Discouraged, FileType, GroupData, JsSyntax, Release, SnapshotData, Support, };
 export interface Status extends QuicktypeStatus {
     baseline: false | BaselineHighLow;
 }
@@ -13,7 +13,23 @@ export interface WebFeaturesData extends Pick<QuicktypeWebFeaturesData, "browser
 }
 export type FeatureData = {
     kind: "feature";
-} & Required<Pick<QuicktypeMonolithicFeatureData, "description_html" | "description" | "name" | "spec" | "status">> & Partial<Pick<QuicktypeMonolithicFeatureData, "caniuse" | "compat_features" | "discouraged" | "group" | "snapshot">>;
+} & Required<Pick<QuicktypeMonolithicFeatureData, "description_html" | "description" | "name" | "spec" | "status">> & Partial<Pick<QuicktypeMonolithicFeatureData, "caniuse" | "compat_features" | "discouraged" | "group" | "snapshot">> & {
+    detection_patterns?: DetectionPattern[];
+};
+type DetectionPatternOf<K extends DetectionPatternKind, R extends keyof QuicktypeMonolithicDetectionPattern, O extends keyof QuicktypeMonolithicDetectionPattern = never> = {
+    kind: K;
+} & Required<Pick<QuicktypeMonolithicDetectionPattern, R>> & Partial<Pick<QuicktypeMonolithicDetectionPattern, O | "compat_key">>;
+export type JsGlobalPattern = DetectionPatternOf<"js-global", "name", "position">;
+export type JsMemberPattern = DetectionPatternOf<"js-member", "path">;
+export type JsSyntaxPattern = DetectionPatternOf<"js-syntax", "syntax">;
+export type CssPropertyPattern = DetectionPatternOf<"css-property", "name">;
+export type CssValuePattern = DetectionPatternOf<"css-value", "value", "property">;
+export type CssAtRulePattern = DetectionPatternOf<"css-at-rule", "name">;
+export type CssSelectorPattern = DetectionPatternOf<"css-selector", "pseudo">;
+export type HtmlElementPattern = DetectionPatternOf<"html-element", "name">;
+export type HtmlAttributePattern = DetectionPatternOf<"html-attribute", "name", "element">;
+export type RegexPattern = DetectionPatternOf<"regex", "pattern" | "file_types">;
+export type DetectionPattern = JsGlobalPattern | JsMemberPattern | JsSyntaxPattern | CssPropertyPattern | CssValuePattern | CssAtRulePattern | CssSelectorPattern | HtmlElementPattern | HtmlAttributePattern | RegexPattern;
 type FeatureRedirectData = {
     kind: Exclude<Kind, "feature">;
 } & Required<Pick<QuicktypeMonolithicFeatureData, "redirect_target" | "redirect_targets">>;
@@ -44,6 +44,22 @@ const goodFeatureData = {
         support: {},
     },
 };
+const goodDetectionPatterns = [
+    { kind: "js-global", name: "fetch", position: "call" },
+    { kind: "js-syntax", syntax: "for-await" },
+    { kind: "css-value", value: "grid", property: "display" },
+    { kind: "regex", pattern: "\\bfoo\\b", file_types: ["js"] },
+];
+const badJsGlobalPattern = {
+    kind: "js-global",
+    // @ts-expect-error
+    path: "navigator.clipboard",
+};
+// @ts-expect-error
+const badRegexPattern = {
+    kind: "regex",
+    pattern: "\\bfoo\\b",
+};
 const goodFeatureMovedData = {
     kind: "moved",
     redirect_target: "",
@@ -82,6 +82,10 @@ export interface FeatureData {
    * Short description of the feature, as an HTML string
    */
   description_html?: string;
+  /**
+   * Patterns for detecting uses of this feature in source code
+   */
+  detection_patterns?: DetectionPattern[];
   /**
    * Whether developers are formally discouraged from using this feature
    */
@@ -90,7 +94,7 @@ export interface FeatureData {
    * Group identifiers
    */
   group?: string[];
-  kind: Kind;
+  kind: FeatureKind;
   /**
    * Short name
    */
@@ -118,6 +122,140 @@ export interface FeatureData {
   redirect_targets?: string[];
 }
 
+/**
+ * A pattern for detecting uses of a feature in source code
+ *
+ * A global, such as `fetch` or `AbortController`, referenced directly or through `window`,
+ * `self` or `globalThis`
+ *
+ * A property access chain, such as `navigator.clipboard.writeText`
+ *
+ * JavaScript syntax that has no identifier to match on, such as `for await`
+ *
+ * A CSS property in a declaration
+ *
+ * A keyword or function name in a CSS declaration value
+ *
+ * A CSS at-rule
+ *
+ * A CSS pseudo-class or pseudo-element in a selector
+ *
+ * An HTML element
+ *
+ * An HTML attribute
+ *
+ * A regular expression matched against the raw text of source files
+ */
+export interface DetectionPattern {
+  /**
+   * The compat_features key whose use the pattern detects, as in
+   * `api.AbortSignal.timeout_static`
+   */
+  compat_key?: string;
+  kind: DetectionPatternKind;
+  /**
+   * The name of the global
+   *
+   * The property name, as in `grid-template-columns`
+   *
+   * The at-rule name without `@`, as in `container`
+   *
+   * The element name, as in `dialog`
+   *
+   * The attribute name, as in `popover`
+   */
+  name?: string;
+  /**
+   * Only match the global when it's called (`call`) or constructed (`new`)
+   */
+  position?: Position;
+  /**
+   * Dot-separated property names, where `*` matches any one name
+   */
+  path?: string;
+  /**
+   * The syntax to match
+   */
+  syntax?: Syntax;
+  /**
+   * Only match the value in declarations of this property
+   */
+  property?: string;
+  /**
+   * The keyword or function name, as in `grid` or `oklch`
+   */
+  value?: string;
+  /**
+   * The pseudo-class or pseudo-element name without colons, as in `has`
+   */
+  pseudo?: string;
+  /**
+   * Only match the attribute on this element
+   */
+  element?: string;
+  /**
+   * The file types to match, as in `js` or `scss`
+   */
+  file_types?: FileType[];
+  /**
+   * The regular expression source
+   */
+  pattern?: string;
+}
+
+export type FileType =
+  | "js"
+  | "ts"
+  | "jsx"
+  | "tsx"
+  | "css"
+  | "scss"
+  | "less"
+  | "html"
+  | "vue"
+  | "svelte"
+  | "astro";
+
+export type DetectionPatternKind =
+  | "js-global"
+  | "js-member"
+  | "js-syntax"
+  | "css-property"
+  | "css-value"
+  | "css-at-rule"
+  | "css-selector"
+  | "html-element"
+  | "html-attribute"
+  | "regex";
+
+/**
+ * Only match the global when it's called (`call`) or constructed (`new`)
+ */
+export type Position = "call" | "new";
+
+/**
+ * The syntax to match
+ */
+export type Syntax =
+  | "async-function"
+  | "async-generator"
+  | "await"
+  | "bigint"
+  | "class-fields"
+  | "dynamic-import"
+  | "exponentiation"
+  | "export-declaration"
+  | "for-await"
+  | "generator"
+  | "import-declaration"
+  | "import-meta"
+  | "logical-assignment"
+  | "nullish-coalescing"
+  | "numeric-separators"
+  | "optional-chaining"
+  | "private-class-members"
+  | "static-blocks";
+
 /**
  * Whether developers are formally discouraged from using this feature
  */
@@ -133,7 +271,7 @@ export interface Discouraged {
   alternatives?: string[];
 }
 
-export type Kind = "feature" | "moved" | "split";
+export type FeatureKind = "feature" | "moved" | "split";
 
 /**
  * Whether a feature is considered a "Baseline" web platform feature and when it achieved
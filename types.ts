@@ -8,9 +8,12 @@ import type {
   BaselineEnum as BaselineHighLow,
   BrowserData,
   Browsers,
+  DetectionPatternKind,
   Discouraged,
   GroupData,
-  Kind,
+  FeatureKind as Kind,
+  FileType,
+  DetectionPattern as QuicktypeMonolithicDetectionPattern,
   FeatureData as QuicktypeMonolithicFeatureData,
   Status as QuicktypeStatus,
   StatusHeadline as QuicktypeStatusHeadline,
@@ -18,6 +21,7 @@ import type {
   Release,
   SnapshotData,
   Support,
+  Syntax as JsSyntax,
 } from "./types.quicktype";
 
 // Passthrough types
@@ -25,8 +29,11 @@ export type {
   BaselineHighLow,
   BrowserData,
   Browsers,
+  DetectionPatternKind,
   Discouraged,
+  FileType,
   GroupData,
+  JsSyntax,
   Release,
   SnapshotData,
   Support,
@@ -83,7 +90,7 @@ export type FeatureData = { kind: "feature" } & Required<
       QuicktypeMonolithicFeatureData,
       "caniuse" | "compat_features" | "discouraged" | "group" | "snapshot"
     >
-  >;
+  > & { detection_patterns?: DetectionPattern[] };
 
 const goodFeatureData: FeatureData = {
   kind: "feature",
@@ -104,6 +111,68 @@ const goodFeatureData: FeatureData = {
   },
 };
 
+type DetectionPatternOf<
+  K extends DetectionPatternKind,
+  R extends keyof QuicktypeMonolithicDetectionPattern,
+  O extends keyof QuicktypeMonolithicDetectionPattern = never,
+> = { kind: K } & Required<Pick<QuicktypeMonolithicDetectionPattern, R>> &
+  Partial<Pick<QuicktypeMonolithicDetectionPattern, O | "compat_key">>;
+
+export type JsGlobalPattern = DetectionPatternOf<
+  "js-global",
+  "name",
+  "position"
+>;
+export type JsMemberPattern = DetectionPatternOf<"js-member", "path">;
+export type JsSyntaxPattern = DetectionPatternOf<"js-syntax", "syntax">;
+export type CssPropertyPattern = DetectionPatternOf<"css-property", "name">;
+export type CssValuePattern = DetectionPatternOf<
+  "css-value",
+  "value",
+  "property"
+>;
+export type CssAtRulePattern = DetectionPatternOf<"css-at-rule", "name">;
+export type CssSelectorPattern = DetectionPatternOf<"css-selector", "pseudo">;
+export type HtmlElementPattern = DetectionPatternOf<"html-element", "name">;
+export type HtmlAttributePattern = DetectionPatternOf<
+  "html-attribute",
+  "name",
+  "element"
+>;
+export type RegexPattern = DetectionPatternOf<
+  "regex",
+  "pattern" | "file_types"
+>;
+
+export type DetectionPattern =
+  | JsGlobalPattern
+  | JsMemberPattern
+  | JsSyntaxPattern
+  | CssPropertyPattern
+  | CssValuePattern
+  | CssAtRulePattern
+  | CssSelectorPattern
+  | HtmlElementPattern
+  | HtmlAttributePattern
+  | RegexPattern;
+
+const goodDetectionPatterns: DetectionPattern[] = [
+  { kind: "js-global", name: "fetch", position: "call" },
+  { kind: "js-syntax", syntax: "for-await" },
+  { kind: "css-value", value: "grid", property: "display" },
+  { kind: "regex", pattern: "\\bfoo\\b", file_types: ["js"] },
+];
+const badJsGlobalPattern: DetectionPattern = {
+  kind: "js-global",
+  // @ts-expect-error
+  path: "navigator.clipboard",
+};
+// @ts-expect-error
+const badRegexPattern: DetectionPattern = {
+  kind: "regex",
+  pattern: "\\bfoo\\b",
+};
+
 type FeatureRedirectData = { kind: Exclude<Kind, "feature"> } & Required<
   Pick<QuicktypeMonolithicFeatureData, "redirect_target" | "redirect_targets">
 >;